@@ -0,0 +1,302 @@
+/**
+ * Service worker
+ * - Offline app shell: precaches the built app (list from precache-manifest.js, emitted by the
+ *   Vite config) and answers page loads from it when there's no network.
+ * - Map images and plant photos: served from cache first, refreshed in the background.
+ * - The map list and each map's pins: network first, falling back to the last known response.
+ * - Sends the daily "N plants need water" digest (see src/api/reminders.js for the page side):
+ *   - Reads reminder settings + per-map due dates from the app's IndexedDB
+ *     ("garden-map" / "cache").
+ *   - At most one digest per day: after the digest time, never during quiet hours (a digest
+ *     time inside quiet hours means "when they end").
+ *   - Clicking the notification focuses an open map tab (and tells it which pin to show),
+ *     or opens the map at that pin.
+ *
+ * Plain script on purpose: it is served as-is from /public, without going through the bundler.
+ */
+
+importScripts("precache-manifest.js");
+
+const { version: PRECACHE_VERSION, urls: PRECACHE_URLS } = self.__PRECACHE_MANIFEST;
+
+const SHELL_CACHE_PREFIX = "garden-shell-";
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${PRECACHE_VERSION}`;
+// Per-user data: the page deletes these two on sign-out (src/api/serviceWorker.js).
+const IMAGE_CACHE = "garden-images";
+const API_CACHE = "garden-api";
+const IMAGE_CACHE_MAX_ENTRIES = 80;
+
+// GET /api/maps and GET /api/maps/{id}/pins (the API may live on another origin).
+const CACHED_API_PATH = /\/api\/maps(\/[^/]+\/pins)?\/?$/;
+
+const DB_NAME = "garden-map";
+const PERIODIC_SYNC_TAG = "garden-reminders";
+const DIGEST_TAG = "garden-digest";
+const DIGEST_MAX_NAMES = 5;
+
+const SETTINGS_KEY = "reminders:settings";
+const LAST_DIGEST_KEY = "reminders:lastDigest";
+const PLANTS_KEY_PREFIX = "reminders:plants:";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS.length ? PRECACHE_URLS : ["./"]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    dropOldShellCaches()
+      .then(() => self.clients.claim())
+      .then(checkReminders)
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const isOwn = url.origin === self.location.origin;
+  if (isOwn || CACHED_API_PATH.test(url.pathname) || request.destination === "image") {
+    event.respondWith(handleFetch(request, url));
+  }
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "check-reminders") event.waitUntil(checkReminders());
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(openPin(event.notification.data ?? {}));
+});
+
+// ===== Caching =====
+
+async function dropOldShellCaches() {
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name))
+  );
+}
+
+function isCacheable(response) {
+  // Cross-origin <img> loads are opaque: no status to check, but still fine to cache.
+  return response.ok || response.type === "opaque";
+}
+
+async function handleFetch(request, url) {
+  if (request.mode === "navigate") return appShell(request);
+  if (CACHED_API_PATH.test(url.pathname)) return networkFirst(request, API_CACHE);
+
+  const precached = await caches.match(request, { cacheName: SHELL_CACHE });
+  if (precached) return precached;
+
+  if (request.destination === "image") return staleWhileRevalidate(request, IMAGE_CACHE);
+  return fetch(request);
+}
+
+// Page loads (any ?map=..&pin=..) all get the same index.html when offline.
+async function appShell(request) {
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const shell = await caches.match(new URL("./", self.registration.scope).href, {
+      cacheName: SHELL_CACHE,
+    });
+    if (shell) return shell;
+    throw e;
+  }
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request).then(async (response) => {
+    if (isCacheable(response)) {
+      await cache.put(request, response.clone());
+      await trimCache(cache, IMAGE_CACHE_MAX_ENTRIES);
+    }
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {}); // offline: the cached copy is all we get
+    return cached;
+  }
+  return refresh;
+}
+
+// Oldest entries go first (Cache keys come back in insertion order).
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+  await Promise.all(excess.map((key) => cache.delete(key)));
+}
+
+// ===== IndexedDB (read-mostly; the page owns the schema) =====
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    // The page hasn't created the database yet: don't create an empty one in its place.
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function withCache(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        if (!db.objectStoreNames.contains("cache")) {
+          db.close();
+          resolve(undefined);
+          return;
+        }
+        const tx = db.transaction("cache", mode);
+        const req = fn(tx.objectStore("cache"));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(req?.result);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// ===== Digest =====
+
+function minutesOf(time) {
+  const [h, m] = String(time ?? "").split(":").map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+}
+
+// `minutes`: time of day, in minutes since midnight.
+function isInQuietHours(settings, minutes) {
+  if (!settings.quietHoursEnabled) return false;
+
+  const start = minutesOf(settings.quietStart);
+  const end = minutesOf(settings.quietEnd);
+  if (start == null || end == null || start === end) return false;
+
+  // Quiet hours usually wrap around midnight (22:00 - 07:00).
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// A digest time inside quiet hours would never come: send the digest when they end instead.
+function digestMinutes(settings) {
+  const digestAt = minutesOf(settings.digestTime) ?? 0;
+  return isInQuietHours(settings, digestAt) ? minutesOf(settings.quietEnd) : digestAt;
+}
+
+function dayKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function describePlants(duePlants) {
+  const showMapNames = new Set(duePlants.map((p) => p.mapId)).size > 1;
+  const names = duePlants
+    .slice(0, DIGEST_MAX_NAMES)
+    .map((p) => (showMapNames && p.mapName ? `${p.name} (${p.mapName})` : p.name));
+
+  const more = duePlants.length - names.length;
+  return more > 0 ? `${names.join(", ")} and ${more} more` : names.join(", ");
+}
+
+async function checkReminders() {
+  try {
+    if (self.Notification && self.Notification.permission !== "granted") return;
+
+    const settings = await withCache("readonly", (s) => s.get(SETTINGS_KEY));
+    if (!settings?.enabled) return;
+
+    const now = new Date();
+    const today = dayKey(now);
+
+    const lastDigest = await withCache("readonly", (s) => s.get(LAST_DIGEST_KEY));
+    if (lastDigest === today) return;
+
+    const current = now.getHours() * 60 + now.getMinutes();
+    if (current < digestMinutes(settings)) return;
+    if (isInQuietHours(settings, current)) return;
+
+    const snapshots = await withCache("readonly", (s) =>
+      s.getAll(IDBKeyRange.bound(PLANTS_KEY_PREFIX, `${PLANTS_KEY_PREFIX}\uffff`))
+    );
+
+    const endOfToday = new Date(now);
+    endOfToday.setHours(24, 0, 0, 0);
+
+    const muted = new Set(settings.mutedPinIds ?? []);
+    const duePlants = (snapshots ?? [])
+      .flatMap((snap) =>
+        (snap.plants ?? []).map((p) => ({ ...p, mapId: snap.mapId, mapName: snap.mapName }))
+      )
+      .filter((p) => !muted.has(String(p.pinId)) && new Date(p.dueAt) < endOfToday)
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt)); // most overdue first
+
+    await withCache("readwrite", (s) => s.put(today, LAST_DIGEST_KEY));
+    if (duePlants.length === 0) return;
+
+    const first = duePlants[0];
+    await self.registration.showNotification(
+      duePlants.length === 1 ? "1 plant needs water" : `${duePlants.length} plants need water`,
+      {
+        body: describePlants(duePlants),
+        tag: DIGEST_TAG,
+        icon: new URL("favicon.png", self.registration.scope).href,
+        data: { mapId: first.mapId, pinId: first.pinId },
+      }
+    );
+  } catch (e) {
+    console.warn("Reminder check failed:", e);
+  }
+}
+
+// ===== Click-through =====
+
+async function openPin({ mapId, pinId }) {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  const existing = windows.find((w) => w.url.startsWith(self.registration.scope));
+
+  if (existing) {
+    await existing.focus();
+    existing.postMessage({ type: "open-pin", mapId, pinId });
+    return;
+  }
+
+  const url = new URL(self.registration.scope);
+  if (mapId != null) url.searchParams.set("map", String(mapId));
+  if (pinId != null) url.searchParams.set("pin", String(pinId));
+  await self.clients.openWindow(url.href);
+}
@@ -0,0 +1,198 @@
+/**
+ * Stub API server (development only)
+ * In-memory stand-in for the backend, enough to try live updates between two tabs/devices:
+ * maps, pins (create / patch / water / fertilise / delete), the pin event stream and the
+ * activity log.
+ *
+ * Usage:
+ *   npm run stub-server                      (listens on :8090, or PORT)
+ *   VITE_API_BASE_URL=http://localhost:8090 npm run dev
+ *
+ * Notes:
+ * - Everything is lost on restart.
+ * - Other list endpoints (fields, zones, notes...) answer with an empty list so the app loads.
+ * - Events carry the X-Client-Id of the request that caused them (see src/api/liveUpdates.js).
+ * - Any email/password logs in; the "token" is just the email, so the activity log knows who
+ *   did what. Everyone owns the one map.
+ */
+
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT ?? 8090);
+const KEEPALIVE_MS = 25_000;
+
+const maps = [{ id: 1, name: "Garden", imageUrl: null, role: "owner" }];
+const pins = new Map(); // id => pin
+const streams = new Map(); // mapId => Set<response>
+const activity = []; // newest last
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+function broadcast(mapId, event) {
+  const data = `event: pin\ndata: ${JSON.stringify({ ...event, mapId })}\n\n`;
+  for (const res of streams.get(mapId) ?? []) res.write(data);
+}
+
+function openStream(req, res, mapId) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  if (!streams.has(mapId)) streams.set(mapId, new Set());
+  streams.get(mapId).add(res);
+
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEPALIVE_MS);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    streams.get(mapId).delete(res);
+  });
+}
+
+const ANONYMOUS = { id: "anonymous", email: null, name: "Anonymous" };
+const POSITION_KEYS = ["xPercent", "yPercent"];
+
+function actorOf(req) {
+  const match = /^Bearer stub:(.+)$/.exec(req.headers.authorization ?? "");
+  if (!match) return ANONYMOUS;
+  const email = match[1];
+  return { id: email, email, name: email.split("@")[0] };
+}
+
+// `X-Performed-At`: when the change was made offline, if it's being replayed later.
+function record(req, type, pin, at = req.headers["x-performed-at"]) {
+  activity.push({
+    id: activity.length + 1,
+    mapId: pin.mapId,
+    type,
+    pinId: pin.id,
+    pinName: pin.name ?? null,
+    actor: actorOf(req),
+    at: at ?? new Date().toISOString(),
+  });
+}
+
+function changePin(pin, patch, clientId, type) {
+  Object.assign(pin, patch, { version: pin.version + 1 });
+  broadcast(pin.mapId, { type, pinId: pin.id, pin, clientId });
+  return pin;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split("/").filter(Boolean); // ["api", ...]
+  const clientId = req.headers["x-client-id"] ?? null;
+  const method = req.method;
+
+  if (parts[0] !== "api") return send(res, 404, { message: "Not found" });
+
+  if (parts[1] === "auth" && method === "POST") {
+    const { email } = await readJson(req);
+    if (parts[2] === "login") {
+      const user = { id: email, email, name: String(email).split("@")[0] };
+      const token = `stub:${email}`;
+      return send(res, 200, { accessToken: token, refreshToken: token, user });
+    }
+    if (parts[2] === "refresh") return send(res, 200, {});
+    return send(res, 204);
+  }
+
+  const [, resource, rawId, sub] = parts;
+  const id = Number(rawId);
+
+  if (resource === "maps" && rawId == null && method === "GET") return send(res, 200, maps);
+
+  if (resource === "maps" && sub === "events" && method === "GET") {
+    return openStream(req, res, id);
+  }
+
+  if (resource === "maps" && sub === "activity" && method === "GET") {
+    return send(res, 200, activity.filter((a) => a.mapId === id).reverse());
+  }
+
+  if (resource === "maps" && sub === "pins") {
+    if (method === "GET") return send(res, 200, [...pins.values()].filter((p) => p.mapId === id));
+    if (method === "POST") {
+      const pin = { ...(await readJson(req)), id: nextId++, mapId: id, version: 1 };
+      pins.set(pin.id, pin);
+      record(req, "created", pin);
+      broadcast(id, { type: "created", pinId: pin.id, pin, clientId });
+      return send(res, 201, pin);
+    }
+  }
+
+  if (resource === "pins" && pins.has(id)) {
+    const pin = pins.get(id);
+
+    if (sub == null && method === "PATCH") {
+      const ifMatch = req.headers["if-match"];
+      if (ifMatch && ifMatch !== `"${pin.version}"`) {
+        return send(res, 412, { message: "Pin was changed meanwhile" });
+      }
+      const patch = await readJson(req);
+      const isMove = Object.keys(patch).every((key) => POSITION_KEYS.includes(key));
+      record(req, isMove ? "moved" : "edited", pin);
+      return send(res, 200, changePin(pin, patch, clientId, "updated"));
+    }
+
+    if (sub == null && method === "DELETE") {
+      pins.delete(id);
+      record(req, "deleted", pin);
+      broadcast(pin.mapId, { type: "deleted", pinId: id, clientId });
+      return send(res, 204);
+    }
+
+    if (sub === "water" && method === "POST") {
+      const { wateredAt } = await readJson(req);
+      const lastWatered = wateredAt ?? new Date().toISOString();
+      record(req, "watered", pin, lastWatered);
+      return send(res, 200, changePin(pin, { lastWatered }, clientId, "watered"));
+    }
+
+    if (sub === "fertilise" && method === "POST") {
+      const lastFertilised = new Date().toISOString();
+      record(req, "fertilised", pin);
+      return send(res, 200, changePin(pin, { lastFertilised }, clientId, "updated"));
+    }
+  }
+
+  if (method === "GET") return send(res, 200, []);
+  return send(res, 404, { message: "Not supported by the stub server" });
+}
+
+createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, If-Match, X-Client-Id, X-Performed-At"
+  );
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  handle(req, res).catch((e) => {
+    console.error(e);
+    send(res, 500, { message: "Stub server error" });
+  });
+}).listen(PORT, () => {
+  console.log(`Stub API on http://localhost:${PORT}`);
+});
@@ -1,25 +1,188 @@
-import { useState, useRef, useEffect, useCallback } from "react";
+import {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
 import ZoomableImage from "./components/ZoomableImage";
 import PinLayer from "./components/PinLayer";
 import DetailsPanel from "./components/DetailsPanel";
+import MapSwitcher from "./components/MapSwitcher";
+import WateringLegend from "./components/WateringLegend";
+import CareAgenda from "./components/CareAgenda";
+import JournalFeed from "./components/JournalFeed";
+import ActivityFeed from "./components/ActivityFeed";
+import ReminderSettings from "./components/ReminderSettings";
+import ShareDialog from "./components/ShareDialog";
+import FieldManager from "./components/FieldManager";
+import PinSearch from "./components/PinSearch";
+import SyncStatus from "./components/SyncStatus";
+import BulkActions from "./components/BulkActions";
+import GardenTransferDialog from "./components/GardenTransferDialog";
+import CategoryLegend from "./components/CategoryLegend";
+import ZoneLayer from "./components/ZoneLayer";
+import ZonePanel from "./components/ZonePanel";
+import ZoneDrawBar from "./components/ZoneDrawBar";
+import ToastStack from "./components/ToastStack";
+import { showToast } from "./components/Toasts";
+import {
+  rectanglePoints,
+  isUsableRectangle,
+  nextZoneColor,
+  pinsInZone,
+} from "./components/Zones";
+import { getPinCategoryKey } from "./components/PinCategories";
+import { filterPins } from "./components/PinFilter";
+import { rectFromPoints, pinIdsInClientRect } from "./components/PinSelection";
+import {
+  EMPTY_HISTORY,
+  buildHistoryStep,
+  pushHistoryStep,
+  prepareReplay,
+  pinsBeforeMove,
+} from "./components/EditHistory";
+import {
+  resizeImageFile,
+  createPhotoVersions,
+  hasDifferentAspect,
+  realignPercent,
+} from "./components/MapImageTools";
 import gardenImg from "./assets/gardenimg.jpg";
 import pinImg from "./assets/pin.svg";
 import "./App.css";
-import { listPins, createPin, patchPin, waterPin, deletePin } from "./api/gardenApi";
+import {
+  listMaps,
+  createMap,
+  renameMap,
+  deleteMap,
+  uploadMapImage,
+  resolveMapImageUrl,
+  listFieldDefinitions,
+  createFieldDefinition,
+  updateFieldDefinition,
+  deleteFieldDefinition,
+  listZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  listPins,
+  waterPin,
+  deleteWatering,
+  uploadPhoto,
+  deletePhoto,
+  createNote,
+  updateNote,
+  deleteNote,
+  shareMap,
+  updateMapMember,
+  removeMapMember,
+} from "./api/gardenApi";
+import { getSession, subscribeSession } from "./api/session";
+import { signOut } from "./api/account";
+import { NetworkError, NotFoundError, ValidationError } from "./api/errors";
+import {
+  hasMapPins,
+  getPinsView,
+  replaceMapPins,
+  updateMapPins,
+  updateConfirmedPin,
+  confirmMutation,
+  forgetMapPins,
+} from "./api/pinCache";
+import {
+  initOutbox,
+  queueMutation,
+  applyMutation,
+  applyPendingMutations,
+  subscribeOutbox,
+  newTempPinId,
+  retryMutation,
+  resolveConflict,
+} from "./api/outbox";
+import {
+  readCachedMaps,
+  writeCachedMaps,
+  readCachedPins,
+  writeCachedPins,
+} from "./api/offlineStore";
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  registerReminderWorker,
+  loadReminderSettings,
+  saveReminderSettings,
+  saveReminderPlants,
+  forgetReminderPlants,
+  checkRemindersNow,
+  subscribeReminderClicks,
+  getNotificationPermission,
+  requestNotificationPermission,
+  isReminderSupported,
+  isPinMuted,
+  toggleMutedPin,
+} from "./api/reminders";
+import { subscribeLiveUpdates, mergeRemoteEvent } from "./api/liveUpdates";
 
 /**
  * App
- * - Holds global UI state (view/edit mode, selected pin, details panel)
- * - Loads and stores pins
+ * - Holds global UI state (view/edit mode, selected map, selected pin, details panel)
+ * - Loads maps and the pins of the selected map
  * - Converts clicks/drags into pin coordinates (percent-based)
- * - Coordinates ZoomableImage + PinLayer + DetailsPanel
+ * - Coordinates ZoomableImage + ZoneLayer + PinLayer + DetailsPanel + the side panels
+ *   (CareAgenda, JournalFeed, ActivityFeed)
  *
  * Notes:
  * - Pin positions are stored as percentages (0..100) so they remain valid across image sizes.
  * - Zoom/pan transform is tracked in a ref for accurate calculations without re-render lag.
+ * - The selected map lives in the URL (?map=<id>) so a shared link opens the same map.
+ * - Offline-first: maps/pins are cached in IndexedDB, pin mutations are applied locally
+ *   right away and queued in the outbox (api/outbox.js), which syncs them when online.
+ * - The server-confirmed pins are kept apart (api/pinCache.js), so a change the server refuses
+ *   is rolled back by recomputing the pins without it.
+ * - Edit mode multi-select: shift-click pins or shift-drag a box on the map; bulk actions
+ *   go through the outbox like single edits, tagged with a `batchId` to report failures.
+ * - Pin mutations are recorded for undo/redo (components/EditHistory.js); undoing queues the
+ *   compensating mutations through the same outbox path.
+ * - Maps can be shared (ShareDialog); viewers of a map never get Edit mode.
+ * - Adding, moving, watering and deleting a pin report back with a toast once the server
+ *   answered (components/Toasts.js); refused changes are rolled back and can be retried.
  */
 
-const MAP_ID = 1;
+const MAP_URL_PARAM = "map";
+// Set by reminder notifications: open the map at this pin.
+const PIN_URL_PARAM = "pin";
+
+// How long pins changed on another device stay highlighted.
+const REMOTE_HIGHLIGHT_MS = 8000;
+
+// How often an open tab asks the service worker whether today's digest is due.
+const REMINDER_CHECK_INTERVAL_MS = 1000 * 60 * 5;
+
+// Offline copies (pins, reminder due dates) are written once pins settle, not on every drag move.
+const OFFLINE_WRITE_DELAY_MS = 1000;
+
+// Toast text for pin mutations tagged with `notify` (single-pin actions from the map/popup).
+const PIN_ACTION_TEXT = {
+  add: { done: "Added", failed: "Couldn't add" },
+  move: { done: "Moved", failed: "Couldn't move" },
+  water: { done: "Watered", failed: "Couldn't water" },
+  delete: { done: "Deleted", failed: "Couldn't delete" },
+};
+
+// Below this a shift-drag is treated as a shift-click.
+const SELECTION_BOX_MIN_PX = 4;
+
+// Clicking this close to a polygon's first corner closes it.
+const ZONE_CLOSE_DISTANCE_PX = 10;
+
+let bulkBatchCounter = 0;
+let moveGroupCounter = 0;
+
+function isTypingTarget(target) {
+  const tag = target?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || target?.isContentEditable;
+}
 
 // Default values for newly created pins (easy to change later).
 const NEW_PIN_DEFAULTS = {
@@ -32,11 +195,80 @@ function clampPercent(value) {
   return Math.max(0, Math.min(100, value));
 }
 
+function readMapIdFromUrl() {
+  const raw = new URLSearchParams(window.location.search).get(MAP_URL_PARAM);
+  const id = Number(raw);
+  return raw && Number.isInteger(id) ? id : null;
+}
+
+function writeMapIdToUrl(mapId, { replace = false } = {}) {
+  const url = new URL(window.location.href);
+  if (mapId == null) url.searchParams.delete(MAP_URL_PARAM);
+  else url.searchParams.set(MAP_URL_PARAM, String(mapId));
+
+  if (url.href === window.location.href) return;
+  if (replace) window.history.replaceState(null, "", url);
+  else window.history.pushState(null, "", url);
+}
+
+function readPinIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(PIN_URL_PARAM);
+}
+
+function clearPinIdFromUrl() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(PIN_URL_PARAM)) return;
+  url.searchParams.delete(PIN_URL_PARAM);
+  window.history.replaceState(null, "", url);
+}
+
 function App() {
   const [mode, setMode] = useState("view");
+  const [maps, setMaps] = useState([]);
+  const [mapId, setMapId] = useState(readMapIdFromUrl);
   const [pins, setPins] = useState([]);
+  const [pinsReloadKey, setPinsReloadKey] = useState(0);
   const [selectedPinId, setSelectedPinId] = useState(null);
   const [isDetailsOpen, setIsDetailsOpen] = useState(false);
+  // Right-hand side panel: "agenda" | "journal" | "activity" | null (one at a time).
+  const [sidePanel, setSidePanel] = useState(null);
+  // Bumped after every journal change so the open journal views reload.
+  const [journalRevision, setJournalRevision] = useState(0);
+  // Bumped whenever a pin change is synced or comes in from another device (reloads Activity).
+  const [activityRevision, setActivityRevision] = useState(0);
+  const [reminderSettings, setReminderSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  const [isReminderSettingsOpen, setIsReminderSettingsOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const session = useSyncExternalStore(subscribeSession, getSession);
+  // Pin to open once its map's pins are loaded (from `?pin=` or a notification click).
+  const [pendingFocusPinId, setPendingFocusPinId] = useState(readPinIdFromUrl);
+  const [liveStatus, setLiveStatus] = useState("connecting");
+  // Pins recently changed on another device (highlighted for a few seconds).
+  const [remoteChangedPinIds, setRemoteChangedPinIds] = useState(() => new Set());
+  const remoteHighlightTimersRef = useRef(new Map());
+  // Pins under the pointer right now: remote changes don't move them until they're dropped.
+  const draggingPinIdsRef = useRef(new Set());
+  const [fieldDefinitions, setFieldDefinitions] = useState([]);
+  const [isFieldManagerOpen, setIsFieldManagerOpen] = useState(false);
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
+
+  const [searchQuery, setSearchQuery] = useState("");
+  const [hiddenCategories, setHiddenCategories] = useState(() => new Set());
+
+  // Zones/beds of the current map, and the one being drawn ({ shape, points } | null).
+  const [zones, setZones] = useState([]);
+  const [selectedZoneId, setSelectedZoneId] = useState(null);
+  const [zoneDraft, setZoneDraft] = useState(null);
+
+  // Multi-select (edit mode only).
+  const [selectedPinIds, setSelectedPinIds] = useState(() => new Set());
+  const [selectionBox, setSelectionBox] = useState(null);
+  const [bulkReport, setBulkReport] = useState(null);
+  const suppressClickRef = useRef(false);
+
+  // Point ZoomableImage should pan to (new object = new request).
+  const [focusTarget, setFocusTarget] = useState(null);
 
   // Used by PinLayer to render pins based on the latest known transform.
   const [transformState, setTransformState] = useState({
@@ -51,17 +283,119 @@ function App() {
   });
 
   // Natural image size (needed to map client coords -> percent coords).
-  // Stored in a ref.
+  // The ref is for coordinate math; the state re-renders PinLayer when the map image is replaced.
   const imageSizeRef = useRef({ width: 0, height: 0 });
+  const [imageSize, setImageSize] = useState({ width: 0, height: 0 });
+
+  // Which map the current `pins` belong to (null while switching), so we never cache
+  // one map's pins under another map's key. Also read by the outbox listener.
+  const pinsMapIdRef = useRef(null);
+  const mapsLoadedRef = useRef(false);
+
+  // Undo/redo. The ref is the source of truth (handlers may run twice before a re-render),
+  // the state only re-renders the toolbar buttons.
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const historyRef = useRef(EMPTY_HISTORY);
+  const pinIdAliasesRef = useRef(new Map());
 
   const selectedPin = pins.find((p) => p.id === selectedPinId) ?? null;
+  const selectedMap = maps.find((m) => m.id === mapId) ?? null;
+  // Maps without a role (older servers, cached before sharing existed) are treated as our own.
+  const canEdit = selectedMap?.role !== "viewer";
+  const isOwner = selectedMap?.role == null || selectedMap.role === "owner";
+  const multiSelectedPins = pins.filter((p) => selectedPinIds.has(p.id));
+  const selectedZone = zones.find((z) => z.id === selectedZoneId) ?? null;
+  const selectedZonePins = useMemo(
+    () => (selectedZone ? pinsInZone(pins, selectedZone) : []),
+    [pins, selectedZone]
+  );
+
+  // Pins drawn on the map (categories can be hidden from the legend).
+  const visiblePins = useMemo(
+    () =>
+      hiddenCategories.size === 0
+        ? pins
+        : pins.filter((p) => !hiddenCategories.has(getPinCategoryKey(p))),
+    [pins, hiddenCategories]
+  );
+
+  const searchResults = useMemo(
+    () => filterPins(pins, searchQuery, fieldDefinitions),
+    [pins, searchQuery, fieldDefinitions]
+  );
+  const matchingPinIds = useMemo(
+    () => (searchResults ? new Set(searchResults.map((p) => p.id)) : null),
+    [searchResults]
+  );
+  const mapImageSrc = resolveMapImageUrl(selectedMap) ?? gardenImg;
+
+  const selectMap = useCallback((nextMapId, { replace = false } = {}) => {
+    setMapId(nextMapId);
+    setSelectedPinId(null);
+    setIsDetailsOpen(false);
+    writeMapIdToUrl(nextMapId, { replace });
+  }, []);
 
+  // For pins the server just returned (watering log, photos): shown and kept as confirmed,
+  // so a later rollback (see the outbox listener) doesn't bring back the older copy.
   const updatePinLocal = useCallback((pinId, patchOrDto) => {
+    updateConfirmedPin(pinId, (pin) => ({ ...pin, ...patchOrDto }));
     setPins((prevPins) =>
       prevPins.map((pin) => (pin.id === pinId ? { ...pin, ...patchOrDto } : pin))
     );
   }, []);
 
+  const updateHistory = useCallback((update) => {
+    historyRef.current = update(historyRef.current);
+    setHistory(historyRef.current);
+  }, []);
+
+  // Applies pin mutations locally right away and queues them for the server.
+  // Recorded as a single undo step unless `record` is false (undo/redo itself); `pinsBefore`
+  // is what undo goes back to when the pins already show the change (a drag).
+  const mutatePins = useCallback(
+    (mutations, { record = true, pinsBefore = pins } = {}) => {
+      const now = new Date().toISOString();
+      const entries = mutations.map((mutation) => {
+        const pin = pins.find((p) => p.id === mutation.pinId);
+        return {
+          mapId,
+          pinName: pin?.name ?? mutation.payload?.name,
+          baseVersion: pin?.version,
+          at: now,
+          ...mutation,
+        };
+      });
+
+      setPins((prev) => entries.reduce(applyMutation, prev));
+      entries.forEach((entry) => queueMutation(entry));
+
+      if (record) {
+        const step = buildHistoryStep(entries, pinsBefore);
+        if (step) updateHistory((h) => pushHistoryStep(h, step));
+      }
+    },
+    [pins, mapId, updateHistory]
+  );
+
+  const mutatePin = useCallback((mutation) => mutatePins([mutation]), [mutatePins]);
+
+  const handleUndo = useCallback(() => {
+    const step = historyRef.current.past.at(-1);
+    if (!step) return;
+
+    updateHistory((h) => ({ past: h.past.slice(0, -1), future: [...h.future, step] }));
+    mutatePins(prepareReplay(step.backward, pinIdAliasesRef.current), { record: false });
+  }, [mutatePins, updateHistory]);
+
+  const handleRedo = useCallback(() => {
+    const step = historyRef.current.future.at(-1);
+    if (!step) return;
+
+    updateHistory((h) => ({ past: [...h.past, step], future: h.future.slice(0, -1) }));
+    mutatePins(prepareReplay(step.forward, pinIdAliasesRef.current), { record: false });
+  }, [mutatePins, updateHistory]);
+
   const handleTransformChange = useCallback((transform) => {
     transformRef.current = transform;
 
@@ -72,41 +406,54 @@ function App() {
   }, []);
 
   const handleImageMeta = useCallback(({ naturalWidth, naturalHeight }) => {
-    imageSizeRef.current = { width: naturalWidth, height: naturalHeight };
+    const next = { width: naturalWidth, height: naturalHeight };
+    imageSizeRef.current = next;
+    setImageSize(next);
+  }, []);
+
+  // Client (screen) coordinates -> percent coordinates on the map image (null before it loaded).
+  const clientToPercent = useCallback((clientX, clientY) => {
+    const { scale, pos } = transformRef.current;
+    const { width, height } = imageSizeRef.current;
+    if (!width || !height) return null;
+
+    return {
+      xPercent: clampPercent(((clientX - pos.x) / (width * scale)) * 100),
+      yPercent: clampPercent(((clientY - pos.y) / (height * scale)) * 100),
+    };
   }, []);
 
   const addPinAtClient = useCallback(
     async (clientX, clientY) => {
-      const { scale, pos } = transformRef.current;
-      const { width, height } = imageSizeRef.current;
-      if (!width || !height) return;
-
-      const xPercent = ((clientX - pos.x) / (width * scale)) * 100;
-      const yPercent = ((clientY - pos.y) / (height * scale)) * 100;
+      const point = clientToPercent(clientX, clientY);
+      if (!point) return;
+      if (mapId == null) return;
 
-      const payload = {
-        xPercent: clampPercent(xPercent),
-        yPercent: clampPercent(yPercent),
-        ...NEW_PIN_DEFAULTS,
-      };
+      const payload = { ...point, ...NEW_PIN_DEFAULTS };
 
-      try {
-        const created = await createPin(MAP_ID, payload);
-        setPins((prev) => [...prev, created]);
-      } catch (e) {
-        console.error("Create pin failed:", e);
-      }
+      mutatePin({ type: "create", pinId: newTempPinId(), payload, notify: "add" });
     },
-    [setPins]
+    [mapId, mutatePin, clientToPercent]
   );
 
   const handleTopLevelClick = useCallback(
     (e) => {
+      // The click that ends a selection box isn't a real click.
+      if (suppressClickRef.current) {
+        suppressClickRef.current = false;
+        return;
+      }
+
       // Adds a new pin only in Edit mode + Ctrl pressed
       if (mode === "edit" && e.ctrlKey) {
         addPinAtClient(e.clientX, e.clientY);
       }
 
+      // A plain click on the map drops the multi-selection.
+      if (!e.shiftKey && !e.ctrlKey && e.target.closest?.(".zoomable-container")) {
+        setSelectedPinIds((ids) => (ids.size > 0 ? new Set() : ids));
+      }
+
       // If details are closed, clicking empty space deselects.
       if (!isDetailsOpen && selectedPinId !== null) {
         setSelectedPinId(null);
@@ -115,25 +462,234 @@ function App() {
     [mode, addPinAtClient, isDetailsOpen, selectedPinId]
   );
 
-  const handleMovePin = useCallback(
-    (pinId, { xPercent, yPercent }) => {
-      updatePinLocal(pinId, { xPercent, yPercent });
+  // Touch equivalent of Ctrl+Click.
+  const handleLongPress = useCallback(
+    (clientX, clientY) => {
+      if (mode === "edit") addPinAtClient(clientX, clientY);
     },
-    [updatePinLocal]
+    [mode, addPinAtClient]
   );
 
-  const handleCommitMovePin = useCallback(
-    async (pinId, { xPercent, yPercent }) => {
+  const finishZoneDraft = useCallback(
+    async (points) => {
+      setZoneDraft(null);
+      const input = window.prompt("Name this zone or bed:", `Bed ${zones.length + 1}`);
+      const name = (input ?? "").trim();
+      if (!name || mapId == null) return;
+
       try {
-        const updated = await patchPin(pinId, { xPercent, yPercent });
-        updatePinLocal(pinId, updated);
+        const created = await createZone(mapId, { name, color: nextZoneColor(zones), points });
+        setZones((prev) => [...prev, created]);
+        setSelectedZoneId(created.id);
       } catch (e) {
-        console.error("Move save failed:", e);
+        console.error("Create zone failed:", e);
       }
     },
-    [updatePinLocal]
+    [zones, mapId]
+  );
+
+  // Drawing a zone: clicks add polygon corners, a drag spans a rectangle. No panning meanwhile.
+  const handleZoneDraftPointerDown = useCallback(
+    (e) => {
+      e.stopPropagation();
+      suppressClickRef.current = true;
+
+      const point = clientToPercent(e.clientX, e.clientY);
+      if (!point) return;
+
+      if (zoneDraft.shape === "polygon") {
+        const [first] = zoneDraft.points;
+        if (first && zoneDraft.points.length >= 3) {
+          const { scale, pos } = transformRef.current;
+          const { width, height } = imageSizeRef.current;
+          const firstX = pos.x + (first.xPercent / 100) * width * scale;
+          const firstY = pos.y + (first.yPercent / 100) * height * scale;
+          if (Math.hypot(e.clientX - firstX, e.clientY - firstY) <= ZONE_CLOSE_DISTANCE_PX) {
+            finishZoneDraft(zoneDraft.points);
+            return;
+          }
+        }
+        setZoneDraft((d) => ({ ...d, points: [...d.points, point] }));
+        return;
+      }
+
+      setZoneDraft((d) => ({ ...d, points: rectanglePoints(point, point) }));
+
+      const onMove = (ev) => {
+        const next = clientToPercent(ev.clientX, ev.clientY);
+        if (next) setZoneDraft((d) => d && { ...d, points: rectanglePoints(point, next) });
+      };
+
+      const onUp = (ev) => {
+        window.removeEventListener("pointermove", onMove);
+        window.removeEventListener("pointerup", onUp);
+        window.removeEventListener("pointercancel", onUp);
+
+        const points = rectanglePoints(point, clientToPercent(ev.clientX, ev.clientY) ?? point);
+        if (ev.type === "pointerup" && isUsableRectangle(points)) finishZoneDraft(points);
+        else setZoneDraft((d) => d && { ...d, points: [] });
+      };
+
+      window.addEventListener("pointermove", onMove);
+      window.addEventListener("pointerup", onUp);
+      window.addEventListener("pointercancel", onUp);
+    },
+    [zoneDraft, clientToPercent, finishZoneDraft]
+  );
+
+  // Shift-drag on the map (edit mode) draws a selection box instead of panning.
+  const handlePointerDownCapture = useCallback(
+    (e) => {
+      suppressClickRef.current = false;
+      if (mode !== "edit") return;
+      if (!e.target.closest?.(".zoomable-container")) return;
+
+      if (zoneDraft) {
+        handleZoneDraftPointerDown(e);
+        return;
+      }
+      if (!e.shiftKey) return;
+
+      e.stopPropagation(); // keeps ZoomableImage from panning
+      const start = { x: e.clientX, y: e.clientY };
+      setSelectionBox(rectFromPoints(start, start));
+
+      const onMove = (ev) =>
+        setSelectionBox(rectFromPoints(start, { x: ev.clientX, y: ev.clientY }));
+
+      const onUp = (ev) => {
+        window.removeEventListener("pointermove", onMove);
+        window.removeEventListener("pointerup", onUp);
+        window.removeEventListener("pointercancel", onUp);
+        setSelectionBox(null);
+
+        const rect = rectFromPoints(start, { x: ev.clientX, y: ev.clientY });
+        if (Math.max(rect.width, rect.height) < SELECTION_BOX_MIN_PX) return;
+
+        suppressClickRef.current = true;
+        const ids = pinIdsInClientRect(
+          visiblePins,
+          rect,
+          transformRef.current,
+          imageSizeRef.current
+        );
+        setSelectedPinIds((prev) => new Set([...prev, ...ids]));
+      };
+
+      window.addEventListener("pointermove", onMove);
+      window.addEventListener("pointerup", onUp);
+      window.addEventListener("pointercancel", onUp);
+    },
+    [mode, visiblePins, zoneDraft, handleZoneDraftPointerDown]
+  );
+
+  // While drawing, a double-click adds corners instead of zooming.
+  const handleDoubleClickCapture = useCallback(
+    (e) => {
+      if (zoneDraft) e.stopPropagation();
+    },
+    [zoneDraft]
+  );
+
+  const handleToggleCategory = useCallback((key) => {
+    setHiddenCategories((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }, []);
+
+  const handleToggleSelectPin = useCallback((pinId) => {
+    setSelectedPinIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(pinId)) next.delete(pinId);
+      else next.add(pinId);
+      return next;
+    });
+  }, []);
+
+  const toggleSidePanel = useCallback((panel) => {
+    setSidePanel((open) => (open === panel ? null : panel));
+  }, []);
+
+  const handleClearSelection = useCallback(() => {
+    setSelectedPinIds(new Set());
+    setBulkReport(null);
+  }, []);
+
+  const handleMovePins = useCallback((positions) => {
+    const byId = new Map(positions.map((p) => [p.pinId, p]));
+    draggingPinIdsRef.current = new Set(byId.keys());
+    setPins((prev) =>
+      prev.map((pin) => {
+        const next = byId.get(pin.id);
+        return next ? { ...pin, xPercent: next.xPercent, yPercent: next.yPercent } : pin;
+      })
+    );
+  }, []);
+
+  const handleCommitMovePins = useCallback(
+    (positions, origins = []) => {
+      draggingPinIdsRef.current = new Set();
+      const moveGroupId =
+        positions.length > 1 ? `move-${Date.now()}-${++moveGroupCounter}` : undefined;
+      mutatePins(
+        positions.map(({ pinId, xPercent, yPercent }) => ({
+          type: "patch",
+          pinId,
+          payload: { xPercent, yPercent },
+          notify: "move",
+          moveGroupId,
+        })),
+        { pinsBefore: pinsBeforeMove(pins, origins) }
+      );
+    },
+    [pins, mutatePins]
+  );
+
+  // Applies the same mutation to every selected pin, tracking the outcome in `bulkReport`.
+  const runBulkAction = useCallback(
+    (label, toMutation) => {
+      if (multiSelectedPins.length === 0) return;
+
+      const batchId = `bulk-${Date.now()}-${++bulkBatchCounter}`;
+      setBulkReport({ batchId, label, total: multiSelectedPins.length, succeeded: 0, failed: [] });
+      mutatePins(multiSelectedPins.map((pin) => ({ ...toMutation(pin), batchId })));
+    },
+    [multiSelectedPins, mutatePins]
+  );
+
+  const handleBulkWater = useCallback(
+    () => runBulkAction("Watered", (pin) => ({ type: "water", pinId: pin.id })),
+    [runBulkAction]
+  );
+
+  const handleBulkSetInterval = useCallback(
+    (days) =>
+      runBulkAction("Interval set", (pin) => ({
+        type: "patch",
+        pinId: pin.id,
+        payload: { wateringIntervalDays: days },
+      })),
+    [runBulkAction]
+  );
+
+  const handleBulkChangeType = useCallback(
+    (type) =>
+      runBulkAction("Type changed", (pin) => ({ type: "patch", pinId: pin.id, payload: { type } })),
+    [runBulkAction]
   );
 
+  const handleBulkDelete = useCallback(() => {
+    runBulkAction("Deleted", (pin) => ({ type: "delete", pinId: pin.id }));
+    if (selectedPinIds.has(selectedPinId)) {
+      setIsDetailsOpen(false);
+      setSelectedPinId(null);
+    }
+    setSelectedPinIds(new Set());
+  }, [runBulkAction, selectedPinIds, selectedPinId]);
+
   const handleOpenPin = useCallback((pinId) => {
     setSelectedPinId(pinId);
   }, []);
@@ -143,15 +699,34 @@ function App() {
   }, []);
 
   const handleMarkWatered = useCallback(
-    async (pinId) => {
-      try {
-        const updated = await waterPin(pinId);
-        updatePinLocal(pinId, updated);
-      } catch (e) {
-        console.error("Water failed:", e);
-      }
+    (pinId) => {
+      mutatePin({ type: "water", pinId, notify: "water" });
     },
-    [updatePinLocal]
+    [mutatePin]
+  );
+
+  // Pans to a pin and opens its popup. `zoom` (optional) zooms in relative to the fitted scale.
+  const handleFocusPin = useCallback(
+    (pinId, { zoom } = {}) => {
+      const pin = pins.find((p) => p.id === pinId);
+      if (!pin) return;
+
+      setFocusTarget({ xPercent: pin.xPercent, yPercent: pin.yPercent, zoom });
+      setSelectedPinId(pinId);
+    },
+    [pins]
+  );
+
+  const handleSelectSearchResult = useCallback(
+    (pinId) => handleFocusPin(pinId, { zoom: 2.5 }),
+    [handleFocusPin]
+  );
+
+  const handleMarkFertilised = useCallback(
+    (pinId) => {
+      mutatePin({ type: "fertilise", pinId });
+    },
+    [mutatePin]
   );
 
   const handleOpenDetails = useCallback((pinId) => {
@@ -166,87 +741,1033 @@ function App() {
 
   const handleUpdatePin = useCallback(
     async (pinId, patch) => {
+      mutatePin({ type: "patch", pinId, payload: patch });
+    },
+    [mutatePin]
+  );
+
+  const handleAddWatering = useCallback(
+    async (pinId, event) => {
       try {
-        const updated = await patchPin(pinId, patch);
+        const updated = await waterPin(pinId, event);
         updatePinLocal(pinId, updated);
       } catch (e) {
-        console.error("Update failed:", e);
-        throw e; // for later?
+        console.error("Add watering failed:", e);
+        throw e;
+      }
+    },
+    [updatePinLocal]
+  );
+
+  const handleDeleteWatering = useCallback(
+    async (pinId, wateringId) => {
+      try {
+        const updated = await deleteWatering(pinId, wateringId);
+        if (updated) updatePinLocal(pinId, updated);
+      } catch (e) {
+        console.error("Delete watering failed:", e);
+        throw e;
+      }
+    },
+    [updatePinLocal]
+  );
+
+  const handleUploadPhoto = useCallback(
+    async (pinId, file, { takenAt, caption }) => {
+      try {
+        const { image, thumbnail } = await createPhotoVersions(file);
+        const photo = await uploadPhoto(pinId, {
+          image,
+          thumbnail,
+          fileName: file.name,
+          takenAt,
+          caption,
+        });
+
+        // The popup thumbnail follows the most recent photo (back-dated uploads don't replace it).
+        const withPhoto = (p) => {
+          const current = p.latestPhoto?.takenAt ? new Date(p.latestPhoto.takenAt) : null;
+          if (current && current > new Date(photo.takenAt)) return p;
+          return { ...p, latestPhoto: photo };
+        };
+        updateConfirmedPin(pinId, withPhoto);
+        setPins((prev) => prev.map((p) => (p.id === pinId ? withPhoto(p) : p)));
+      } catch (e) {
+        console.error("Photo upload failed:", e);
+        throw e;
+      }
+    },
+    []
+  );
+
+  const handleDeletePhoto = useCallback(
+    async (pinId, photoId) => {
+      try {
+        const updated = await deletePhoto(pinId, photoId);
+        if (updated) updatePinLocal(pinId, updated);
+      } catch (e) {
+        console.error("Delete photo failed:", e);
+        throw e;
       }
     },
     [updatePinLocal]
   );
 
-  const handleDeletePin = useCallback(async (pinId) => {
+  const handleAddNote = useCallback(async (pinId, text) => {
+    try {
+      await createNote(pinId, text);
+      setJournalRevision((r) => r + 1);
+    } catch (e) {
+      console.error("Add note failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleUpdateNote = useCallback(async (noteId, text) => {
+    try {
+      await updateNote(noteId, text);
+      setJournalRevision((r) => r + 1);
+    } catch (e) {
+      console.error("Update note failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleDeleteNote = useCallback(async (noteId) => {
+    try {
+      await deleteNote(noteId);
+      setJournalRevision((r) => r + 1);
+    } catch (e) {
+      console.error("Delete note failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleShareMap = useCallback(async (targetMapId, member) => {
+    try {
+      await shareMap(targetMapId, member);
+    } catch (e) {
+      console.error("Sharing map failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleChangeMemberRole = useCallback(async (targetMapId, userId, role) => {
+    try {
+      await updateMapMember(targetMapId, userId, role);
+    } catch (e) {
+      console.error("Changing member role failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleRemoveMember = useCallback(async (targetMapId, userId) => {
+    try {
+      await removeMapMember(targetMapId, userId);
+    } catch (e) {
+      console.error("Removing member failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleToggleReminderMute = useCallback(
+    (pinId) => {
+      const next = toggleMutedPin(reminderSettings, pinId);
+      setReminderSettings(next);
+      saveReminderSettings(next);
+    },
+    [reminderSettings]
+  );
+
+  const handleSaveReminderSettings = useCallback(async (settings) => {
     try {
-      await deletePin(pinId);
-      setPins((prev) => prev.filter((p) => p.id !== pinId));
+      await saveReminderSettings(settings);
+      setReminderSettings(settings);
+    } catch (e) {
+      console.error("Saving reminder settings failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleRequestNotificationPermission = useCallback(async () => {
+    const permission = await requestNotificationPermission();
+    setNotificationPermission(permission);
+    return permission;
+  }, []);
+
+  const handleDeletePin = useCallback(
+    (pinId) => {
+      mutatePin({ type: "delete", pinId, notify: "delete" });
       setIsDetailsOpen(false);
       setSelectedPinId(null);
+    },
+    [mutatePin]
+  );
+
+  const handleCreateMap = useCallback(
+    async (name) => {
+      try {
+        const created = await createMap({ name });
+        setMaps((prev) => [...prev, created]);
+        selectMap(created.id);
+      } catch (e) {
+        console.error("Create map failed:", e);
+      }
+    },
+    [selectMap]
+  );
+
+  const handleRenameMap = useCallback(async (targetMapId, name) => {
+    try {
+      const updated = await renameMap(targetMapId, name);
+      setMaps((prev) => prev.map((m) => (m.id === targetMapId ? { ...m, ...updated } : m)));
     } catch (e) {
-      console.error("Delete failed:", e);
+      console.error("Rename map failed:", e);
     }
   }, []);
 
+  const handleDeleteMap = useCallback(
+    async (targetMapId) => {
+      try {
+        await deleteMap(targetMapId);
+        forgetReminderPlants(targetMapId);
+        forgetMapPins(targetMapId);
+        const remaining = maps.filter((m) => m.id !== targetMapId);
+        setMaps(remaining);
+        if (targetMapId === mapId) selectMap(remaining[0]?.id ?? null, { replace: true });
+      } catch (e) {
+        console.error("Delete map failed:", e);
+      }
+    },
+    [maps, mapId, selectMap]
+  );
+
+  const handleUploadMapImage = useCallback(
+    async (targetMapId, file) => {
+      try {
+        const resized = await resizeImageFile(file);
+        const newSize = { width: resized.width, height: resized.height };
+        const oldSize = imageSizeRef.current;
+
+        // Only the visible map has a known old size (and loaded pins) to re-align against.
+        const canRealign =
+          targetMapId === mapId &&
+          (pins.length > 0 || zones.length > 0) &&
+          hasDifferentAspect(oldSize, newSize);
+        const shouldRealign =
+          canRealign &&
+          window.confirm(
+            "The new image has a different shape than the old one.\n\n" +
+              "OK: re-align pins and zones so they stay on the same spot of the garden.\n" +
+              "Cancel: keep them at the same relative position (stretched)."
+          );
+
+        const updated = await uploadMapImage(targetMapId, resized.blob, file.name);
+        setMaps((prev) => prev.map((m) => (m.id === targetMapId ? { ...m, ...updated } : m)));
+
+        if (!shouldRealign) return;
+
+        const realign = (point) => {
+          const next = realignPercent(point, oldSize, newSize);
+          return { xPercent: clampPercent(next.xPercent), yPercent: clampPercent(next.yPercent) };
+        };
+
+        mutatePins(pins.map((pin) => ({ type: "patch", pinId: pin.id, payload: realign(pin) })));
+
+        // Zones aren't in the outbox: keep the ones that saved, leave the rest where they were.
+        const realignedZones = zones.map((zone) => ({
+          ...zone,
+          points: zone.points.map(realign),
+        }));
+        const results = await Promise.allSettled(
+          realignedZones.map((zone) => updateZone(zone.id, { points: zone.points }))
+        );
+        const savedZones = new Map();
+        const failedZones = [];
+        results.forEach((result, i) => {
+          const zone = realignedZones[i];
+          if (result.status === "fulfilled") savedZones.set(zone.id, { ...zone, ...result.value });
+          else failedZones.push({ zone, error: result.reason });
+        });
+
+        setZones((prev) => prev.map((z) => savedZones.get(z.id) ?? z));
+        if (failedZones.length > 0) {
+          failedZones.forEach(({ zone, error }) =>
+            console.error(`Re-aligning zone ${zone.id} failed:`, error)
+          );
+          showToast({
+            tone: "error",
+            message:
+              failedZones.length === 1
+                ? `Couldn't re-align zone "${failedZones[0].zone.name}"`
+                : `Couldn't re-align ${failedZones.length} zones`,
+          });
+        }
+      } catch (e) {
+        console.error("Map image upload failed:", e);
+      }
+    },
+    [mapId, pins, zones, mutatePins]
+  );
+
+  const handleRenameZone = useCallback(async (zoneId, name) => {
+    try {
+      const updated = await updateZone(zoneId, { name });
+      setZones((prev) => prev.map((z) => (z.id === zoneId ? { ...z, ...updated } : z)));
+    } catch (e) {
+      console.error("Rename zone failed:", e);
+    }
+  }, []);
+
+  const handleDeleteZone = useCallback(async (zoneId) => {
+    try {
+      await deleteZone(zoneId);
+      setZones((prev) => prev.filter((z) => z.id !== zoneId));
+      setSelectedZoneId((id) => (id === zoneId ? null : id));
+    } catch (e) {
+      console.error("Delete zone failed:", e);
+    }
+  }, []);
+
+  const handleWaterZone = useCallback(() => {
+    mutatePins(selectedZonePins.map((pin) => ({ type: "water", pinId: pin.id })));
+  }, [selectedZonePins, mutatePins]);
+
+  const handleSelectZonePins = useCallback(() => {
+    setSelectedPinIds(new Set(selectedZonePins.map((p) => p.id)));
+  }, [selectedZonePins]);
+
+  const handleCreateField = useCallback(
+    async (payload) => {
+      try {
+        const created = await createFieldDefinition(mapId, payload);
+        setFieldDefinitions((prev) => [...prev, created]);
+      } catch (e) {
+        console.error("Create field failed:", e);
+        throw e;
+      }
+    },
+    [mapId]
+  );
+
+  const handleUpdateField = useCallback(async (fieldId, patch) => {
+    try {
+      const updated = await updateFieldDefinition(fieldId, patch);
+      setFieldDefinitions((prev) => prev.map((d) => (d.id === fieldId ? { ...d, ...updated } : d)));
+    } catch (e) {
+      console.error("Update field failed:", e);
+      throw e;
+    }
+  }, []);
+
+  const handleDeleteField = useCallback(async (fieldId) => {
+    try {
+      await deleteFieldDefinition(fieldId);
+      setFieldDefinitions((prev) => prev.filter((d) => d.id !== fieldId));
+
+      // The server drops the values too; mirror that locally.
+      setPins((prev) =>
+        prev.map((pin) => {
+          if (!pin.customFields || !(fieldId in pin.customFields)) return pin;
+          const { [fieldId]: _removed, ...rest } = pin.customFields;
+          return { ...pin, customFields: rest };
+        })
+      );
+    } catch (e) {
+      console.error("Delete field failed:", e);
+      throw e;
+    }
+  }, []);
+
+  // Imported pins go through the outbox like any other edit (one undo step).
+  const handleImportPlan = useCallback(
+    (plan) => {
+      mutatePins([
+        ...plan.creates.map(({ payload }) => ({
+          type: "create",
+          pinId: newTempPinId(),
+          payload,
+        })),
+        ...plan.updates.map(({ pinId, payload }) => ({ type: "patch", pinId, payload })),
+      ]);
+    },
+    [mutatePins]
+  );
+
+  // Load maps once, then pick the one from the URL (or the first one).
   useEffect(() => {
     let cancelled = false;
 
     (async () => {
+      let data;
       try {
-        const data = await listPins(MAP_ID);
-        if (!cancelled) setPins(data);
+        // The cached maps are the fallback: don't keep retrying a server that hangs.
+        data = await listMaps({ retry: false });
       } catch (e) {
-        console.error("Failed to load pins:", e);
+        if (e instanceof NetworkError) console.warn("Offline, using the cached maps:", e.message);
+        else console.error("Failed to load maps:", e);
+        data = await readCachedMaps();
+      }
+      if (cancelled || !data) return;
+
+      mapsLoadedRef.current = true;
+      setMaps(data);
+
+      const fromUrl = readMapIdFromUrl();
+      const initial = data.some((m) => m.id === fromUrl) ? fromUrl : data[0]?.id ?? null;
+      selectMap(initial, { replace: true });
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectMap]);
+
+  // The selected map disappeared from the list (deleted, or unshared): show another one.
+  useEffect(() => {
+    if (!mapsLoadedRef.current || mapId == null || maps.some((m) => m.id === mapId)) return;
+    selectMap(maps[0]?.id ?? null, { replace: true });
+  }, [maps, mapId, selectMap]);
+
+  // Browser back/forward switches maps too.
+  useEffect(() => {
+    const onPopState = () => {
+      setMapId(readMapIdFromUrl());
+      setSelectedPinId(null);
+      setIsDetailsOpen(false);
+    };
+
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (mapsLoadedRef.current) writeCachedMaps(maps);
+  }, [maps]);
+
+  useEffect(() => {
+    initOutbox();
+  }, []);
+
+  // Enter closes the polygon being drawn, Escape drops it.
+  useEffect(() => {
+    if (!zoneDraft) return;
+
+    const onKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      if (e.key === "Escape") setZoneDraft(null);
+      if (e.key === "Enter" && zoneDraft.shape === "polygon" && zoneDraft.points.length >= 3) {
+        finishZoneDraft(zoneDraft.points);
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [zoneDraft, finishZoneDraft]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (isTypingTarget(e.target) || !canEdit) return;
+
+      e.preventDefault();
+      if (e.shiftKey) handleRedo();
+      else handleUndo();
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [handleUndo, handleRedo, canEdit]);
+
+  // Merge what the outbox reports back from the server into local state.
+  useEffect(() => {
+    // Group moves confirm pin by pin: moveGroupId => pins confirmed so far.
+    const movedCounts = new Map();
+
+    return subscribeOutbox((event) => {
+      const { entry } = event;
+
+      if (entry.batchId) {
+        setBulkReport((report) => {
+          if (report?.batchId !== entry.batchId) return report;
+          if (event.type === "synced") return { ...report, succeeded: report.succeeded + 1 };
+
+          const message =
+            event.type === "conflict"
+              ? "changed elsewhere meanwhile (see sync status)"
+              : event.error?.message ?? "not saved";
+          return {
+            ...report,
+            failed: [...report.failed, { pinId: entry.pinId, pinName: entry.pinName, message }],
+          };
+        });
+      }
+
+      if (event.type === "synced") confirmMutation(entry, event.result);
+
+      const actionText = PIN_ACTION_TEXT[entry.notify];
+      const pinName = entry.pinName || NEW_PIN_DEFAULTS.name;
+      if (actionText && event.type === "synced" && entry.moveGroupId != null) {
+        // One toast for the whole group, counting up as the pins get confirmed.
+        const moved = (movedCounts.get(entry.moveGroupId) ?? 0) + 1;
+        movedCounts.set(entry.moveGroupId, moved);
+        showToast({
+          tone: "success",
+          message: `${actionText.done} ${moved === 1 ? "1 pin" : `${moved} pins`}`,
+          key: entry.moveGroupId,
+        });
+      } else if (actionText && event.type === "synced") {
+        showToast({ tone: "success", message: `${actionText.done} ${pinName}` });
+      } else if (event.type === "conflict" && !entry.batchId) {
+        // The pin keeps our version until this is settled (here or in the sync status pill).
+        showToast({
+          tone: "error",
+          message: `${actionText?.failed ?? "Couldn't save"} ${pinName}: changed on another device`,
+          action: { label: "Use theirs", onClick: () => resolveConflict(entry.id, "server") },
+        });
+      } else if (actionText && event.type === "rejected") {
+        showToast({
+          tone: "error",
+          message: `${actionText.failed} ${pinName}: ${event.error?.message ?? "not saved"}`,
+          action: {
+            label: "Retry",
+            onClick: () => {
+              if (entry.mapId === pinsMapIdRef.current) {
+                setPins((prev) => applyMutation(prev, entry));
+              }
+              retryMutation(entry);
+            },
+          },
+        });
       }
+
+      if (entry.mapId !== pinsMapIdRef.current) return; // other map: its cache is refreshed on open
+
+      if (event.type === "synced") {
+        setActivityRevision((r) => r + 1);
+        const { result } = event;
+        if (!result) return;
+
+        setPins((prev) =>
+          applyPendingMutations(
+            entry.mapId,
+            prev.map((p) => (p.id === entry.pinId ? { ...p, ...result } : p))
+          )
+        );
+        if (entry.type === "create") {
+          pinIdAliasesRef.current.set(entry.pinId, result.id);
+          setSelectedPinIds((ids) => {
+            if (!ids.has(entry.pinId)) return ids;
+            const next = new Set(ids);
+            next.delete(entry.pinId);
+            next.add(result.id);
+            return next;
+          });
+          setSelectedPinId((id) => (id === entry.pinId ? result.id : id));
+        }
+      } else if (event.type === "rejected") {
+        const { error } = event;
+        if (error instanceof ValidationError) {
+          console.warn(`Server refused ${entry.type}:`, error.message, error.fields);
+        } else if (error instanceof NotFoundError) {
+          // Deleted on another device meanwhile: drop it here too.
+          updateMapPins(entry.mapId, (list) => list.filter((p) => p.id !== entry.pinId));
+        } else {
+          console.error(`Server rejected ${entry.type}:`, error);
+        }
+
+        // Roll back: the confirmed pins plus whatever is still pending, minus this change.
+        if (hasMapPins(entry.mapId)) setPins(getPinsView(entry.mapId));
+        else setPinsReloadKey((k) => k + 1);
+      } else if (event.type === "discarded") {
+        // We kept the server's version, which we haven't seen yet.
+        setPinsReloadKey((k) => k + 1);
+      }
+    });
+  }, []);
+
+  // Cache whatever we show (including not-yet-synced changes) for offline use.
+  useEffect(() => {
+    if (mapId == null || pinsMapIdRef.current !== mapId) return;
+    const timer = setTimeout(() => writeCachedPins(mapId, pins), OFFLINE_WRITE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [mapId, pins]);
+
+  // Viewers of a shared map can't edit it: drop out of Edit mode when switching to one.
+  useEffect(() => {
+    if (canEdit) return;
+    setMode("view");
+    handleClearSelection();
+    setZoneDraft(null);
+  }, [canEdit, handleClearSelection]);
+
+  // The service worker's copy of due dates, for the daily digest (see api/reminders.js).
+  useEffect(() => {
+    if (!selectedMap || pinsMapIdRef.current !== selectedMap.id) return;
+    const timer = setTimeout(() => saveReminderPlants(selectedMap, pins), OFFLINE_WRITE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [selectedMap, pins]);
+
+  // Register the reminder worker, load its settings, and nudge it now and then while open.
+  useEffect(() => {
+    let cancelled = false;
+    registerReminderWorker();
+
+    (async () => {
+      const settings = await loadReminderSettings();
+      if (!cancelled) setReminderSettings(settings);
+      checkRemindersNow();
     })();
 
+    const timer = window.setInterval(checkRemindersNow, REMINDER_CHECK_INTERVAL_MS);
     return () => {
       cancelled = true;
+      window.clearInterval(timer);
     };
   }, []);
 
+  // Clicking a reminder while the map is already open.
+  useEffect(() => {
+    return subscribeReminderClicks(({ mapId: targetMapId, pinId }) => {
+      if (targetMapId != null) selectMap(targetMapId);
+      setPendingFocusPinId(String(pinId));
+    });
+  }, [selectMap]);
+
+  // Open the pending pin as soon as it shows up in the loaded pins.
+  useEffect(() => {
+    if (pendingFocusPinId == null) return;
+    const pin = pins.find((p) => String(p.id) === pendingFocusPinId);
+    if (!pin) return;
+
+    setPendingFocusPinId(null);
+    clearPinIdFromUrl();
+    handleFocusPin(pin.id, { zoom: 2.5 });
+  }, [pendingFocusPinId, pins, handleFocusPin]);
+
+  const highlightRemoteChange = useCallback((pinId) => {
+    const timers = remoteHighlightTimersRef.current;
+    clearTimeout(timers.get(pinId));
+    setRemoteChangedPinIds((ids) => new Set(ids).add(pinId));
+
+    timers.set(
+      pinId,
+      setTimeout(() => {
+        timers.delete(pinId);
+        setRemoteChangedPinIds((ids) => {
+          const next = new Set(ids);
+          next.delete(pinId);
+          return next;
+        });
+      }, REMOTE_HIGHLIGHT_MS)
+    );
+  }, []);
+
+  useEffect(() => {
+    const timers = remoteHighlightTimersRef.current;
+    return () => timers.forEach((timer) => clearTimeout(timer));
+  }, []);
+
+  // Changes made on other devices, merged under our own not-yet-synced ones.
+  useEffect(() => {
+    if (mapId == null) return;
+
+    return subscribeLiveUpdates(mapId, {
+      onEvent: (event) => {
+        // Pins not loaded yet: the pending listPins already includes this change.
+        if (pinsMapIdRef.current !== mapId) return;
+
+        updateMapPins(mapId, (list) => mergeRemoteEvent(list, event));
+        const pinId = event.pin?.id ?? event.pinId;
+        const isDragged = draggingPinIdsRef.current.has(pinId);
+        setPins((prev) => {
+          const next = applyPendingMutations(mapId, mergeRemoteEvent(prev, event));
+          const dragged = isDragged ? prev.find((p) => p.id === pinId) : null;
+          if (!dragged) return next;
+          // Take the rest of the change, but leave the pin where the pointer has it.
+          const { xPercent, yPercent } = dragged;
+          return next.map((p) => (p.id === pinId ? { ...p, xPercent, yPercent } : p));
+        });
+        setActivityRevision((r) => r + 1);
+        if (event.type !== "deleted") highlightRemoteChange(pinId);
+      },
+      // Back after a dropped connection: events sent meanwhile are lost, reload everything.
+      onResync: () => {
+        setPinsReloadKey((k) => k + 1);
+        setActivityRevision((r) => r + 1);
+      },
+      onStatus: setLiveStatus,
+    });
+  }, [mapId, highlightRemoteChange]);
+
+  // Switching maps: start from a clean slate and load the map's field definitions and zones.
+  useEffect(() => {
+    let cancelled = false;
+    pinsMapIdRef.current = null;
+    setPins([]);
+    updateHistory(() => EMPTY_HISTORY);
+    setSelectedPinIds(new Set());
+    setBulkReport(null);
+    setZones([]);
+    setSelectedZoneId(null);
+    setZoneDraft(null);
+    setFieldDefinitions([]);
+    setSearchQuery("");
+    setRemoteChangedPinIds(new Set());
+    if (mapId == null) return;
+
+    (async () => {
+      const cached = await readCachedPins(mapId);
+      if (!cancelled && cached && pinsMapIdRef.current == null) {
+        pinsMapIdRef.current = mapId;
+        setPins(applyPendingMutations(mapId, cached));
+      }
+    })();
+
+    (async () => {
+      try {
+        const data = await listFieldDefinitions(mapId);
+        if (!cancelled) setFieldDefinitions(data ?? []);
+      } catch (e) {
+        console.error("Failed to load custom fields:", e);
+      }
+    })();
+
+    (async () => {
+      try {
+        const data = await listZones(mapId);
+        if (!cancelled) setZones(data ?? []);
+      } catch (e) {
+        console.error("Failed to load zones:", e);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mapId, updateHistory]);
+
+  // Server copy of the pins (also re-run after the server rejected one of our changes).
+  useEffect(() => {
+    let cancelled = false;
+    if (mapId == null) return;
+
+    (async () => {
+      try {
+        const data = await listPins(mapId, { retry: false });
+        if (cancelled) return;
+        replaceMapPins(mapId, data ?? []);
+        pinsMapIdRef.current = mapId;
+        setPins(getPinsView(mapId));
+      } catch (e) {
+        if (cancelled) return;
+        if (e instanceof NetworkError) {
+          // Offline: the cached pins (if any) are already shown.
+          console.warn("Couldn't load pins, showing the cached copy:", e.message);
+        } else if (e instanceof NotFoundError) {
+          // Map deleted (or no longer shared with us) on another device.
+          setMaps((prev) => prev.filter((m) => m.id !== mapId));
+        } else {
+          console.error("Failed to load pins:", e);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mapId, pinsReloadKey]);
+
   return (
-    <div className="garden-container" onClick={handleTopLevelClick}>
+    <div
+      className="garden-container"
+      onClick={handleTopLevelClick}
+      onPointerDownCapture={handlePointerDownCapture}
+      onDoubleClickCapture={handleDoubleClickCapture}
+    >
       {isDetailsOpen && selectedPin && (
         <DetailsPanel
           pin={selectedPin}
+          fieldDefinitions={fieldDefinitions}
           onClose={handleCloseDetails}
           onUpdatePin={handleUpdatePin}
           onDeletePin={handleDeletePin}
+          onAddWatering={handleAddWatering}
+          onDeleteWatering={handleDeleteWatering}
+          onUploadPhoto={handleUploadPhoto}
+          onDeletePhoto={handleDeletePhoto}
+          journalRevision={journalRevision}
+          onAddNote={handleAddNote}
+          onUpdateNote={handleUpdateNote}
+          onDeleteNote={handleDeleteNote}
+          isReminderMuted={isPinMuted(reminderSettings, selectedPin.id)}
+          onToggleReminderMute={isReminderSupported() ? handleToggleReminderMute : undefined}
+          canEdit={canEdit}
         />
       )}
 
       <div className="toolbar">
-        <button onClick={() => setMode((m) => (m === "view" ? "edit" : "view"))}>
-          Mode: {mode === "view" ? "View" : "Edit"}
-        </button>
+        <MapSwitcher
+          maps={maps}
+          selectedMapId={mapId}
+          mode={mode}
+          isOwner={isOwner}
+          onSelectMap={selectMap}
+          onCreateMap={handleCreateMap}
+          onRenameMap={handleRenameMap}
+          onDeleteMap={handleDeleteMap}
+          onUploadMapImage={handleUploadMapImage}
+        />
+
+        <SyncStatus liveStatus={liveStatus} />
+
+        {canEdit && (
+          <button
+            onClick={() => {
+              setMode((m) => (m === "view" ? "edit" : "view"));
+              handleClearSelection();
+              setZoneDraft(null);
+            }}
+          >
+            Mode: {mode === "view" ? "View" : "Edit"}
+          </button>
+        )}
+
+        <PinSearch
+          query={searchQuery}
+          onQueryChange={setSearchQuery}
+          results={searchResults}
+          onSelectPin={handleSelectSearchResult}
+        />
+
+        {canEdit && (
+          <>
+            <button
+              onClick={handleUndo}
+              disabled={history.past.length === 0}
+              title={
+                history.past.length
+                  ? `Undo ${history.past.at(-1).label} (Ctrl+Z)`
+                  : "Nothing to undo"
+              }
+            >
+              Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={history.future.length === 0}
+              title={
+                history.future.length
+                  ? `Redo ${history.future.at(-1).label} (Ctrl+Shift+Z)`
+                  : "Nothing to redo"
+              }
+            >
+              Redo
+            </button>
+          </>
+        )}
+
+        <button onClick={() => toggleSidePanel("agenda")}>Tasks</button>
+        {mapId != null && <button onClick={() => toggleSidePanel("journal")}>Journal</button>}
+        {mapId != null && <button onClick={() => toggleSidePanel("activity")}>Activity</button>}
+
+        <button onClick={() => setIsReminderSettingsOpen(true)}>Reminders</button>
+
+        {mode === "edit" && mapId != null && (
+          <button onClick={() => setIsFieldManagerOpen(true)}>Fields</button>
+        )}
+
+        {mode === "edit" && mapId != null && (
+          <button
+            onClick={() => {
+              setSelectedZoneId(null);
+              setZoneDraft({ shape: "polygon", points: [] });
+            }}
+            disabled={zoneDraft != null}
+          >
+            Draw zone
+          </button>
+        )}
+
+        {mapId != null && (
+          <button onClick={() => setIsTransferOpen(true)}>
+            {mode === "edit" ? "Export / Import" : "Export"}
+          </button>
+        )}
+
+        {isOwner && mapId != null && <button onClick={() => setIsShareOpen(true)}>Share</button>}
 
         <span className="toolbar-hint">
-          {mode === "edit" ? "Ctrl+Click to add. Drag pins to move." : "Click pins to view."}
+          {mode === "edit"
+            ? "Ctrl+Click or long-press to add. Drag pins to move. Shift+Click/drag to select."
+            : "Click pins to view."}
         </span>
+
+        <span className="toolbar-user" title={session?.user?.email}>
+          {session?.user?.name || session?.user?.email}
+        </span>
+        <button onClick={signOut}>Sign out</button>
       </div>
 
       <ZoomableImage
-        imageSrc={gardenImg}
+        imageSrc={mapImageSrc}
         onTransformChange={handleTransformChange}
         onImageMeta={handleImageMeta}
+        focusTarget={focusTarget}
+        onLongPress={handleLongPress}
+      />
+
+      <ZoneLayer
+        zones={zones}
+        transform={transformState}
+        imageSize={imageSize}
+        draft={zoneDraft}
+        selectedZoneId={selectedZoneId}
+        onSelectZone={setSelectedZoneId}
       />
 
       <PinLayer
         mode={mode}
-        pins={pins}
+        pins={visiblePins}
         transform={transformState}
-        imageSize={imageSizeRef.current}
-        onMovePin={handleMovePin}
-        onCommitMovePin={handleCommitMovePin}
+        imageSize={imageSize}
+        onMovePins={handleMovePins}
+        onCommitMovePins={handleCommitMovePins}
         onOpenPin={handleOpenPin}
         selectedPinId={selectedPinId}
         isDetailsOpen={isDetailsOpen}
         onClosePopup={handleClosePopup}
         onMarkWatered={handleMarkWatered}
+        onMarkFertilised={handleMarkFertilised}
         onOpenDetails={handleOpenDetails}
+        canEdit={canEdit}
         pinImg={pinImg}
+        matchingPinIds={matchingPinIds}
+        selectedPinIds={mode === "edit" ? selectedPinIds : null}
+        highlightedPinIds={remoteChangedPinIds}
+        onToggleSelectPin={handleToggleSelectPin}
       />
+
+      {selectionBox && <div className="selection-box" style={selectionBox} />}
+
+      {zoneDraft && (
+        <ZoneDrawBar
+          draft={zoneDraft}
+          onChangeShape={(shape) => setZoneDraft({ shape, points: [] })}
+          onFinish={() => finishZoneDraft(zoneDraft.points)}
+          onCancel={() => setZoneDraft(null)}
+        />
+      )}
+
+      {selectedZone && (
+        <ZonePanel
+          zone={selectedZone}
+          pins={selectedZonePins}
+          mode={mode}
+          onClose={() => setSelectedZoneId(null)}
+          onFocusPin={handleFocusPin}
+          onWaterAll={handleWaterZone}
+          onSelectPins={handleSelectZonePins}
+          onRename={(name) => handleRenameZone(selectedZone.id, name)}
+          onDelete={() => handleDeleteZone(selectedZone.id)}
+          canEdit={canEdit}
+        />
+      )}
+
+      <WateringLegend pins={pins} />
+
+      <CategoryLegend
+        pins={pins}
+        hiddenCategories={hiddenCategories}
+        onToggleCategory={handleToggleCategory}
+      />
+
+      {mode === "edit" && (multiSelectedPins.length > 0 || bulkReport) && (
+        <BulkActions
+          count={multiSelectedPins.length}
+          report={bulkReport}
+          onWater={handleBulkWater}
+          onSetInterval={handleBulkSetInterval}
+          onChangeType={handleBulkChangeType}
+          onDelete={handleBulkDelete}
+          onClear={handleClearSelection}
+        />
+      )}
+
+      {sidePanel === "agenda" && (
+        <CareAgenda
+          pins={pins}
+          onClose={() => setSidePanel(null)}
+          onMarkWatered={handleMarkWatered}
+          onFocusPin={handleFocusPin}
+          canEdit={canEdit}
+        />
+      )}
+
+      {sidePanel === "journal" && mapId != null && (
+        <JournalFeed
+          mapId={mapId}
+          pins={pins}
+          revision={journalRevision}
+          onClose={() => setSidePanel(null)}
+          onFocusPin={handleFocusPin}
+        />
+      )}
+
+      {sidePanel === "activity" && mapId != null && (
+        <ActivityFeed
+          mapId={mapId}
+          pins={pins}
+          revision={activityRevision}
+          onClose={() => setSidePanel(null)}
+          onFocusPin={handleFocusPin}
+        />
+      )}
+
+      {isReminderSettingsOpen && (
+        <ReminderSettings
+          settings={reminderSettings}
+          permission={notificationPermission}
+          pins={pins}
+          onRequestPermission={handleRequestNotificationPermission}
+          onSave={handleSaveReminderSettings}
+          onClose={() => setIsReminderSettingsOpen(false)}
+        />
+      )}
+
+      {isShareOpen && selectedMap && (
+        <ShareDialog
+          map={selectedMap}
+          onShare={handleShareMap}
+          onChangeRole={handleChangeMemberRole}
+          onRemove={handleRemoveMember}
+          onClose={() => setIsShareOpen(false)}
+        />
+      )}
+
+      {isFieldManagerOpen && (
+        <FieldManager
+          fieldDefinitions={fieldDefinitions}
+          onClose={() => setIsFieldManagerOpen(false)}
+          onCreateField={handleCreateField}
+          onUpdateField={handleUpdateField}
+          onDeleteField={handleDeleteField}
+        />
+      )}
+
+      {isTransferOpen && selectedMap && (
+        <GardenTransferDialog
+          map={selectedMap}
+          pins={pins}
+          fieldDefinitions={fieldDefinitions}
+          canImport={mode === "edit"}
+          onImport={handleImportPlan}
+          onClose={() => setIsTransferOpen(false)}
+        />
+      )}
+
+      <ToastStack />
     </div>
   );
 }
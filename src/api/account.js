@@ -0,0 +1,42 @@
+import { login, logout } from "./gardenApi";
+import { setSession, clearSession, getDataOwner, setDataOwner } from "./session";
+import { resetOutbox } from "./outbox";
+import { clearPinCache } from "./pinCache";
+import { clearOfflineData } from "./offlineStore";
+import { clearUserCaches } from "./serviceWorker";
+
+/**
+ * account
+ * Signing in and out, and keeping one person's data on the device away from the next one.
+ *
+ * Per-user data: the outbox (unsynced changes), cached maps/pins and reminder snapshots in
+ * IndexedDB, the in-memory pin cache, and the service worker's API/image caches.
+ * - Signing out wipes all of it before the session goes (the login screen then shows).
+ * - Signing in as someone other than the data owner (e.g. after an expired session) wipes it
+ *   first too; the same person signing back in keeps their unsynced changes.
+ */
+
+async function forgetUserData() {
+  resetOutbox();
+  clearPinCache();
+  await Promise.all([clearOfflineData(), clearUserCaches()]);
+  setDataOwner(null);
+}
+
+export async function signIn(email, password) {
+  const session = await login(email, password);
+  const userId = session.user?.id != null ? String(session.user.id) : null;
+
+  const owner = getDataOwner();
+  if (owner != null && owner !== userId) await forgetUserData();
+
+  setDataOwner(userId);
+  setSession(session);
+  return session.user;
+}
+
+export async function signOut() {
+  await logout();
+  await forgetUserData();
+  clearSession();
+}
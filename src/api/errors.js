@@ -0,0 +1,79 @@
+/**
+ * errors
+ * What `request` (gardenApi.js) throws, so callers can tell failures apart with `instanceof`
+ * instead of comparing status codes.
+ *
+ * - NetworkError: no answer at all (offline, DNS, CORS, server down). `status` is undefined.
+ *   - TimeoutError: no answer within the request's time limit.
+ * - ValidationError: 400 / 422, the server didn't like the data. `fields` has per-field messages
+ *   when the server sends them ({ errors: { name: "..." } }).
+ * - NotFoundError: 404 / 410, the thing is gone (deleted on another device, or unshared).
+ * - ConflictError: 409 / 412, it changed on the server meanwhile.
+ * - ApiError: any other HTTP error (and the base class of all of the above).
+ *
+ * Every error keeps `status` and `body` (the parsed response), like before these classes existed.
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status, body, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = "Can't reach the server", { cause } = {}) {
+    super(message, { cause });
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(timeoutMs) {
+    super(`The server didn't answer within ${Math.round(timeoutMs / 1000)}s`);
+    this.name = "TimeoutError";
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, { status, body } = {}) {
+    super(message, { status, body });
+    this.name = "ValidationError";
+    this.fields = body && typeof body === "object" && body.errors ? body.errors : {};
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, { status, body } = {}) {
+    super(message, { status, body });
+    this.name = "NotFoundError";
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message, { status, body } = {}) {
+    super(message, { status, body });
+    this.name = "ConflictError";
+  }
+}
+
+function messageFrom(status, body) {
+  if (body && typeof body === "object" && body.message) return body.message;
+  if (typeof body === "string" && body.trim()) return body;
+  return `Request failed: ${status}`;
+}
+
+/**
+ * errorFromResponse
+ * The typed error for a non-2xx answer (the body is already parsed).
+ */
+export function errorFromResponse(status, body) {
+  const message = messageFrom(status, body);
+
+  if (status === 400 || status === 422) return new ValidationError(message, { status, body });
+  if (status === 404 || status === 410) return new NotFoundError(message, { status, body });
+  if (status === 409 || status === 412) return new ConflictError(message, { status, body });
+  return new ApiError(message, { status, body });
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  errorFromResponse,
+} from "./errors";
+
+describe("errorFromResponse", () => {
+  it.each([
+    [400, ValidationError],
+    [422, ValidationError],
+    [404, NotFoundError],
+    [410, NotFoundError],
+    [409, ConflictError],
+    [412, ConflictError],
+    [500, ApiError],
+  ])("maps %i to %o", (status, ErrorClass) => {
+    const error = errorFromResponse(status, null);
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(status);
+  });
+
+  it("takes the message from the body when there is one", () => {
+    expect(errorFromResponse(500, { message: "Disk full" }).message).toBe("Disk full");
+    expect(errorFromResponse(502, "Bad gateway").message).toBe("Bad gateway");
+    expect(errorFromResponse(503, "  ").message).toBe("Request failed: 503");
+  });
+
+  it("keeps the server's per-field messages on validation errors", () => {
+    const body = { message: "Invalid pin", errors: { name: "Too long" } };
+    const error = errorFromResponse(422, body);
+    expect(error.fields).toEqual({ name: "Too long" });
+    expect(error.body).toBe(body);
+    expect(errorFromResponse(400, "nope").fields).toEqual({});
+  });
+});
+
+describe("NetworkError", () => {
+  it("counts a timeout as a network error without a status", () => {
+    const error = new TimeoutError(15000);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.status).toBeUndefined();
+    expect(error.message).toBe("The server didn't answer within 15s");
+  });
+});
@@ -1,41 +1,377 @@
+import { getSession, setSession, clearSession } from "./session";
+import { NetworkError, TimeoutError, errorFromResponse } from "./errors";
+
 const API_BASE = import.meta.env.VITE_API_BASE_URL ?? "http://localhost:8080";
 
-async function request(path, options = {}) {
-  const res = await fetch(`${API_BASE}${path}`, {
-    headers: { "Content-Type": "application/json", ...(options.headers ?? {}) },
-    ...options,
-  });
+// Identifies this tab, so live update events caused by our own requests can be skipped.
+const CLIENT_ID =
+  globalThis.crypto?.randomUUID?.() ??
+  `client-${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
-  if (res.status === 204) return null;
+export const getClientId = () => CLIENT_ID;
+
+// Per attempt. Uploads get longer (see UPLOAD_TIMEOUT_MS).
+const DEFAULT_TIMEOUT_MS = 15_000;
+const UPLOAD_TIMEOUT_MS = 120_000;
+
+// Reads are retried after a network error, a timeout or a 502/503/504, waiting a bit longer
+// each time (plus some jitter so tabs don't retry in lockstep), but never for longer than
+// RETRY_BUDGET_MS in total. DELETE isn't retried: if the first attempt went through but its
+// answer got lost, the retry would report a 404 (and lose the pin some DELETEs return).
+const RETRYABLE_METHODS = ["GET", "HEAD"];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const RETRY_DELAYS_MS = [500, 1500, 4000];
+const RETRY_BUDGET_MS = 20_000;
+
+// GETs on their way, by user and path: asking for the same thing again shares the answer.
+const inFlightGets = new Map();
 
+let refreshPromise = null;
+
+// One refresh at a time: parallel requests that all got a 401 wait for the same new token.
+// Also used by the live update stream, which can't see the 401 (see liveUpdates.js).
+// Resolves with whether there's a new token.
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getSession()?.refreshToken;
+  if (!refreshToken) return Promise.resolve(false);
+
+  refreshPromise = request(`/api/auth/refresh`, {
+    method: "POST",
+    auth: false,
+    body: JSON.stringify({ refreshToken }),
+  })
+    .then((tokens) => {
+      setSession({ ...getSession(), ...tokens });
+      return true;
+    })
+    .catch((e) => {
+      // Offline: keep the session, the request just fails like any other offline request.
+      if (!(e instanceof NetworkError)) clearSession();
+      return false;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+async function readBody(res) {
+  if (res.status === 204) return null;
   const isJson = res.headers.get("content-type")?.includes("application/json");
-  const body = isJson ? await res.json().catch(() => null) : await res.text().catch(() => null);
-
-  if (!res.ok) {
-    const message =
-      (body && typeof body === "object" && body.message) ? body.message :
-      (typeof body === "string" && body.trim()) ? body :
-      `Request failed: ${res.status}`;
-    const err = new Error(message);
-    err.status = res.status;
-    err.body = body;
-    throw err;
+  return isJson ? await res.json().catch(() => null) : await res.text().catch(() => null);
+}
+
+// The time limit covers reading the body too, not just the response headers.
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    const body = await readBody(res);
+    if (controller.signal.aborted) throw new TimeoutError(timeoutMs);
+    return { res, body };
+  } catch (e) {
+    if (controller.signal.aborted) throw new TimeoutError(timeoutMs);
+    throw new NetworkError(undefined, { cause: e });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One attempt (plus the replay after a token refresh).
+// `auth: false` for the login/refresh calls themselves (no token, no refresh on 401).
+async function send(path, options, isRefreshed = false) {
+  const { headers, auth = true, timeoutMs = DEFAULT_TIMEOUT_MS, retry: _retry, ...init } = options;
+  // FormData needs the browser-generated multipart boundary, so no JSON content type there.
+  const isFormData = init.body instanceof FormData;
+  const token = auth ? getSession()?.accessToken : null;
+  // Only changes cause live update events, so reads don't need the extra header.
+  const isRead = ["GET", "HEAD"].includes((init.method ?? "GET").toUpperCase());
+  const { res, body } = await fetchWithTimeout(
+    `${API_BASE}${path}`,
+    {
+      ...init,
+      headers: {
+        ...(isFormData ? {} : { "Content-Type": "application/json" }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(isRead ? {} : { "X-Client-Id": CLIENT_ID }),
+        ...(headers ?? {}),
+      },
+    },
+    timeoutMs
+  );
+
+  // Expired access token: refresh once and replay the request.
+  if (res.status === 401 && auth && !isRefreshed && (await refreshSession())) {
+    return send(path, options, true);
   }
 
+  if (!res.ok) throw errorFromResponse(res.status, body);
   return body;
 }
 
-export const listPins = (mapId) =>
-  request(`/api/maps/${mapId}/pins`);
+function isRetryable(error) {
+  // Offline: no point hammering, the outbox retries once we're back.
+  if (error instanceof NetworkError) return navigator.onLine !== false;
+  return RETRYABLE_STATUSES.includes(error?.status);
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-export const createPin = (mapId, payload) =>
-  request(`/api/maps/${mapId}/pins`, { method: "POST", body: JSON.stringify(payload) });
+async function sendWithRetry(path, options) {
+  const method = (options.method ?? "GET").toUpperCase();
+  const canRetry = options.retry ?? RETRYABLE_METHODS.includes(method);
+  const startedAt = Date.now();
 
-export const patchPin = (pinId, payload) =>
-  request(`/api/pins/${pinId}`, { method: "PATCH", body: JSON.stringify(payload) });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(path, options);
+    } catch (error) {
+      if (!canRetry || attempt >= RETRY_DELAYS_MS.length || !isRetryable(error)) throw error;
+
+      const delay = RETRY_DELAYS_MS[attempt] * (1 + Math.random() * 0.25);
+      if (Date.now() - startedAt + delay > RETRY_BUDGET_MS) throw error;
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * request
+ * fetch wrapper used by every call below.
+ * - JSON in/out (FormData bodies are sent as-is), bearer token + refresh on 401.
+ * - Each attempt is aborted after `timeoutMs`; reads are retried with backoff
+ *   (`retry: false|true` overrides that).
+ * - Identical GETs in flight at the same time share one request.
+ * - Throws the typed errors from errors.js.
+ */
+function request(path, options = {}) {
+  const method = (options.method ?? "GET").toUpperCase();
+  if (method !== "GET") return sendWithRetry(path, options);
+
+  const key = `${getSession()?.user?.id ?? ""} ${path}`;
+  if (!inFlightGets.has(key)) {
+    const pending = sendWithRetry(path, options).finally(() => inFlightGets.delete(key));
+    inFlightGets.set(key, pending);
+  }
+  return inFlightGets.get(key);
+}
+
+// ===== Accounts =====
+
+// Returns { accessToken, refreshToken, user }; account.js stores it as the session.
+export async function login(email, password) {
+  const { accessToken, refreshToken, user } = await request(`/api/auth/login`, {
+    method: "POST",
+    auth: false,
+    body: JSON.stringify({ email, password }),
+  });
+  return { accessToken, refreshToken, user };
+}
+
+// Revokes the refresh token on the server; the local sign-out is account.js' job.
+export async function logout() {
+  try {
+    await request(`/api/auth/logout`, {
+      method: "POST",
+      body: JSON.stringify({ refreshToken: getSession()?.refreshToken }),
+    });
+  } catch (e) {
+    console.warn("Logout request failed (signing out locally anyway):", e);
+  }
+}
+
+// Maps come with the current user's `role` on them: "owner" | "editor" | "viewer".
+// `retry: false` when there's an offline copy to show instead of waiting on a slow server.
+export const listMaps = ({ retry } = {}) =>
+  request(`/api/maps`, { retry });
+
+export const createMap = (payload) =>
+  request(`/api/maps`, { method: "POST", body: JSON.stringify(payload) });
+
+export const renameMap = (mapId, name) =>
+  request(`/api/maps/${mapId}`, { method: "PATCH", body: JSON.stringify({ name }) });
+
+export const deleteMap = (mapId) =>
+  request(`/api/maps/${mapId}`, { method: "DELETE" });
+
+export const uploadMapImage = (mapId, blob, fileName = "map.jpg") => {
+  const form = new FormData();
+  form.append("image", blob, fileName);
+  return request(`/api/maps/${mapId}/image`, {
+    method: "POST",
+    body: form,
+    timeoutMs: UPLOAD_TIMEOUT_MS,
+  });
+};
 
-export const waterPin = (pinId) =>
-  request(`/api/pins/${pinId}/water`, { method: "POST" });
+/**
+ * Media URLs (map images, plant photos) are either absolute or relative to the API.
+ * Returns null for a missing URL.
+ */
+export function resolveMediaUrl(url) {
+  if (!url) return null;
+  if (/^(https?:|data:|blob:)/.test(url)) return url;
+  return `${API_BASE}${url.startsWith("/") ? "" : "/"}${url}`;
+}
+
+/**
+ * Maps may carry their own background (`imageUrl`).
+ * Returns null when the map has none, so the caller can fall back to a bundled image.
+ */
+export function resolveMapImageUrl(map) {
+  return resolveMediaUrl(map?.imageUrl);
+}
+
+// People a map is shared with: [{ userId, email, name, role }] (role: owner | editor | viewer).
+export const listMapMembers = (mapId) =>
+  request(`/api/maps/${mapId}/members`);
+
+export const shareMap = (mapId, { email, role }) =>
+  request(`/api/maps/${mapId}/members`, { method: "POST", body: JSON.stringify({ email, role }) });
+
+export const updateMapMember = (mapId, userId, role) =>
+  request(`/api/maps/${mapId}/members/${userId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ role }),
+  });
+
+export const removeMapMember = (mapId, userId) =>
+  request(`/api/maps/${mapId}/members/${userId}`, { method: "DELETE" });
+
+// Custom field definitions are per map: { id, label, type, options? }.
+export const listFieldDefinitions = (mapId) =>
+  request(`/api/maps/${mapId}/fields`);
+
+export const createFieldDefinition = (mapId, payload) =>
+  request(`/api/maps/${mapId}/fields`, { method: "POST", body: JSON.stringify(payload) });
+
+export const updateFieldDefinition = (fieldId, payload) =>
+  request(`/api/fields/${fieldId}`, { method: "PATCH", body: JSON.stringify(payload) });
+
+export const deleteFieldDefinition = (fieldId) =>
+  request(`/api/fields/${fieldId}`, { method: "DELETE" });
+
+// Zones/beds are per map: { id, name, color, points: [{ xPercent, yPercent }] } (a polygon).
+export const listZones = (mapId) =>
+  request(`/api/maps/${mapId}/zones`);
+
+export const createZone = (mapId, payload) =>
+  request(`/api/maps/${mapId}/zones`, { method: "POST", body: JSON.stringify(payload) });
+
+export const updateZone = (zoneId, payload) =>
+  request(`/api/zones/${zoneId}`, { method: "PATCH", body: JSON.stringify(payload) });
+
+export const deleteZone = (zoneId) =>
+  request(`/api/zones/${zoneId}`, { method: "DELETE" });
+
+// Server-Sent Events stream of pin changes on a map (see liveUpdates.js).
+// EventSource can't send headers, so the client id and access token go in the query string.
+export function mapEventsUrl(mapId) {
+  const params = new URLSearchParams({ clientId: CLIENT_ID });
+  const token = getSession()?.accessToken;
+  if (token) params.set("access_token", token);
+  return `${API_BASE}/api/maps/${mapId}/events?${params}`;
+}
+
+// Every pin mutation is logged by the server with who made it (from the token) and when.
+// Changes replayed from the offline outbox pass `performedAt`, the time they were made locally,
+// so the activity log shows when the plant was watered rather than when the phone got signal.
+const performedAtHeader = (performedAt) =>
+  performedAt ? { "X-Performed-At": performedAt } : undefined;
+
+// Activity log of a map, newest first:
+// [{ id, type, pinId, pinName, actor: { id, email, name }, at }]
+// type: "created" | "moved" | "edited" | "watered" | "fertilised" | "deleted"
+export const listMapActivity = (mapId) =>
+  request(`/api/maps/${mapId}/activity`);
+
+export const listPins = (mapId, { retry } = {}) =>
+  request(`/api/maps/${mapId}/pins`, { retry });
+
+export const createPin = (mapId, payload, { performedAt } = {}) =>
+  request(`/api/maps/${mapId}/pins`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+    headers: performedAtHeader(performedAt),
+  });
+
+// `ifMatch` (optional): the pin `version` the change is based on; the server answers
+// 409/412 if the pin changed meanwhile.
+export const patchPin = (pinId, payload, { ifMatch, performedAt } = {}) =>
+  request(`/api/pins/${pinId}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload),
+    headers: {
+      ...(ifMatch != null ? { "If-Match": `"${ifMatch}"` } : {}),
+      ...performedAtHeader(performedAt),
+    },
+  });
+
+// `event` is optional: { wateredAt?, amountMl?, note? }. Without it the server records "now".
+export const waterPin = (pinId, event) =>
+  request(`/api/pins/${pinId}/water`, {
+    method: "POST",
+    body: event ? JSON.stringify(event) : undefined,
+  });
+
+export const listWaterings = (pinId) =>
+  request(`/api/pins/${pinId}/waterings`);
+
+// Returns the updated pin (the server recomputes lastWatered from the remaining entries).
+export const deleteWatering = (pinId, wateringId) =>
+  request(`/api/pins/${pinId}/waterings/${wateringId}`, { method: "DELETE" });
+
+// Photos of a plant: [{ id, url, thumbnailUrl, takenAt, caption }].
+export const listPhotos = (pinId) =>
+  request(`/api/pins/${pinId}/photos`);
+
+// `image` and `thumbnail` are Blobs resized in the browser. Returns the created photo.
+export const uploadPhoto = (
+  pinId,
+  { image, thumbnail, fileName = "photo.jpg", takenAt, caption }
+) => {
+  const form = new FormData();
+  form.append("image", image, fileName);
+  form.append("thumbnail", thumbnail, `thumb-${fileName}`);
+  form.append("takenAt", takenAt);
+  if (caption) form.append("caption", caption);
+  return request(`/api/pins/${pinId}/photos`, {
+    method: "POST",
+    body: form,
+    timeoutMs: UPLOAD_TIMEOUT_MS,
+  });
+};
+
+// Returns the updated pin (the server recomputes `latestPhoto` from the remaining photos).
+export const deletePhoto = (pinId, photoId) =>
+  request(`/api/pins/${pinId}/photos/${photoId}`, { method: "DELETE" });
+
+// Journal notes: { id, pinId, text (markdown), createdAt, updatedAt }.
+export const listPinNotes = (pinId) =>
+  request(`/api/pins/${pinId}/notes`);
+
+// Every note on a map (all plants), for the garden-wide journal.
+export const listMapNotes = (mapId) =>
+  request(`/api/maps/${mapId}/notes`);
+
+export const createNote = (pinId, text) =>
+  request(`/api/pins/${pinId}/notes`, { method: "POST", body: JSON.stringify({ text }) });
+
+export const updateNote = (noteId, text) =>
+  request(`/api/notes/${noteId}`, { method: "PATCH", body: JSON.stringify({ text }) });
+
+export const deleteNote = (noteId) =>
+  request(`/api/notes/${noteId}`, { method: "DELETE" });
+
+export const fertilisePin = (pinId, { performedAt } = {}) =>
+  request(`/api/pins/${pinId}/fertilise`, {
+    method: "POST",
+    headers: performedAtHeader(performedAt),
+  });
 
-export const deletePin = (pinId) =>
-  request(`/api/pins/${pinId}`, { method: "DELETE" });
+export const deletePin = (pinId, { performedAt } = {}) =>
+  request(`/api/pins/${pinId}`, { method: "DELETE", headers: performedAtHeader(performedAt) });
@@ -0,0 +1,111 @@
+import { mapEventsUrl, getClientId, refreshSession } from "./gardenApi";
+
+/**
+ * liveUpdates
+ * Pin changes made on other devices, pushed by the server as Server-Sent Events.
+ *
+ * Stream: GET /api/maps/{mapId}/events?clientId=...
+ *   event: pin
+ *   data: { type: "created" | "updated" | "watered" | "deleted", mapId, pinId, pin?, clientId }
+ *
+ * - `pin` is the full pin after the change (not sent for "deleted").
+ * - `clientId` is the X-Client-Id of the request that caused it; our own events are skipped
+ *   (the outbox already merged the server's answer). Only changes (not GETs) send that header.
+ * - When the connection drops we reconnect with backoff and then ask the caller to resync,
+ *   since events sent meanwhile are lost.
+ * - The access token is in the URL and EventSource doesn't tell us why a connection failed, so
+ *   a connection that never opened gets a token refresh before the next try (an expired token
+ *   would otherwise fail every reconnect).
+ *
+ * Try it locally with `npm run stub-server` (scripts/stub-server.js).
+ */
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30_000;
+
+export const REMOTE_EVENT_TYPES = ["created", "updated", "watered", "deleted"];
+
+/**
+ * subscribeLiveUpdates
+ * @param {number} mapId
+ * @param {{
+ *   onEvent: (event: { type: string, mapId: number, pinId: any, pin?: object }) => void,
+ *   onResync: () => void,
+ *   onStatus?: (status: "connecting" | "live" | "reconnecting") => void,
+ * }} handlers
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeLiveUpdates(mapId, { onEvent, onResync, onStatus }) {
+  if (typeof EventSource === "undefined") return () => {};
+
+  let source = null;
+  let retryTimer = null;
+  let retryDelay = RECONNECT_MIN_MS;
+  let hasConnected = false;
+  let stopped = false;
+
+  const connect = () => {
+    onStatus?.(hasConnected ? "reconnecting" : "connecting");
+    source = new EventSource(mapEventsUrl(mapId));
+    let isOpen = false;
+
+    source.onopen = () => {
+      isOpen = true;
+      retryDelay = RECONNECT_MIN_MS;
+      onStatus?.("live");
+      // Anything that happened while we were gone never reaches us: reload the whole list.
+      if (hasConnected) onResync();
+      hasConnected = true;
+    };
+
+    source.addEventListener("pin", (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        console.warn("Ignoring malformed live update:", message.data);
+        return;
+      }
+      if (!REMOTE_EVENT_TYPES.includes(event?.type)) return;
+      if (event.clientId === getClientId()) return;
+      if (event.mapId != null && event.mapId !== mapId) return;
+      onEvent(event);
+    });
+
+    // EventSource retries on its own for some failures but gives up on others; do it ourselves
+    // so the backoff (and the resync afterwards) is the same either way.
+    source.onerror = async () => {
+      source.close();
+      if (stopped) return;
+      onStatus?.("reconnecting");
+      // Offline or server down: the refresh fails soft and keeps the session.
+      if (!isOpen) await refreshSession();
+      if (stopped) return;
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+}
+
+/**
+ * mergeRemoteEvent
+ * Applies a remote pin event to a pin list (the caller re-applies its own pending mutations).
+ */
+export function mergeRemoteEvent(pins, event) {
+  const { type, pinId, pin } = event;
+
+  if (type === "deleted") return pins.filter((p) => p.id !== pinId);
+  if (!pin) return pins;
+
+  // Unknown pin: created while we weren't listening, or a create we haven't seen yet.
+  if (!pins.some((p) => p.id === pin.id)) return [...pins, pin];
+  return pins.map((p) => (p.id === pin.id ? { ...p, ...pin } : p));
+}
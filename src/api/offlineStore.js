@@ -0,0 +1,115 @@
+/**
+ * offlineStore
+ * Tiny IndexedDB wrapper for offline use:
+ * - "cache": last known maps + pins per map (key/value)
+ * - "outbox": mutations not yet confirmed by the server (see outbox.js)
+ * - reminder settings + per-map due dates also live in "cache", because the service worker
+ *   (public/sw.js) reads them from there to send the daily digest (see reminders.js)
+ *
+ * Notes:
+ * - Every function fails soft: without IndexedDB (private mode, old browser) the app still
+ *   works online, it just doesn't remember anything between reloads.
+ * - Everything in here belongs to the signed-in user; clearOfflineData wipes it when someone
+ *   else signs in on the device (see account.js).
+ */
+
+const DB_NAME = "garden-map";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("cache")) db.createObjectStore("cache");
+      if (!db.objectStoreNames.contains("outbox")) {
+        db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  return dbPromise;
+}
+
+// Runs `fn(store)` in a transaction and resolves with the request's result.
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function safely(action, fallback) {
+  try {
+    return await action();
+  } catch (e) {
+    console.warn("Offline storage unavailable:", e);
+    return fallback;
+  }
+}
+
+// ===== Cache =====
+
+export const readCachedMaps = () =>
+  safely(() => withStore("cache", "readonly", (s) => s.get("maps")), null);
+
+export const writeCachedMaps = (maps) =>
+  safely(() => withStore("cache", "readwrite", (s) => s.put(maps, "maps")));
+
+export const readCachedPins = (mapId) =>
+  safely(() => withStore("cache", "readonly", (s) => s.get(`pins:${mapId}`)), null);
+
+export const writeCachedPins = (mapId, pins) =>
+  safely(() => withStore("cache", "readwrite", (s) => s.put(pins, `pins:${mapId}`)));
+
+// ===== Reminders =====
+
+export const readReminderSettings = () =>
+  safely(() => withStore("cache", "readonly", (s) => s.get("reminders:settings")), null);
+
+export const writeReminderSettings = (settings) =>
+  safely(() => withStore("cache", "readwrite", (s) => s.put(settings, "reminders:settings")));
+
+export const writeReminderPlants = (mapId, snapshot) =>
+  safely(() =>
+    withStore("cache", "readwrite", (s) => s.put(snapshot, `reminders:plants:${mapId}`))
+  );
+
+export const deleteReminderPlants = (mapId) =>
+  safely(() => withStore("cache", "readwrite", (s) => s.delete(`reminders:plants:${mapId}`)));
+
+export const clearOfflineData = () =>
+  safely(async () => {
+    await withStore("cache", "readwrite", (s) => s.clear());
+    await withStore("outbox", "readwrite", (s) => s.clear());
+  });
+
+// ===== Outbox =====
+
+export const readOutboxEntries = () =>
+  safely(() => withStore("outbox", "readonly", (s) => s.getAll()), []);
+
+// Resolves with the generated id.
+export const addOutboxEntry = (entry) =>
+  safely(() => withStore("outbox", "readwrite", (s) => s.add(entry)), null);
+
+export const putOutboxEntry = (entry) =>
+  safely(() => withStore("outbox", "readwrite", (s) => s.put(entry)));
+
+export const deleteOutboxEntry = (id) =>
+  safely(() => withStore("outbox", "readwrite", (s) => s.delete(id)));
@@ -0,0 +1,424 @@
+import {
+  createPin,
+  patchPin,
+  waterPin,
+  fertilisePin,
+  deletePin,
+  listWaterings,
+  deleteWatering,
+} from "./gardenApi";
+import {
+  readOutboxEntries,
+  addOutboxEntry,
+  putOutboxEntry,
+  deleteOutboxEntry,
+} from "./offlineStore";
+import { NetworkError, ConflictError, NotFoundError } from "./errors";
+
+/**
+ * outbox
+ * Offline-first pin mutations.
+ *
+ * Flow:
+ * - The UI applies a mutation to its local pins right away (`applyMutation`) and queues it here.
+ * - Queued mutations are persisted (IndexedDB) and replayed in order whenever we're online.
+ * - Listeners get told when a mutation is confirmed ("synced"), refused by the server
+ *   ("rejected"), or hit a conflict ("conflict") because the pin changed on the server meanwhile.
+ *
+ * Mutation shape:
+ *   { type: "create" | "patch" | "water" | "unwater" | "fertilise" | "delete",
+ *     mapId, pinId, payload?, baseVersion?, pinName?, at }
+ *
+ * "unwater" undoes a "water": payload { wateredAt, lastWatered } is the event to remove and the
+ * pin's previous lastWatered.
+ *
+ * Notes:
+ * - Pins created offline get a temporary id ("tmp-..."). Once the server creates the pin,
+ *   later queued mutations are re-pointed to the real id.
+ * - Conflicts are only detected for edits ("patch"), via the pin `version` (If-Match).
+ *   Watering/fertilising just add an event, so they can't really conflict.
+ */
+
+const TEMP_ID_PREFIX = "tmp-";
+const RETRY_DELAY_MS = 30_000;
+
+let entries = [];
+let initialized = false;
+let listening = false;
+// Bumped by resetOutbox, so a flush that was running for the previous user stops.
+let generation = 0;
+let flushing = false;
+let retryTimer = null;
+let lastSeq = 0;
+
+// Temp id => server id, for mutations queued right as their pin got created.
+const resolvedTempIds = new Map();
+
+const eventListeners = new Set();
+const statusListeners = new Set();
+
+let status = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  conflicts: [],
+};
+
+// ===== Status (useSyncExternalStore-friendly) =====
+
+function updateStatus(patch = {}) {
+  status = {
+    ...status,
+    ...patch,
+    pending: entries.length,
+    conflicts: entries.filter((e) => e.conflict),
+  };
+  statusListeners.forEach((listener) => listener());
+}
+
+export function getSyncStatus() {
+  return status;
+}
+
+export function subscribeSyncStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+export function subscribeOutbox(listener) {
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+}
+
+function emit(event) {
+  eventListeners.forEach((listener) => listener(event));
+}
+
+// ===== Temp ids =====
+
+export function newTempPinId() {
+  const random = globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random()}`;
+  return `${TEMP_ID_PREFIX}${random}`;
+}
+
+export function isTempPinId(id) {
+  return typeof id === "string" && id.startsWith(TEMP_ID_PREFIX);
+}
+
+// ===== Local (optimistic) application =====
+
+/**
+ * applyMutation
+ * Pure: returns the pin list as it looks after `mutation`. Safe to apply twice.
+ */
+export function applyMutation(pins, mutation) {
+  const { type, pinId, payload, at } = mutation;
+
+  switch (type) {
+    case "create":
+      if (pins.some((p) => p.id === pinId)) return pins;
+      return [...pins, { ...payload, id: pinId }];
+
+    case "patch":
+      return pins.map((p) => (p.id === pinId ? { ...p, ...payload } : p));
+
+    case "water":
+      return pins.map((p) => (p.id === pinId ? { ...p, lastWatered: at } : p));
+
+    case "unwater":
+      return pins.map((p) => (p.id === pinId ? { ...p, lastWatered: payload.lastWatered } : p));
+
+    case "fertilise":
+      return pins.map((p) => (p.id === pinId ? { ...p, lastFertilised: at } : p));
+
+    case "delete":
+      return pins.filter((p) => p.id !== pinId);
+
+    default:
+      return pins;
+  }
+}
+
+/**
+ * applyPendingMutations
+ * Re-applies still-queued mutations of a map on top of a pin list (e.g. fresh from the server).
+ */
+export function applyPendingMutations(mapId, pins) {
+  return entries
+    .filter((e) => e.mapId === mapId && !e.conflict)
+    .reduce((acc, e) => applyMutation(acc, e), pins);
+}
+
+export function hasPendingMutations(pinId) {
+  return entries.some((e) => e.pinId === pinId);
+}
+
+// ===== Queue =====
+
+/**
+ * initOutbox
+ * Loads persisted mutations, starts listening to connectivity, and tries to sync.
+ */
+export async function initOutbox() {
+  if (initialized) return;
+  initialized = true;
+
+  // Mutations queued before the read finished are both in memory and in the store: keep the
+  // in-memory ones, they're what a running flush holds on to.
+  const stored = await readOutboxEntries();
+  const queuedIds = new Set(entries.map((e) => e.id));
+  entries = [...stored.filter((e) => !queuedIds.has(e.id)), ...entries].sort(
+    (a, b) => a.seq - b.seq
+  );
+  lastSeq = Math.max(lastSeq, ...entries.map((e) => e.seq));
+
+  if (!listening) {
+    listening = true;
+    window.addEventListener("online", () => {
+      updateStatus({ online: true });
+      flushOutbox();
+    });
+    window.addEventListener("offline", () => updateStatus({ online: false }));
+  }
+
+  updateStatus();
+  flushOutbox();
+}
+
+/**
+ * resetOutbox
+ * Forgets everything queued (in memory; the caller clears IndexedDB), e.g. on sign-out, so
+ * one person's unsynced changes are never sent with someone else's token.
+ */
+export function resetOutbox() {
+  generation++;
+  entries = [];
+  initialized = false;
+  flushing = false;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  resolvedTempIds.clear();
+  updateStatus({ syncing: false });
+}
+
+// Entry ids are made here rather than by IndexedDB, so an entry is queued (and can be
+// removed again) before the write finishes. Entries stored by older versions have numbers.
+function newEntryId() {
+  const random = globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random()}`;
+  return `q-${random}`;
+}
+
+/**
+ * queueMutation
+ * Queues a mutation, persists it and tries to send it right away.
+ * The caller is expected to have applied it locally already.
+ */
+export async function queueMutation(mutation) {
+  const pinId = resolvedTempIds.get(mutation.pinId) ?? mutation.pinId;
+
+  // A pin that never reached the server can simply be forgotten. Nothing to send, so the
+  // delete counts as synced straight away (listeners confirm it like any other delete).
+  if (mutation.type === "delete" && isTempPinId(pinId)) {
+    const related = entries.filter((e) => e.pinId === pinId);
+    entries = entries.filter((e) => e.pinId !== pinId);
+    await Promise.all(related.map((e) => deleteOutboxEntry(e.id)));
+    updateStatus();
+    emit({ type: "synced", entry: { ...mutation, pinId }, result: null });
+    return;
+  }
+
+  // Keeps replay order stable even for mutations queued within the same millisecond.
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+
+  const entry = {
+    ...mutation,
+    id: newEntryId(),
+    pinId,
+    at: mutation.at ?? new Date().toISOString(),
+    seq: lastSeq,
+    conflict: false,
+  };
+
+  // In the queue before the first await: a delete or flush that runs meanwhile must see it.
+  entries.push(entry);
+  updateStatus();
+  await addOutboxEntry(entry);
+  flushOutbox();
+}
+
+async function removeEntry(entry) {
+  entries = entries.filter((e) => e !== entry);
+  await deleteOutboxEntry(entry.id);
+}
+
+// Unreachable server, or signed out meanwhile (401 even after a token refresh):
+// keep the queue and try again later instead of dropping the changes.
+function isRetryLater(error) {
+  return error instanceof NetworkError || error?.status === 401;
+}
+
+// Removes the watering event logged at `wateredAt` (if it's still there).
+async function removeWateringAt(pinId, wateredAt) {
+  const events = (await listWaterings(pinId)) ?? [];
+  const time = new Date(wateredAt).getTime();
+  const match = events.find((e) => new Date(e.wateredAt).getTime() === time);
+  return match ? deleteWatering(pinId, match.id) : null;
+}
+
+function send(entry) {
+  const { type, pinId, mapId, payload, baseVersion, force, at } = entry;
+
+  switch (type) {
+    case "create":
+      return createPin(mapId, payload, { performedAt: at });
+    case "patch":
+      return patchPin(pinId, payload, {
+        ifMatch: force ? undefined : baseVersion,
+        performedAt: at,
+      });
+    case "water":
+      return waterPin(pinId, { wateredAt: at });
+    case "unwater":
+      return removeWateringAt(pinId, payload.wateredAt);
+    case "fertilise":
+      return fertilisePin(pinId, { performedAt: at });
+    case "delete":
+      return deletePin(pinId, { performedAt: at });
+    default:
+      return Promise.reject(new Error(`Unknown mutation type: ${type}`));
+  }
+}
+
+// Next entry that can be sent: skips conflicts, and anything queued after a conflict on the same pin.
+function nextSendable() {
+  const blockedPins = new Set();
+  for (const entry of entries) {
+    if (entry.conflict) {
+      blockedPins.add(entry.pinId);
+      continue;
+    }
+    if (!blockedPins.has(entry.pinId)) return entry;
+  }
+  return null;
+}
+
+function scheduleRetry() {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, RETRY_DELAY_MS);
+}
+
+/**
+ * flushOutbox
+ * Replays queued mutations in order until the queue is empty or the server is unreachable.
+ */
+export async function flushOutbox() {
+  if (flushing) return;
+  if (!navigator.onLine) {
+    updateStatus({ online: false });
+    return;
+  }
+
+  flushing = true;
+  updateStatus({ syncing: true });
+  let isUnreachable = false;
+  const flushGeneration = generation;
+
+  try {
+    let entry;
+    while ((entry = nextSendable())) {
+      try {
+        const result = await send(entry);
+        if (flushGeneration !== generation) return;
+
+        // Deleted locally while its create was in flight: clean up the server copy too.
+        const wasCancelled = !entries.includes(entry);
+        await removeEntry(entry);
+        if (wasCancelled && entry.type === "create" && result?.id != null) {
+          await queueMutation({ type: "delete", mapId: entry.mapId, pinId: result.id });
+          continue;
+        }
+
+        if (entry.type === "create" && result?.id != null) {
+          // Re-point anything queued against the temporary id.
+          resolvedTempIds.set(entry.pinId, result.id);
+          for (const other of entries.filter((e) => e.pinId === entry.pinId)) {
+            other.pinId = result.id;
+            await putOutboxEntry(other);
+          }
+        }
+
+        emit({ type: "synced", entry, result });
+      } catch (error) {
+        if (flushGeneration !== generation) return;
+        if (isRetryLater(error)) {
+          isUnreachable = true;
+          scheduleRetry();
+          break;
+        }
+
+        if (error instanceof ConflictError) {
+          entry.conflict = true;
+          await putOutboxEntry(entry);
+          emit({ type: "conflict", entry, error });
+          continue;
+        }
+
+        // Deleting something that's already gone is fine.
+        await removeEntry(entry);
+        if (entry.type === "delete" && error instanceof NotFoundError) {
+          emit({ type: "synced", entry, result: null });
+        } else {
+          emit({ type: "rejected", entry, error });
+        }
+      } finally {
+        updateStatus();
+      }
+    }
+  } finally {
+    // A reset meanwhile: the flags belong to whatever runs after it now.
+    if (flushGeneration === generation) {
+      flushing = false;
+      updateStatus({ syncing: false });
+    }
+  }
+
+  // Something may have been queued while we were finishing up.
+  if (!isUnreachable && nextSendable()) flushOutbox();
+}
+
+/**
+ * retryMutation
+ * Queues a rejected mutation again as it was (same time, same base version).
+ */
+export function retryMutation(entry) {
+  const { id: _id, seq: _seq, conflict: _conflict, force: _force, ...mutation } = entry;
+  return queueMutation(mutation);
+}
+
+/**
+ * resolveConflict
+ * - "mine": send our change anyway (overwrites the server copy)
+ * - "server": drop our pending changes for that pin (the caller should reload pins)
+ */
+export async function resolveConflict(entryId, choice) {
+  const entry = entries.find((e) => e.id === entryId);
+  if (!entry) return;
+
+  if (choice === "mine") {
+    entry.conflict = false;
+    entry.force = true;
+    await putOutboxEntry(entry);
+    updateStatus();
+    flushOutbox();
+    return;
+  }
+
+  const dropped = entries.filter((e) => e.pinId === entry.pinId);
+  for (const e of dropped) await removeEntry(e);
+  updateStatus();
+  emit({ type: "discarded", entry });
+  flushOutbox();
+}
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("./gardenApi", () => ({
+  createPin: vi.fn(),
+  patchPin: vi.fn(),
+  waterPin: vi.fn(),
+  fertilisePin: vi.fn(),
+  deletePin: vi.fn(),
+  listWaterings: vi.fn(),
+  deleteWatering: vi.fn(),
+}));
+
+// In-memory stand-in for IndexedDB's "outbox" store.
+const stored = new Map();
+vi.mock("./offlineStore", () => ({
+  readOutboxEntries: async () => [...stored.values()].map((e) => ({ ...e })),
+  addOutboxEntry: async (entry) => (stored.set(entry.id, { ...entry }), entry.id),
+  putOutboxEntry: async (entry) => void stored.set(entry.id, { ...entry }),
+  deleteOutboxEntry: async (id) => void stored.delete(id),
+}));
+
+vi.stubGlobal("window", new EventTarget());
+
+const api = await import("./gardenApi");
+const { NetworkError, ConflictError, ValidationError } = await import("./errors");
+const {
+  applyMutation,
+  applyPendingMutations,
+  queueMutation,
+  flushOutbox,
+  initOutbox,
+  resetOutbox,
+  subscribeOutbox,
+  getSyncStatus,
+} = await import("./outbox");
+
+const rose = { id: 1, name: "Rose", xPercent: 10, yPercent: 20, lastWatered: null };
+const fern = { id: 2, name: "Fern", xPercent: 50, yPercent: 50, lastWatered: null };
+
+// Offline while queueing, so each test decides when the queue gets sent.
+beforeEach(() => {
+  resetOutbox();
+  stored.clear();
+  vi.clearAllMocks();
+  vi.stubGlobal("navigator", { onLine: false });
+});
+
+const goOnline = () => vi.stubGlobal("navigator", { onLine: true });
+
+describe("applyMutation", () => {
+  it("creates a pin once, even when applied twice", () => {
+    const create = { type: "create", pinId: "tmp-1", payload: { name: "Mint" } };
+    const once = applyMutation([rose], create);
+    expect(applyMutation(once, create)).toEqual([rose, { name: "Mint", id: "tmp-1" }]);
+  });
+
+  it("patches only the targeted pin", () => {
+    const pins = applyMutation([rose, fern], {
+      type: "patch",
+      pinId: 1,
+      payload: { xPercent: 30 },
+    });
+    expect(pins).toEqual([{ ...rose, xPercent: 30 }, fern]);
+  });
+
+  it("sets lastWatered on water and restores it on unwater", () => {
+    const at = "2024-05-01T08:00:00.000Z";
+    const watered = applyMutation([rose], { type: "water", pinId: 1, at });
+    expect(watered[0].lastWatered).toBe(at);
+
+    const undone = applyMutation(watered, {
+      type: "unwater",
+      pinId: 1,
+      payload: { wateredAt: at, lastWatered: "2024-04-01T08:00:00.000Z" },
+    });
+    expect(undone[0].lastWatered).toBe("2024-04-01T08:00:00.000Z");
+  });
+
+  it("removes deleted pins and ignores unknown types", () => {
+    expect(applyMutation([rose, fern], { type: "delete", pinId: 1 })).toEqual([fern]);
+    expect(applyMutation([rose], { type: "prune", pinId: 1 })).toEqual([rose]);
+  });
+});
+
+describe("applyPendingMutations", () => {
+  it("re-applies queued mutations of that map only, in order, skipping conflicts", async () => {
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "Red rose" } });
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "Pink rose" } });
+    await queueMutation({ type: "delete", mapId: 8, pinId: 2 });
+
+    expect(applyPendingMutations(7, [rose, fern])).toEqual([{ ...rose, name: "Pink rose" }, fern]);
+    expect(applyPendingMutations(8, [rose, fern])).toEqual([rose]);
+  });
+});
+
+describe("replay", () => {
+  it("sends queued mutations in order and reports them synced", async () => {
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "A" } });
+    await queueMutation({ type: "delete", mapId: 7, pinId: 2 });
+    goOnline();
+
+    const calls = [];
+    api.patchPin.mockImplementation(async (id) => (calls.push(["patch", id]), { id }));
+    api.deletePin.mockImplementation(async (id) => (calls.push(["delete", id]), null));
+    const events = [];
+    const unsubscribe = subscribeOutbox((event) => events.push(event.type));
+
+    await flushOutbox();
+    unsubscribe();
+
+    expect(calls).toEqual([
+      ["patch", 1],
+      ["delete", 2],
+    ]);
+    expect(events).toEqual(["synced", "synced"]);
+    expect(getSyncStatus().pending).toBe(0);
+    expect(stored.size).toBe(0);
+  });
+
+  it("re-points mutations queued against a temporary id once the pin is created", async () => {
+    await queueMutation({ type: "create", mapId: 7, pinId: "tmp-1", payload: { name: "Mint" } });
+    await queueMutation({ type: "water", mapId: 7, pinId: "tmp-1" });
+    goOnline();
+
+    api.createPin.mockResolvedValue({ id: 42, name: "Mint" });
+    api.waterPin.mockResolvedValue({ id: 42 });
+
+    await flushOutbox();
+
+    expect(api.waterPin).toHaveBeenCalledWith(42, expect.any(Object));
+  });
+
+  it("forgets a pin deleted before it was sent, and reports the delete as synced", async () => {
+    await queueMutation({ type: "create", mapId: 7, pinId: "tmp-1", payload: { name: "Mint" } });
+    const events = [];
+    const unsubscribe = subscribeOutbox((event) => events.push([event.type, event.entry.pinId]));
+
+    await queueMutation({ type: "delete", mapId: 7, pinId: "tmp-1", notify: "delete" });
+    unsubscribe();
+
+    expect(events).toEqual([["synced", "tmp-1"]]);
+    expect(getSyncStatus().pending).toBe(0);
+    expect(stored.size).toBe(0);
+  });
+
+  it("forgets a pin deleted while its create was still being stored", async () => {
+    goOnline();
+    const create = queueMutation({ type: "create", mapId: 7, pinId: "tmp-1", payload: {} });
+    const remove = queueMutation({ type: "delete", mapId: 7, pinId: "tmp-1" });
+    await Promise.all([create, remove]);
+
+    expect(api.createPin).not.toHaveBeenCalled();
+    expect(getSyncStatus().pending).toBe(0);
+    expect(stored.size).toBe(0);
+  });
+
+  it("keeps the queue when the server can't be reached", async () => {
+    vi.useFakeTimers();
+    goOnline();
+    api.patchPin.mockRejectedValue(new NetworkError());
+
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "A" } });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(getSyncStatus().pending).toBe(1);
+    expect(stored.size).toBe(1);
+    vi.useRealTimers();
+  });
+
+  it("drops refused mutations and holds back later edits of a conflicting pin", async () => {
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "A" } });
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "B" } });
+    await queueMutation({ type: "patch", mapId: 7, pinId: 2, payload: { name: "" } });
+    goOnline();
+
+    api.patchPin.mockImplementation(async (id) => {
+      throw id === 1 ? new ConflictError("Changed meanwhile") : new ValidationError("No name");
+    });
+    const events = [];
+    const unsubscribe = subscribeOutbox((event) => events.push([event.type, event.entry.pinId]));
+
+    await flushOutbox();
+    unsubscribe();
+
+    expect(events).toEqual([
+      ["conflict", 1],
+      ["rejected", 2],
+    ]);
+    expect(api.patchPin).toHaveBeenCalledTimes(2);
+    expect(getSyncStatus().pending).toBe(2);
+    expect(getSyncStatus().conflicts).toHaveLength(1);
+  });
+});
+
+describe("initOutbox", () => {
+  it("loads stored mutations without duplicating ones queued meanwhile", async () => {
+    stored.set(100, { id: 100, type: "water", mapId: 7, pinId: 1, seq: 1, conflict: false });
+    await queueMutation({ type: "patch", mapId: 7, pinId: 2, payload: { name: "B" } });
+
+    await initOutbox();
+
+    expect(getSyncStatus().pending).toBe(2);
+    expect(applyPendingMutations(7, [rose, fern]).map((p) => p.name)).toEqual(["Rose", "B"]);
+  });
+});
@@ -0,0 +1,90 @@
+import { applyMutation, applyPendingMutations } from "./outbox";
+
+/**
+ * pinCache
+ * Normalized copy of the pins as the server last confirmed them (by id, plus each map's order).
+ *
+ * What's shown = confirmed pins + the outbox's pending mutations on top (the optimistic part).
+ * Keeping the confirmed layer apart is what makes rollback cheap: when the server refuses a
+ * change, the outbox drops it and `getPinsView` no longer includes it, without a reload.
+ *
+ * Fed from:
+ * - `listPins` snapshots (replaceMapPins)
+ * - outbox mutations the server accepted (confirmMutation)
+ * - live updates from other devices (updateMapPins with mergeRemoteEvent)
+ * - pins the server returned from calls outside the outbox (watering log, photos:
+ *   updateConfirmedPin)
+ *
+ * Maps whose pins were never loaded from the server aren't tracked: `hasMapPins` is false
+ * and the caller falls back to reloading.
+ */
+
+const pinsById = new Map(); // id => pin
+const pinIdsByMap = new Map(); // mapId => [id], in server order
+
+export function hasMapPins(mapId) {
+  return pinIdsByMap.has(mapId);
+}
+
+export function getConfirmedPins(mapId) {
+  return (pinIdsByMap.get(mapId) ?? []).map((id) => pinsById.get(id)).filter(Boolean);
+}
+
+/**
+ * getPinsView
+ * Confirmed pins with the still-pending (not yet synced) mutations applied.
+ */
+export function getPinsView(mapId) {
+  return applyPendingMutations(mapId, getConfirmedPins(mapId));
+}
+
+export function replaceMapPins(mapId, pins) {
+  for (const id of pinIdsByMap.get(mapId) ?? []) pinsById.delete(id);
+  for (const pin of pins) pinsById.set(pin.id, pin);
+  pinIdsByMap.set(mapId, pins.map((p) => p.id));
+}
+
+/**
+ * updateMapPins
+ * Replaces a loaded map's confirmed pins with `update(pins)`; ignored for maps not loaded yet.
+ */
+export function updateMapPins(mapId, update) {
+  if (!hasMapPins(mapId)) return;
+  replaceMapPins(mapId, update(getConfirmedPins(mapId)));
+}
+
+/**
+ * updateConfirmedPin
+ * Replaces one pin with `update(pin)`, in whichever loaded map has it.
+ */
+export function updateConfirmedPin(pinId, update) {
+  const pin = pinsById.get(pinId);
+  if (pin) pinsById.set(pinId, update(pin));
+}
+
+/**
+ * confirmMutation
+ * The server accepted an outbox mutation: fold it (and the pin it answered with) in.
+ */
+export function confirmMutation(entry, result) {
+  updateMapPins(entry.mapId, (pins) => {
+    if (entry.type === "create") {
+      return result ? [...pins.filter((p) => p.id !== result.id), result] : pins;
+    }
+
+    const next = applyMutation(pins, entry);
+    if (!result || entry.type === "delete") return next;
+    return next.map((p) => (p.id === entry.pinId ? { ...p, ...result } : p));
+  });
+}
+
+export function forgetMapPins(mapId) {
+  replaceMapPins(mapId, []);
+  pinIdsByMap.delete(mapId);
+}
+
+// Signing out: the next person must not see these pins (see account.js).
+export function clearPinCache() {
+  pinsById.clear();
+  pinIdsByMap.clear();
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Only the queue is needed here; applyMutation/applyPendingMutations are the real ones.
+vi.mock("./offlineStore", () => ({
+  readOutboxEntries: async () => [],
+  addOutboxEntry: async () => null,
+  putOutboxEntry: async () => {},
+  deleteOutboxEntry: async () => {},
+}));
+
+const { queueMutation, resetOutbox } = await import("./outbox");
+const {
+  hasMapPins,
+  getConfirmedPins,
+  getPinsView,
+  replaceMapPins,
+  updateMapPins,
+  updateConfirmedPin,
+  confirmMutation,
+  forgetMapPins,
+  clearPinCache,
+} = await import("./pinCache");
+
+const rose = { id: 1, version: 1, name: "Rose", xPercent: 10, yPercent: 20 };
+const fern = { id: 2, version: 1, name: "Fern", xPercent: 50, yPercent: 50 };
+
+beforeEach(() => {
+  resetOutbox();
+  clearPinCache();
+  vi.stubGlobal("navigator", { onLine: false }); // keep queued mutations pending
+});
+
+describe("pinCache", () => {
+  it("only tracks maps loaded from the server", () => {
+    expect(hasMapPins(7)).toBe(false);
+    updateMapPins(7, () => [rose]);
+    expect(hasMapPins(7)).toBe(false);
+
+    replaceMapPins(7, [rose, fern]);
+    expect(getConfirmedPins(7)).toEqual([rose, fern]);
+
+    forgetMapPins(7);
+    expect(hasMapPins(7)).toBe(false);
+    expect(getConfirmedPins(7)).toEqual([]);
+  });
+
+  it("shows pending mutations on top, and drops them from the view once gone", async () => {
+    replaceMapPins(7, [rose, fern]);
+    await queueMutation({ type: "patch", mapId: 7, pinId: 1, payload: { name: "Red rose" } });
+
+    expect(getPinsView(7)[0].name).toBe("Red rose");
+    expect(getConfirmedPins(7)[0].name).toBe("Rose");
+
+    resetOutbox(); // e.g. the server refused it
+    expect(getPinsView(7)).toEqual([rose, fern]);
+  });
+
+  it("folds in confirmed mutations with the pin the server answered with", () => {
+    replaceMapPins(7, [rose, fern]);
+
+    confirmMutation(
+      { type: "patch", mapId: 7, pinId: 1, payload: { name: "Red rose" } },
+      { id: 1, version: 2, name: "Red rose" }
+    );
+    confirmMutation(
+      { type: "create", mapId: 7, pinId: "tmp-1", payload: { name: "Mint" } },
+      { id: 3, version: 1, name: "Mint" }
+    );
+    confirmMutation({ type: "delete", mapId: 7, pinId: 2 }, null);
+
+    expect(getConfirmedPins(7)).toEqual([
+      { ...rose, version: 2, name: "Red rose" },
+      { id: 3, version: 1, name: "Mint" },
+    ]);
+  });
+
+  it("updates a single pin in whichever map has it", () => {
+    replaceMapPins(7, [rose]);
+    replaceMapPins(8, [fern]);
+
+    updateConfirmedPin(2, (pin) => ({ ...pin, lastWatered: "2024-05-01T08:00:00.000Z" }));
+    updateConfirmedPin(99, () => ({ id: 99 }));
+
+    expect(getConfirmedPins(8)[0].lastWatered).toBe("2024-05-01T08:00:00.000Z");
+    expect(getConfirmedPins(7)).toEqual([rose]);
+  });
+});
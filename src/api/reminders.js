@@ -0,0 +1,151 @@
+import {
+  readReminderSettings,
+  writeReminderSettings,
+  writeReminderPlants,
+  deleteReminderPlants,
+} from "./offlineStore";
+import { registerServiceWorker } from "./serviceWorker";
+import { getWateringStatus } from "../components/WateringStatus";
+
+/**
+ * reminders
+ * Daily "N plants need water" digest through the Notifications API.
+ *
+ * Flow:
+ * - The page works out each plant's next due date (same rules as the map, incl. seasons) and
+ *   stores it per map in IndexedDB, together with the reminder settings.
+ * - The service worker (public/sw.js) reads that snapshot and shows at most one digest a day,
+ *   once the digest time has passed and outside quiet hours. It checks when the page asks it to
+ *   (on load, after changes, every few minutes while open) and on periodic background sync
+ *   where the browser supports it.
+ * - Clicking the notification opens the map at the most overdue plant (`?map=..&pin=..`).
+ *   An already-open tab is focused and told via a "open-pin" message instead.
+ *
+ * Notes:
+ * - Mutes are per plant and stored with the settings (pin ids as strings).
+ */
+
+const PERIODIC_SYNC_TAG = "garden-reminders";
+const PERIODIC_SYNC_MIN_INTERVAL_MS = 1000 * 60 * 60;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  digestTime: "08:00",
+  quietHoursEnabled: true,
+  quietStart: "22:00",
+  quietEnd: "07:00",
+  mutedPinIds: [],
+};
+
+export function isReminderSupported() {
+  return "serviceWorker" in navigator && "Notification" in window;
+}
+
+export function getNotificationPermission() {
+  return isReminderSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!isReminderSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+/**
+ * registerReminderWorker
+ * Makes sure the service worker is registered and, where supported, adds a periodic sync
+ * so the digest also goes out while the map isn't open.
+ */
+export async function registerReminderWorker() {
+  if (!isReminderSupported()) return null;
+
+  const registration = await registerServiceWorker();
+  if (registration) await registerPeriodicSync(registration);
+  return registration;
+}
+
+async function registerPeriodicSync(registration) {
+  if (!("periodicSync" in registration)) return;
+  try {
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_MIN_INTERVAL_MS,
+    });
+  } catch {
+    // Only allowed for installed apps with enough engagement; the page-driven check still works.
+  }
+}
+
+export async function loadReminderSettings() {
+  const stored = await readReminderSettings();
+  return { ...DEFAULT_REMINDER_SETTINGS, ...(stored ?? {}) };
+}
+
+export async function saveReminderSettings(settings) {
+  await writeReminderSettings(settings);
+  await checkRemindersNow();
+}
+
+export function isPinMuted(settings, pinId) {
+  return settings.mutedPinIds.includes(String(pinId));
+}
+
+export function toggleMutedPin(settings, pinId) {
+  const id = String(pinId);
+  const mutedPinIds = settings.mutedPinIds.includes(id)
+    ? settings.mutedPinIds.filter((m) => m !== id)
+    : [...settings.mutedPinIds, id];
+  return { ...settings, mutedPinIds };
+}
+
+/**
+ * buildReminderPlants
+ * Plants with a known schedule: [{ pinId, name, dueAt }] (dueAt = local midnight of the due day).
+ */
+export function buildReminderPlants(pins, now = new Date()) {
+  const plants = [];
+  for (const pin of pins) {
+    const status = getWateringStatus(pin, now);
+    if (status.state === "unknown") continue;
+    plants.push({
+      pinId: String(pin.id),
+      name: pin.name || "New little plant",
+      dueAt: status.dueDate.toISOString(),
+    });
+  }
+  return plants;
+}
+
+export async function saveReminderPlants(map, pins) {
+  await writeReminderPlants(map.id, {
+    mapId: map.id,
+    mapName: map.name ?? "",
+    plants: buildReminderPlants(pins),
+  });
+}
+
+export const forgetReminderPlants = (mapId) => deleteReminderPlants(mapId);
+
+/**
+ * checkRemindersNow
+ * Asks the service worker to send today's digest if it's due. Safe to call often.
+ */
+export async function checkRemindersNow() {
+  const registration = await registerReminderWorker();
+  const worker = registration?.active ?? registration?.waiting ?? registration?.installing;
+  worker?.postMessage({ type: "check-reminders" });
+}
+
+/**
+ * subscribeReminderClicks
+ * @param {(target: { mapId: number, pinId: string }) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeReminderClicks(handler) {
+  if (!isReminderSupported()) return () => {};
+
+  const onMessage = (event) => {
+    if (event.data?.type === "open-pin") handler(event.data);
+  };
+
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi } from "vitest";
+
+// The helpers tested here never touch IndexedDB or the service worker.
+vi.mock("./offlineStore", () => ({}));
+vi.mock("./serviceWorker", () => ({}));
+
+const { buildReminderPlants, isPinMuted, toggleMutedPin, DEFAULT_REMINDER_SETTINGS } =
+  await import("./reminders");
+
+// Pins store timestamps as ISO strings.
+const day = (...parts) => new Date(...parts).toISOString();
+
+describe("buildReminderPlants", () => {
+  const now = new Date(2026, 5, 1, 15, 30);
+
+  it("lists plants with a schedule, due at local midnight", () => {
+    const pins = [
+      { id: 4, name: "Basil", wateringIntervalDays: 2, lastWatered: day(2026, 4, 31, 9) },
+      { id: 5, name: "", wateringIntervalDays: 7, lastWatered: day(2026, 4, 20) },
+    ];
+    expect(buildReminderPlants(pins, now)).toEqual([
+      { pinId: "4", name: "Basil", dueAt: day(2026, 5, 2) },
+      { pinId: "5", name: "New little plant", dueAt: day(2026, 4, 27) },
+    ]);
+  });
+
+  it("leaves out plants without an interval or a last watering", () => {
+    const pins = [
+      { id: 1, name: "Fern", wateringIntervalDays: 3, lastWatered: null },
+      { id: 2, name: "Stone", wateringIntervalDays: null, lastWatered: day(2026, 4, 1) },
+    ];
+    expect(buildReminderPlants(pins, now)).toEqual([]);
+  });
+});
+
+describe("muted plants", () => {
+  it("toggles a plant's mute by its id as a string", () => {
+    const muted = toggleMutedPin(DEFAULT_REMINDER_SETTINGS, 7);
+    expect(muted.mutedPinIds).toEqual(["7"]);
+    expect(isPinMuted(muted, "7")).toBe(true);
+    expect(isPinMuted(toggleMutedPin(muted, "7"), 7)).toBe(false);
+  });
+});
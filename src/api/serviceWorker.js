@@ -0,0 +1,39 @@
+/**
+ * serviceWorker
+ * Registers public/sw.js (offline app shell + cached pins, and the watering reminders).
+ *
+ * Notes:
+ * - Registered once per page load; every caller gets the same registration (or null when the
+ *   browser has no service workers or registration failed, in which case the app just works
+ *   online as before).
+ * - clearUserCaches drops what the worker cached from the API for the signed-in user.
+ */
+
+const WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+// Runtime caches of public/sw.js holding the signed-in user's maps, pins and photos
+// (names must match IMAGE_CACHE / API_CACHE there). The app shell cache is shared.
+const USER_CACHES = ["garden-api", "garden-images"];
+
+let registrationPromise = null;
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return Promise.resolve(null);
+  if (registrationPromise) return registrationPromise;
+
+  registrationPromise = navigator.serviceWorker.register(WORKER_URL).catch((e) => {
+    console.warn("Service worker registration failed:", e);
+    return null;
+  });
+
+  return registrationPromise;
+}
+
+export async function clearUserCaches() {
+  if (typeof caches === "undefined") return;
+  try {
+    await Promise.all(USER_CACHES.map((name) => caches.delete(name)));
+  } catch (e) {
+    console.warn("Could not clear the service worker caches:", e);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * session
+ * The signed-in user and their tokens: { accessToken, refreshToken, user: { id, email, name } }.
+ *
+ * Notes:
+ * - Kept in localStorage so a reload (or the installed app) stays signed in.
+ * - useSyncExternalStore-friendly: getSession / subscribeSession.
+ * - Logging in/out and refreshing the token live in gardenApi.js; this is only the storage.
+ * - The "data owner" is the user whose offline data (outbox, cached maps/pins) is on this
+ *   device. It outlives the session, so an expired session can sign back in without losing
+ *   unsynced changes, while a different user starts clean (see account.js).
+ */
+
+const STORAGE_KEY = "garden-map.session";
+const DATA_OWNER_KEY = "garden-map.dataOwner";
+
+const listeners = new Set();
+
+function readStoredSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+let session = readStoredSession();
+
+export function getSession() {
+  return session;
+}
+
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setSession(next) {
+  session = next;
+  try {
+    if (next) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn("Could not persist the session:", e);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+export const clearSession = () => setSession(null);
+
+export function getDataOwner() {
+  try {
+    return window.localStorage.getItem(DATA_OWNER_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setDataOwner(userId) {
+  try {
+    if (userId != null) window.localStorage.setItem(DATA_OWNER_KEY, String(userId));
+    else window.localStorage.removeItem(DATA_OWNER_KEY);
+  } catch (e) {
+    console.warn("Could not persist the data owner:", e);
+  }
+}
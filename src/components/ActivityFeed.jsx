@@ -0,0 +1,183 @@
+import { useEffect, useMemo, useState } from "react";
+import "./ActivityFeed.css";
+import { listMapActivity } from "../api/gardenApi";
+import { formatDateTime } from "./DateFormatter";
+
+/**
+ * ActivityFeed
+ * Side panel (right) with who did what on the map, newest first.
+ *
+ * - Filter by plant and by person (only ones that appear in the log are offered).
+ * - Clicking a plant's name jumps to the pin on the map (deleted plants are just text).
+ * - Changes still waiting in the offline outbox show up once they're synced.
+ *
+ * Props:
+ * - mapId
+ * - pins: pins of the current map (for current names)
+ * - revision: bumps whenever a pin change is synced or arrives from another device, to reload
+ * - onClose()
+ * - onFocusPin(pinId)
+ */
+
+const FALLBACK_NAME = "New little plant";
+const ALL = "all";
+
+const ACTION_TEXT = {
+  created: "planted",
+  moved: "moved",
+  edited: "edited",
+  watered: "watered",
+  fertilised: "fertilised",
+  deleted: "removed",
+};
+
+function actorName(actor) {
+  return actor?.name || actor?.email || "Someone";
+}
+
+export default function ActivityFeed({ mapId, pins, revision, onClose, onFocusPin }) {
+  const [entries, setEntries] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [pinFilter, setPinFilter] = useState(ALL);
+  const [personFilter, setPersonFilter] = useState(ALL);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const data = await listMapActivity(mapId);
+        if (!cancelled) {
+          setEntries(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load activity:", e);
+        if (!cancelled) setLoadError("Couldn't load the activity.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mapId, revision]);
+
+  const pinNames = useMemo(
+    () => new Map(pins.map((p) => [String(p.id), p.name || FALLBACK_NAME])),
+    [pins]
+  );
+
+  // Current name if the plant is still there, otherwise the name it had at the time.
+  const plantName = (entry) =>
+    pinNames.get(String(entry.pinId)) ?? (entry.pinName || FALLBACK_NAME);
+
+  const sortedEntries = useMemo(
+    () => [...entries].sort((a, b) => new Date(b.at) - new Date(a.at)),
+    [entries]
+  );
+
+  const plantOptions = useMemo(() => {
+    const byId = new Map();
+    for (const entry of sortedEntries) {
+      const id = String(entry.pinId);
+      if (!byId.has(id)) {
+        byId.set(id, pinNames.get(id) ?? (entry.pinName || FALLBACK_NAME));
+      }
+    }
+    return [...byId]
+      .map(([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [sortedEntries, pinNames]);
+
+  const personOptions = useMemo(() => {
+    const byId = new Map();
+    for (const entry of sortedEntries) {
+      const id = String(entry.actor?.id);
+      if (!byId.has(id)) byId.set(id, actorName(entry.actor));
+    }
+    return [...byId]
+      .map(([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [sortedEntries]);
+
+  const visibleEntries = useMemo(
+    () =>
+      sortedEntries.filter(
+        (entry) =>
+          (pinFilter === ALL || String(entry.pinId) === pinFilter) &&
+          (personFilter === ALL || String(entry.actor?.id) === personFilter)
+      ),
+    [sortedEntries, pinFilter, personFilter]
+  );
+
+  return (
+    <aside className="activity-feed" onClick={(e) => e.stopPropagation()}>
+      <div className="activity-feed-header">
+        <div className="activity-feed-title">Activity</div>
+        <button className="activity-feed-close" onClick={onClose} aria-label="Close activity">
+          ×
+        </button>
+      </div>
+
+      <div className="activity-feed-filters">
+        <label>
+          Plant
+          <select value={pinFilter} onChange={(e) => setPinFilter(e.target.value)}>
+            <option value={ALL}>All plants</option>
+            {plantOptions.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Person
+          <select value={personFilter} onChange={(e) => setPersonFilter(e.target.value)}>
+            <option value={ALL}>Everyone</option>
+            {personOptions.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="activity-feed-scroll">
+        {loadError && <div className="errorText activity-feed-empty">{loadError}</div>}
+
+        {visibleEntries.length === 0 && !loadError && (
+          <div className="activity-feed-empty">Nothing has happened here yet.</div>
+        )}
+
+        <ul className="activity-feed-list">
+          {visibleEntries.map((entry) => {
+            const exists = pinNames.has(String(entry.pinId));
+            return (
+              <li key={entry.id} className="activity-feed-entry">
+                <div>
+                  <span className="activity-feed-actor">{actorName(entry.actor)}</span>{" "}
+                  {ACTION_TEXT[entry.type] ?? entry.type}{" "}
+                  {exists ? (
+                    <button
+                      type="button"
+                      className="activity-feed-plant"
+                      onClick={() => onFocusPin?.(entry.pinId)}
+                    >
+                      {plantName(entry)}
+                    </button>
+                  ) : (
+                    <span className="activity-feed-plant-gone">{plantName(entry)}</span>
+                  )}
+                </div>
+                <div className="activity-feed-date">{formatDateTime(entry.at)}</div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,18 @@
+import { Fragment, useSyncExternalStore } from "react";
+import { getSession, subscribeSession } from "../api/session";
+import LoginScreen from "./LoginScreen";
+
+/**
+ * AuthGate
+ * Shows the login screen until someone is signed in, then the app.
+ * - Keyed by user, so switching accounts starts the app from a clean slate (the data stored
+ *   on the device is wiped by api/account.js).
+ * - A failed token refresh clears the session, which brings the login screen back.
+ */
+
+export default function AuthGate({ children }) {
+  const session = useSyncExternalStore(subscribeSession, getSession);
+
+  if (!session) return <LoginScreen />;
+  return <Fragment key={session.user?.id ?? "user"}>{children}</Fragment>;
+}
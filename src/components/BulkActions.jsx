@@ -0,0 +1,103 @@
+import "./BulkActions.css";
+
+/**
+ * BulkActions
+ * Bar shown in edit mode while several pins are selected (shift-click / shift-drag).
+ * - Water all, set watering interval, change type, delete
+ * - Shows how the last bulk action went, including pins the server refused
+ *
+ * Props:
+ * - count: number of selected pins
+ * - report: { label, total, succeeded, failed: [{ pinId, pinName, message }] } | null
+ * - onWater()
+ * - onSetInterval(days | null)
+ * - onChangeType(type)
+ * - onDelete()
+ * - onClear()
+ */
+
+function parseIntervalInput(input) {
+  const trimmed = (input ?? "").trim();
+  if (trimmed === "") return { value: null, error: "" };
+  if (!/^\d+$/.test(trimmed) || Number(trimmed) < 1) {
+    return { value: null, error: "Give me whole days (1 or more)." };
+  }
+  return { value: Number(trimmed), error: "" };
+}
+
+export default function BulkActions({
+  count,
+  report,
+  onWater,
+  onSetInterval,
+  onChangeType,
+  onDelete,
+  onClear,
+}) {
+  const handleSetInterval = () => {
+    const input = window.prompt(
+      `Water the ${count} selected plants every how many days? (empty = unknown)`,
+      ""
+    );
+    if (input == null) return;
+
+    const interval = parseIntervalInput(input);
+    if (interval.error) {
+      window.alert(interval.error);
+      return;
+    }
+    onSetInterval(interval.value);
+  };
+
+  const handleChangeType = () => {
+    const type = (window.prompt(`New type for the ${count} selected plants:`, "") ?? "").trim();
+    if (!type) return;
+    onChangeType(type);
+  };
+
+  const handleDelete = () => {
+    const ok = window.confirm(`Delete ${count} plants? This can be undone with Undo.`);
+    if (ok) onDelete();
+  };
+
+  const pending = report ? report.total - report.succeeded - report.failed.length : 0;
+
+  return (
+    <div className="bulk-actions" onClick={(e) => e.stopPropagation()}>
+      <div className="bulk-actions-row">
+        <span className="bulk-actions-count">{count} selected</span>
+        <button type="button" onClick={onWater} disabled={count === 0}>
+          Water all
+        </button>
+        <button type="button" onClick={handleSetInterval} disabled={count === 0}>
+          Set interval
+        </button>
+        <button type="button" onClick={handleChangeType} disabled={count === 0}>
+          Change type
+        </button>
+        <button type="button" onClick={handleDelete} disabled={count === 0}>
+          Delete
+        </button>
+        <button type="button" className="bulk-actions-clear" onClick={onClear}>
+          Clear
+        </button>
+      </div>
+
+      {report && (
+        <div className="bulk-actions-report">
+          {report.label}: {report.succeeded} of {report.total} done
+          {pending > 0 && `, ${pending} waiting to sync`}
+          {report.failed.length > 0 && (
+            <ul className="bulk-actions-failures">
+              {report.failed.map((f) => (
+                <li key={f.pinId}>
+                  {f.pinName ?? "Plant"}: {f.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useMemo } from "react";
+import "./CareAgenda.css";
+import { projectWaterings, getWateringStatus } from "./WateringStatus";
+
+/**
+ * CareAgenda
+ * Side panel (right) listing what needs doing: overdue, today, and the coming days.
+ *
+ * - Waterings are projected from `lastWatered` + `wateringIntervalDays`.
+ * - "Done" waters the plant (only on each plant's next occurrence; the rest are previews).
+ * - Clicking a task jumps to the pin on the map.
+ *
+ * Props:
+ * - pins: pins of the current map
+ * - onClose()
+ * - onMarkWatered(pinId)
+ * - onFocusPin(pinId)
+ * - canEdit: false for viewers of a shared map (no "Done"; default true)
+ */
+
+const FALLBACK_NAME = "New little plant";
+const AGENDA_DAYS = 7;
+
+function groupLabel(daysUntilDue, dueDate) {
+  if (daysUntilDue < 0) return "Overdue";
+  if (daysUntilDue === 0) return "Today";
+  if (daysUntilDue === 1) return "Tomorrow";
+  return dueDate.toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "short" });
+}
+
+function overdueText(daysUntilDue) {
+  const days = -daysUntilDue;
+  return days === 1 ? "1 day late" : `${days} days late`;
+}
+
+export default function CareAgenda({ pins, onClose, onMarkWatered, onFocusPin, canEdit = true }) {
+  const groups = useMemo(() => {
+    const byLabel = new Map();
+    for (const task of projectWaterings(pins, { days: AGENDA_DAYS })) {
+      const label = groupLabel(task.daysUntilDue, task.dueDate);
+      if (!byLabel.has(label)) byLabel.set(label, []);
+      byLabel.get(label).push(task);
+    }
+    return [...byLabel.entries()];
+  }, [pins]);
+
+  const unscheduledCount = useMemo(
+    () => pins.filter((p) => getWateringStatus(p).state === "unknown").length,
+    [pins]
+  );
+
+  return (
+    <aside className="care-agenda" onClick={(e) => e.stopPropagation()}>
+      <div className="care-agenda-header">
+        <div className="care-agenda-title">Tasks (next {AGENDA_DAYS} days)</div>
+        <button className="care-agenda-close" onClick={onClose} aria-label="Close tasks">
+          ×
+        </button>
+      </div>
+
+      <div className="care-agenda-scroll">
+        {groups.length === 0 && (
+          <div className="care-agenda-empty">Nothing to water this week.</div>
+        )}
+
+        {groups.map(([label, tasks]) => (
+          <section key={label} className="care-agenda-group">
+            <div className={`care-agenda-group-title${label === "Overdue" ? " is-overdue" : ""}`}>
+              {label}
+            </div>
+
+            {tasks.map((task) => (
+              <div key={task.key} className="care-agenda-task">
+                <button
+                  type="button"
+                  className="care-agenda-task-main"
+                  onClick={() => onFocusPin?.(task.pin.id)}
+                >
+                  <span className="care-agenda-task-name">
+                    Water {task.pin.name || FALLBACK_NAME}
+                  </span>
+                  {task.daysUntilDue < 0 && (
+                    <span className="care-agenda-task-meta">{overdueText(task.daysUntilDue)}</span>
+                  )}
+                </button>
+
+                {task.isNext && canEdit && (
+                  <button
+                    type="button"
+                    className="care-agenda-done"
+                    onClick={() => onMarkWatered?.(task.pin.id)}
+                  >
+                    Done
+                  </button>
+                )}
+              </div>
+            ))}
+          </section>
+        ))}
+
+        {unscheduledCount > 0 && (
+          <div className="care-agenda-footnote">
+            {unscheduledCount === 1
+              ? "1 plant has no watering schedule yet."
+              : `${unscheduledCount} plants have no watering schedule yet.`}
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+}
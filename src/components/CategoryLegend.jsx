@@ -0,0 +1,62 @@
+import { useMemo } from "react";
+import "./CategoryLegend.css";
+import {
+  PIN_CATEGORIES,
+  UNCATEGORISED,
+  UNCATEGORISED_LABEL,
+  getPinCategoryKey,
+} from "./PinCategories";
+
+/**
+ * CategoryLegend
+ * Small box (bottom-right) listing the pin categories used on this map.
+ * Clicking a category hides/shows its pins.
+ *
+ * Props:
+ * - pins: all pins of the map (hidden ones included, so counts stay stable)
+ * - hiddenCategories: Set of category keys that are hidden
+ * - onToggleCategory(key)
+ */
+
+export default function CategoryLegend({ pins, hiddenCategories, onToggleCategory }) {
+  const counts = useMemo(() => {
+    const next = new Map();
+    for (const pin of pins) {
+      const key = getPinCategoryKey(pin);
+      next.set(key, (next.get(key) ?? 0) + 1);
+    }
+    return next;
+  }, [pins]);
+
+  const entries = [
+    ...PIN_CATEGORIES,
+    { key: UNCATEGORISED, label: UNCATEGORISED_LABEL, icon: null, color: null },
+  ].filter((c) => counts.has(c.key));
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="category-legend" aria-label="Categories" onClick={(e) => e.stopPropagation()}>
+      <div className="category-legend-title">Categories</div>
+      {entries.map((c) => {
+        const isHidden = hiddenCategories.has(c.key);
+        return (
+          <button
+            key={c.key}
+            type="button"
+            className={`category-legend-row${isHidden ? " category-legend-row-hidden" : ""}`}
+            onClick={() => onToggleCategory(c.key)}
+            aria-pressed={!isHidden}
+            title={isHidden ? "Show on map" : "Hide from map"}
+          >
+            <span className="category-legend-icon" style={{ "--pin-color": c.color ?? "#9e9e9e" }}>
+              {c.icon}
+            </span>
+            <span className="category-legend-label">{c.label}</span>
+            <span className="category-legend-count">{counts.get(c.key)}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
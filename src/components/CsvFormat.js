@@ -0,0 +1,80 @@
+/**
+ * CsvFormat
+ * Minimal CSV (RFC 4180) writing and reading: comma separated, fields quoted when needed,
+ * quotes doubled inside quoted fields, CRLF or LF line endings.
+ */
+
+function formatCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * toCsv
+ * @param {string[]} columns
+ * @param {object[]} rows: objects keyed by column name
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  return lines.map((cells) => cells.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * parseCsv
+ * Returns { columns, rows } where rows are objects keyed by column name.
+ * Throws on unbalanced quotes.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error("Unclosed quote in CSV.");
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...body] = records.filter((r) => r.some((c) => c.trim() !== ""));
+  const columns = header.map((c) => c.trim());
+  const rows = body.map((cells) =>
+    Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""]))
+  );
+
+  return { columns, rows };
+}
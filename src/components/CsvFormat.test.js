@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { toCsv, parseCsv } from "./CsvFormat";
+
+describe("toCsv", () => {
+  it("quotes fields with commas, quotes or line breaks", () => {
+    const csv = toCsv(
+      ["name", "notes"],
+      [
+        { name: "Rose", notes: 'Likes "full" sun, mostly' },
+        { name: "Fern", notes: "Shade\nDamp soil" },
+        { name: "Mint", notes: null },
+      ]
+    );
+
+    expect(csv).toBe(
+      'name,notes\r\nRose,"Likes ""full"" sun, mostly"\r\nFern,"Shade\nDamp soil"\r\nMint,\r\n'
+    );
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads back what toCsv writes", () => {
+    const rows = [
+      { name: "Rose", notes: 'Likes "full" sun, mostly' },
+      { name: "Fern", notes: "Shade\r\nDamp soil" },
+    ];
+    expect(parseCsv(toCsv(["name", "notes"], rows))).toEqual({ columns: ["name", "notes"], rows });
+  });
+
+  it("accepts LF endings, a BOM, padded headers, short rows and blank lines", () => {
+    const { columns, rows } = parseCsv("\uFEFF name ,x\nRose,1\n\nFern\n");
+
+    expect(columns).toEqual(["name", "x"]);
+    expect(rows).toEqual([
+      { name: "Rose", x: "1" },
+      { name: "Fern", x: "" },
+    ]);
+  });
+
+  it("reads a last line without a line break", () => {
+    expect(parseCsv("a,b\r\n1,2").rows).toEqual([{ a: "1", b: "2" }]);
+  });
+
+  it("throws on an unclosed quote", () => {
+    expect(() => parseCsv('a\n"oops')).toThrow("Unclosed quote");
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * CustomFields
+ * User-defined fields per map ("Planted on", "Pot size", "Seed supplier"...).
+ *
+ * Data:
+ * - Field definition (per map): { id, label, type, options? } where `options` is only used by "select".
+ * - Values live on the pin: pin.customFields = { [fieldId]: value }
+ *   (text/url/select/date => string, number => number, checkbox => boolean; null when empty).
+ *
+ * Inputs are edited as strings (booleans for checkboxes) and parsed on save,
+ * in the same { value, error } style as PinInputs' parseInterval.
+ */
+
+export const FIELD_TYPES = ["text", "number", "date", "select", "checkbox", "url"];
+
+export const FIELD_TYPE_LABELS = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  select: "Choice",
+  checkbox: "Checkbox",
+  url: "Link",
+};
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+/**
+ * toFieldInputValue
+ * Stored value => what the input element shows while editing.
+ */
+export function toFieldInputValue(definition, value) {
+  if (definition.type === "checkbox") return value === true;
+  if (value == null) return "";
+  return String(value);
+}
+
+/**
+ * parseFieldValue
+ * Input value => { value, error } for the given field definition.
+ * `storedValue` (the pin's current value) stays valid for a select even if its option was
+ * removed since, so saving other changes doesn't fail on it.
+ */
+export function parseFieldValue(definition, input, storedValue = null) {
+  if (definition.type === "checkbox") return { value: input === true, error: "" };
+
+  const trimmed = normalizeText(input);
+  if (trimmed === "") return { value: null, error: "" };
+
+  switch (definition.type) {
+    case "number": {
+      const n = Number(trimmed);
+      if (!Number.isFinite(n)) return { value: null, error: "That's not a number." };
+      return { value: n, error: "" };
+    }
+
+    case "date": {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+      const [year, month, day] = match ? match.slice(1).map(Number) : [];
+      const date = match && new Date(year, month - 1, day);
+      // new Date() rolls over (2024-02-31 => March 2nd): only accept dates that exist.
+      const exists =
+        date &&
+        date.getFullYear() === year &&
+        date.getMonth() === month - 1 &&
+        date.getDate() === day;
+      if (!exists) return { value: null, error: "That doesn't look like a date." };
+      return { value: trimmed, error: "" };
+    }
+
+    case "select": {
+      if (!(definition.options ?? []).includes(trimmed) && trimmed !== storedValue) {
+        return { value: null, error: "Pick one of the options." };
+      }
+      return { value: trimmed, error: "" };
+    }
+
+    case "url": {
+      try {
+        const url = new URL(trimmed);
+        if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("protocol");
+        return { value: url.href, error: "" };
+      } catch {
+        return { value: null, error: "That doesn't look like a link (https://...)." };
+      }
+    }
+
+    default:
+      return { value: trimmed, error: "" };
+  }
+}
+
+/**
+ * formatFieldValue
+ * Stored value => human text for view mode.
+ */
+export function formatFieldValue(definition, value) {
+  if (definition.type === "checkbox") return value === true ? "Yes" : "No";
+  if (value == null || value === "") return "—";
+
+  if (definition.type === "date") {
+    const [y, m, d] = String(value).split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    if (!Number.isNaN(date.getTime())) {
+      return date.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+    }
+  }
+
+  return String(value);
+}
+
+/**
+ * parseOptionsInput
+ * "Small, Medium,Large" => ["Small", "Medium", "Large"] (trimmed, no empties/duplicates)
+ */
+export function parseOptionsInput(input) {
+  const options = (input ?? "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean);
+  return [...new Set(options)];
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseFieldValue,
+  toFieldInputValue,
+  formatFieldValue,
+  parseOptionsInput,
+} from "./CustomFields";
+
+const field = (type, extra = {}) => ({ id: 1, label: "Field", type, ...extra });
+
+describe("parseFieldValue", () => {
+  it("treats blank input as empty, except for checkboxes", () => {
+    expect(parseFieldValue(field("text"), "  ")).toEqual({ value: null, error: "" });
+    expect(parseFieldValue(field("checkbox"), false)).toEqual({ value: false, error: "" });
+  });
+
+  it("parses numbers", () => {
+    expect(parseFieldValue(field("number"), " 2.5 ").value).toBe(2.5);
+    expect(parseFieldValue(field("number"), "two").error).toBe("That's not a number.");
+  });
+
+  it("accepts only dates that exist", () => {
+    const leapDay = parseFieldValue(field("date"), "2024-02-29");
+    expect(leapDay).toEqual({ value: "2024-02-29", error: "" });
+    for (const input of ["2024-02-31", "2023-02-29", "2024-13-01", "29.02.2024"]) {
+      expect(parseFieldValue(field("date"), input).error).toBe("That doesn't look like a date.");
+    }
+  });
+
+  it("accepts the options, and the pin's current value after its option was removed", () => {
+    const size = field("select", { options: ["Small", "Large"] });
+
+    expect(parseFieldValue(size, "Large").value).toBe("Large");
+    expect(parseFieldValue(size, "Medium").error).toBe("Pick one of the options.");
+    expect(parseFieldValue(size, "Medium", "Medium")).toEqual({ value: "Medium", error: "" });
+  });
+
+  it("only takes http(s) links", () => {
+    expect(parseFieldValue(field("url"), "https://example.com").value).toBe("https://example.com/");
+    expect(parseFieldValue(field("url"), "javascript:alert(1)").value).toBe(null);
+    expect(parseFieldValue(field("url"), "example").value).toBe(null);
+  });
+});
+
+describe("toFieldInputValue / formatFieldValue", () => {
+  it("round-trips stored values through the input", () => {
+    const count = field("number");
+    expect(parseFieldValue(count, toFieldInputValue(count, 12)).value).toBe(12);
+    expect(toFieldInputValue(field("checkbox"), null)).toBe(false);
+    expect(toFieldInputValue(field("text"), null)).toBe("");
+  });
+
+  it("shows empty values as a dash and checkboxes as Yes/No", () => {
+    expect(formatFieldValue(field("text"), null)).toBe("—");
+    expect(formatFieldValue(field("checkbox"), true)).toBe("Yes");
+    expect(formatFieldValue(field("checkbox"), null)).toBe("No");
+  });
+});
+
+describe("parseOptionsInput", () => {
+  it("trims and drops empty and duplicate options", () => {
+    const options = parseOptionsInput(" Small, Medium,,Large, Small ");
+    expect(options).toEqual(["Small", "Medium", "Large"]);
+    expect(parseOptionsInput(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import "./CustomFieldsSection.css";
+import { formatFieldValue, toFieldInputValue } from "./CustomFields";
+
+/**
+ * CustomFieldsSection
+ * "Custom fields" block of DetailsPanel: one row per field defined for the map.
+ *
+ * - View mode: formatted values (links are clickable).
+ * - Edit mode: a type-aware input per field; the draft is owned by DetailsPanel.
+ *
+ * Props:
+ * - pin: selected pin object
+ * - fieldDefinitions: [{ id, label, type, options? }]
+ * - isEditing: boolean
+ * - draftValues: { [fieldId]: inputValue } (edit mode)
+ * - onChangeDraftValue(fieldId, inputValue)
+ * - errors: { [fieldId]: message }
+ */
+
+function FieldInput({ definition, value, stored, onChange, hasError }) {
+  const className = hasError ? "inputError" : "";
+
+  switch (definition.type) {
+    case "checkbox":
+      return (
+        <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} />
+      );
+
+    case "select": {
+      const options = definition.options ?? [];
+      // The pin keeps a value whose option was removed since; still show (and allow) it.
+      const isRemoved = typeof stored === "string" && stored !== "" && !options.includes(stored);
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={className}>
+          <option value="">—</option>
+          {isRemoved && <option value={stored}>{stored} (removed option)</option>}
+          {options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    case "number":
+      return (
+        <input
+          inputMode="decimal"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+        />
+      );
+
+    case "date":
+      return (
+        <input
+          type="date"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+        />
+      );
+
+    case "url":
+      return (
+        <input
+          type="url"
+          placeholder="https://"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+        />
+      );
+
+    default:
+      return <input value={value} onChange={(e) => onChange(e.target.value)} className={className} />;
+  }
+}
+
+export default function CustomFieldsSection({
+  pin,
+  fieldDefinitions,
+  isEditing,
+  draftValues,
+  onChangeDraftValue,
+  errors = {},
+}) {
+  if (fieldDefinitions.length === 0) {
+    return (
+      <div className="custom-fields-empty">
+        No custom fields yet. Add some with <b>Fields</b> in Edit mode.
+      </div>
+    );
+  }
+
+  return fieldDefinitions.map((definition) => {
+    const stored = pin.customFields?.[definition.id] ?? null;
+
+    if (!isEditing) {
+      const text = formatFieldValue(definition, stored);
+      return (
+        <div key={definition.id} className="detailsRow">
+          <span className="detailsLabel">{definition.label}:</span>
+          <span className="detailsValue">
+            {definition.type === "url" && stored ? (
+              <a href={stored} target="_blank" rel="noreferrer" className="custom-fields-link">
+                {text}
+              </a>
+            ) : (
+              text
+            )}
+          </span>
+        </div>
+      );
+    }
+
+    const value = draftValues[definition.id] ?? toFieldInputValue(definition, stored);
+    return (
+      <div key={definition.id} className="detailsRow">
+        <span className="detailsLabel">{definition.label}:</span>
+        <span className="detailsValue">
+          <FieldInput
+            definition={definition}
+            value={value}
+            stored={stored}
+            onChange={(next) => onChangeDraftValue(definition.id, next)}
+            hasError={Boolean(errors[definition.id])}
+          />
+          {errors[definition.id] && <div className="errorText">{errors[definition.id]}</div>}
+        </span>
+      </div>
+    );
+  });
+}
@@ -4,7 +4,7 @@
  *
  * Notes:
  * - Backend sends ISO timestamps (e.g. "2026-02-20T10:12:30Z")
- * - If the value is missing/empty, we return "Probably" (yes, that's on purpose).
+ * - If the last watered value is missing/empty, we return "Probably" (yes, that's on purpose).
  */
 
 /**
@@ -14,10 +14,29 @@
  */
 export function formatLastWatered(lastWateredIso) {
   // Intentionally vague. It's funny and also communicates "unknown".
-  if (!lastWateredIso) return "Probably";
+  return formatDaysAgo(lastWateredIso, "Probably");
+}
 
-  const last = new Date(lastWateredIso);
-  if (Number.isNaN(last.getTime())) return "Probably";
+/**
+ * formatLastFertilised
+ * @param {string|null|undefined} lastFertilisedIso ISO timestamp string from backend
+ * @returns {string} human-readable relative time
+ */
+export function formatLastFertilised(lastFertilisedIso) {
+  return formatDaysAgo(lastFertilisedIso, "Unknown");
+}
+
+/**
+ * formatDaysAgo
+ * @param {string|null|undefined} iso ISO timestamp string from backend
+ * @param {string} fallback text for missing/invalid values
+ * @returns {string} "Today", "1 day ago", "N days ago" or the fallback
+ */
+export function formatDaysAgo(iso, fallback) {
+  if (!iso) return fallback;
+
+  const last = new Date(iso);
+  if (Number.isNaN(last.getTime())) return fallback;
 
   const now = new Date();
   const diffMs = now.getTime() - last.getTime();
@@ -32,3 +51,48 @@ export function formatLastWatered(lastWateredIso) {
   if (diffDays === 1) return "1 day ago";
   return `${diffDays} days ago`;
 }
+
+/**
+ * formatDateTime
+ * @param {string|null|undefined} iso ISO timestamp string from backend
+ * @returns {string} e.g. "20 Feb 2026, 10:12" (local time), or "" if missing/invalid
+ */
+export function formatDateTime(iso) {
+  if (!iso) return "";
+
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return date.toLocaleString(undefined, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * toDateTimeLocalValue
+ * Formats a Date for <input type="datetime-local"> (local time, no seconds).
+ */
+export function toDateTimeLocalValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * toDateInputValue
+ * Formats an ISO timestamp for <input type="date"> (local date), or "" if missing/invalid.
+ */
+export function toDateInputValue(iso) {
+  if (!iso) return "";
+
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return toDateTimeLocalValue(date).slice(0, 10);
+}
@@ -1,6 +1,22 @@
 import { useEffect, useMemo, useState } from "react";
 import "./DetailsPanel.css";
-import { formatLastWatered } from "./DateFormatter";
+import { formatLastWatered, formatLastFertilised, toDateInputValue } from "./DateFormatter";
+import { getFertilisingStatus, formatDueStatus } from "./WateringStatus";
+import WateringHistory from "./WateringHistory";
+import PlantPhotos from "./PlantPhotos";
+import PlantJournal from "./PlantJournal";
+import SeasonalCareSection from "./SeasonalCareSection";
+import CustomFieldsSection from "./CustomFieldsSection";
+import { parseFieldValue, toFieldInputValue } from "./CustomFields";
+import { parseInterval, parseDate } from "./PinInputs";
+import { PIN_CATEGORIES, UNCATEGORISED_LABEL, getPinCategory } from "./PinCategories";
+import {
+  SEASONS,
+  SEASON_LABELS,
+  createDraftTask,
+  getSeason,
+  hasSeasonalWatering,
+} from "./SeasonalCare";
 
 /**
  * DetailsPanel
@@ -13,9 +29,20 @@ import { formatLastWatered } from "./DateFormatter";
  *
  * Props:
  * - pin: selected pin object
+ * - fieldDefinitions: custom fields defined for the map ([{ id, label, type, options? }])
  * - onClose(): closes the panel
  * - onUpdatePin(pinId, patch): async updater (PATCH)
  * - onDeletePin(pinId): deletes pin
+ * - onAddWatering(pinId, event): records a (possibly back-dated) watering
+ * - onDeleteWatering(pinId, wateringId): removes a mistaken watering entry
+ * - onUploadPhoto(pinId, file, { takenAt, caption }): attaches a photo
+ * - onDeletePhoto(pinId, photoId): removes a photo
+ * - journalRevision: bumps whenever a journal note changes (reloads the Journal section)
+ * - onAddNote(pinId, text) / onUpdateNote(noteId, text) / onDeleteNote(noteId): journal entries
+ * - isReminderMuted: plant is left out of the daily watering reminder
+ * - onToggleReminderMute(pinId): optional (hidden when reminders aren't supported)
+ * - canEdit: false for viewers of a shared map (no Edit / Delete buttons, and the watering
+ *   log, journal and photos are read-only; default true)
  */
 
 const FALLBACK_NAME = "New little plant";
@@ -40,41 +67,68 @@ function formatFrequency(days) {
   return `Every ${days} days`;
 }
 
-/**
- * Parses the watering interval input.
- * - "" => null (Unknown)
- * - integer >= 1 => number
- * - otherwise => error message
- */
-function parseInterval(input) {
-  const trimmed = normalizeText(input);
-
-  if (trimmed === "") return { value: null, error: "" };
-  if (!/^\d+$/.test(trimmed)) return { value: null, error: "Give me whole days (1 or more)." };
+function draftFromPin(pin) {
+  return {
+    name: pin.name ?? "",
+    type: pin.type ?? "",
+    category: getPinCategory(pin)?.key ?? "",
+    wateringIntervalDays: pin.wateringIntervalDays == null ? "" : String(pin.wateringIntervalDays),
+    fertiliserProduct: pin.fertiliserProduct ?? "",
+    fertilisingIntervalDays:
+      pin.fertilisingIntervalDays == null ? "" : String(pin.fertilisingIntervalDays),
+    lastFertilised: toDateInputValue(pin.lastFertilised),
+    seasonalWateringIntervals: Object.fromEntries(
+      SEASONS.map((s) => {
+        const days = pin.seasonalWateringIntervals?.[s];
+        return [s, days == null ? "" : String(days)];
+      })
+    ),
+    seasonalTasks: (pin.seasonalTasks ?? []).map((task) => createDraftTask(task)),
+    // Only touched custom fields; untouched ones fall back to the pin's value.
+    customFields: {},
+  };
+}
 
-  const n = Number(trimmed);
-  if (!Number.isInteger(n) || n < 1) return { value: null, error: "Give me whole days (1 or more)." };
+// Seasonal values in the shape we send/compare (null when nothing is set).
+function normalizeSeasonalIntervals(intervals) {
+  const next = Object.fromEntries(SEASONS.map((s) => [s, intervals?.[s] ?? null]));
+  return SEASONS.some((s) => next[s] != null) ? next : null;
+}
 
-  return { value: n, error: "" };
+function normalizeSeasonalTasks(tasks) {
+  return (tasks ?? []).map(({ title, fromMonth, toMonth }) => ({
+    title: normalizeText(title),
+    fromMonth,
+    toMonth,
+  }));
 }
 
-export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin }) {
+export default function DetailsPanel({
+  pin,
+  fieldDefinitions = [],
+  onClose,
+  onUpdatePin,
+  onDeletePin,
+  onAddWatering,
+  onDeleteWatering,
+  onUploadPhoto,
+  onDeletePhoto,
+  journalRevision,
+  onAddNote,
+  onUpdateNote,
+  onDeleteNote,
+  isReminderMuted = false,
+  onToggleReminderMute,
+  canEdit = true,
+}) {
   const [isEditing, setIsEditing] = useState(false);
 
-  const [draft, setDraft] = useState({
-    name: pin.name ?? "",
-    type: pin.type ?? "",
-    wateringIntervalDays: pin.wateringIntervalDays == null ? "" : String(pin.wateringIntervalDays),
-  });
+  const [draft, setDraft] = useState(() => draftFromPin(pin));
 
   const [errors, setErrors] = useState({});
 
   const resetDraftFromPin = () => {
-    setDraft({
-      name: pin.name ?? "",
-      type: pin.type ?? "",
-      wateringIntervalDays: pin.wateringIntervalDays == null ? "" : String(pin.wateringIntervalDays),
-    });
+    setDraft(draftFromPin(pin));
     setErrors({});
   };
 
@@ -82,6 +136,17 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
     setDraft((prev) => ({ ...prev, [key]: value }));
   };
 
+  const setCustomField = (fieldId, value) => {
+    setDraft((prev) => ({ ...prev, customFields: { ...prev.customFields, [fieldId]: value } }));
+  };
+
+  const setSeasonalInterval = (season, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      seasonalWateringIntervals: { ...prev.seasonalWateringIntervals, [season]: value },
+    }));
+  };
+
   // When pin changes, exit edit mode and reset draft.
   useEffect(() => {
     setIsEditing(false);
@@ -93,6 +158,8 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
     return n.length ? n : FALLBACK_NAME;
   }, [pin.name]);
 
+  const category = getPinCategory(pin);
+
   const displayType = useMemo(() => {
     const t = normalizeText(pin.type);
     return t.length ? t : FALLBACK_TYPE;
@@ -103,6 +170,18 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
     [draft.wateringIntervalDays]
   );
 
+  const fertilisingIntervalParsed = useMemo(
+    () => parseInterval(draft.fertilisingIntervalDays),
+    [draft.fertilisingIntervalDays]
+  );
+
+  const lastFertilisedParsed = useMemo(
+    () => parseDate(draft.lastFertilised),
+    [draft.lastFertilised]
+  );
+
+  const currentSeason = getSeason();
+
   const handleEdit = () => setIsEditing(true);
 
   const handleCancel = () => {
@@ -114,7 +193,10 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
     const name = normalizeText(pin.name);
     const label = name ? `"${name}"` : "this pin";
 
-    const ok = window.confirm(`Delete ${label}? This cannot be undone.`);
+    // Undo re-creates the pin itself; its watering log, notes and photos are gone with it.
+    const ok = window.confirm(
+      `Delete ${label}? Undo brings the plant back, but not its history, notes or photos.`
+    );
     if (!ok) return;
 
     onDeletePin?.(pin.id);
@@ -130,6 +212,39 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
     if (typeTrimmed.length === 0) nextErrors.type = "Give it a type so you remember what it is.";
 
     if (intervalParsed.error) nextErrors.wateringIntervalDays = intervalParsed.error;
+    if (fertilisingIntervalParsed.error) {
+      nextErrors.fertilisingIntervalDays = fertilisingIntervalParsed.error;
+    }
+    if (lastFertilisedParsed.error) nextErrors.lastFertilised = lastFertilisedParsed.error;
+
+    const seasonalParsed = Object.fromEntries(
+      SEASONS.map((s) => [s, parseInterval(draft.seasonalWateringIntervals[s])])
+    );
+    const seasonalErrors = Object.fromEntries(
+      SEASONS.filter((s) => seasonalParsed[s].error).map((s) => [s, seasonalParsed[s].error])
+    );
+    if (Object.keys(seasonalErrors).length > 0) nextErrors.seasonalWatering = seasonalErrors;
+
+    const nextTasks = normalizeSeasonalTasks(draft.seasonalTasks);
+    const taskErrors = {};
+    nextTasks.forEach((task, i) => {
+      if (task.title.length === 0) taskErrors[i] = "Give the task a name.";
+    });
+    if (Object.keys(taskErrors).length > 0) nextErrors.seasonalTasks = taskErrors;
+
+    const customParsed = fieldDefinitions.map((definition) => {
+      const stored = pin.customFields?.[definition.id] ?? null;
+      const input = draft.customFields[definition.id] ?? toFieldInputValue(definition, stored);
+      return {
+        definition,
+        parsed: parseFieldValue(definition, input, stored),
+        current: parseFieldValue(definition, toFieldInputValue(definition, stored), stored).value,
+      };
+    });
+    const customErrors = Object.fromEntries(
+      customParsed.filter((c) => c.parsed.error).map((c) => [c.definition.id, c.parsed.error])
+    );
+    if (Object.keys(customErrors).length > 0) nextErrors.customFields = customErrors;
 
     if (Object.keys(nextErrors).length > 0) {
       setErrors(nextErrors);
@@ -144,8 +259,40 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
 
     if (nameTrimmed !== currentName) patch.name = nameTrimmed;
     if (typeTrimmed !== currentType) patch.type = typeTrimmed;
+    if (draft.category !== (category?.key ?? "")) patch.category = draft.category || null;
     if (intervalParsed.value !== currentInterval) patch.wateringIntervalDays = intervalParsed.value;
 
+    const productTrimmed = normalizeText(draft.fertiliserProduct);
+    if (productTrimmed !== normalizeText(pin.fertiliserProduct)) {
+      patch.fertiliserProduct = productTrimmed || null;
+    }
+    if (fertilisingIntervalParsed.value !== (pin.fertilisingIntervalDays ?? null)) {
+      patch.fertilisingIntervalDays = fertilisingIntervalParsed.value;
+    }
+    if (draft.lastFertilised !== toDateInputValue(pin.lastFertilised)) {
+      patch.lastFertilised = lastFertilisedParsed.value;
+    }
+
+    const nextSeasonal = normalizeSeasonalIntervals(
+      Object.fromEntries(SEASONS.map((s) => [s, seasonalParsed[s].value]))
+    );
+    const currentSeasonal = normalizeSeasonalIntervals(pin.seasonalWateringIntervals);
+    if (JSON.stringify(nextSeasonal) !== JSON.stringify(currentSeasonal)) {
+      patch.seasonalWateringIntervals = nextSeasonal;
+    }
+
+    if (JSON.stringify(nextTasks) !== JSON.stringify(normalizeSeasonalTasks(pin.seasonalTasks))) {
+      patch.seasonalTasks = nextTasks;
+    }
+
+    // Custom fields: only the changed entries (the server merges them into the pin's values).
+    const changedCustom = Object.fromEntries(
+      customParsed
+        .filter((c) => c.parsed.value !== c.current)
+        .map((c) => [c.definition.id, c.parsed.value])
+    );
+    if (Object.keys(changedCustom).length > 0) patch.customFields = changedCustom;
+
     if (Object.keys(patch).length === 0) {
       setErrors({});
       setIsEditing(false);
@@ -168,7 +315,7 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
 
         <div className="detailsActions">
           {!isEditing ? (
-            <button onClick={handleEdit}>Edit</button>
+            canEdit && <button onClick={handleEdit}>Edit</button>
           ) : (
             <>
               <button onClick={handleSave}>Save</button>
@@ -222,6 +369,32 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
                 </span>
               </div>
             )}
+
+            {!isEditing ? (
+              <Row
+                label="Category"
+                value={
+                  category ? `${category.icon} ${category.label}` : UNCATEGORISED_LABEL
+                }
+              />
+            ) : (
+              <div className="detailsRow">
+                <span className="detailsLabel">Category:</span>
+                <span className="detailsValue">
+                  <select
+                    value={draft.category}
+                    onChange={(e) => setField("category", e.target.value)}
+                  >
+                    <option value="">{UNCATEGORISED_LABEL}</option>
+                    {PIN_CATEGORIES.map((c) => (
+                      <option key={c.key} value={c.key}>
+                        {c.icon} {c.label}
+                      </option>
+                    ))}
+                  </select>
+                </span>
+              </div>
+            )}
           </div>
 
           {/* ===== Watering ===== */}
@@ -250,20 +423,173 @@ export default function DetailsPanel({ pin, onClose, onUpdatePin, onDeletePin })
                 </span>
               </div>
             )}
+
+            {!isEditing
+              ? hasSeasonalWatering(pin) &&
+                SEASONS.map((s) => (
+                  <Row
+                    key={s}
+                    label={`${SEASON_LABELS[s]}${s === currentSeason ? " (now)" : ""}`}
+                    value={
+                      pin.seasonalWateringIntervals[s] == null
+                        ? "Default"
+                        : formatFrequency(pin.seasonalWateringIntervals[s])
+                    }
+                  />
+                ))
+              : SEASONS.map((s) => (
+                  <div key={s} className="detailsRow">
+                    <span className="detailsLabel">{SEASON_LABELS[s]}:</span>
+                    <span className="detailsValue">
+                      <input
+                        inputMode="numeric"
+                        placeholder="Default"
+                        value={draft.seasonalWateringIntervals[s]}
+                        onChange={(e) => setSeasonalInterval(s, e.target.value)}
+                        className={errors.seasonalWatering?.[s] ? "inputError" : ""}
+                      />
+                      {errors.seasonalWatering?.[s] && (
+                        <div className="errorText">{errors.seasonalWatering[s]}</div>
+                      )}
+                      <span className="detailsInlineSuffix">days</span>
+                    </span>
+                  </div>
+                ))}
+
+            {onToggleReminderMute && (
+              <div className="detailsRow">
+                <span className="detailsLabel">Reminders:</span>
+                <span className="detailsValue">
+                  <label className="detailsCheckLabel">
+                    <input
+                      type="checkbox"
+                      checked={!isReminderMuted}
+                      onChange={() => onToggleReminderMute(pin.id)}
+                    />
+                    {isReminderMuted ? "Muted" : "Include in daily digest"}
+                  </label>
+                </span>
+              </div>
+            )}
+
+            <WateringHistory
+              pin={pin}
+              onAddWatering={onAddWatering}
+              onDeleteWatering={onDeleteWatering}
+              canEdit={canEdit}
+            />
           </div>
 
-          {/* ===== Future sections (placeholders) ===== */}
-          <div className="detailsSection detailsSectionMuted">
+          {/* ===== Fertilising ===== */}
+          <div className="detailsSection">
             <div className="detailsSectionTitle">Fertilising</div>
-            <Row label="Status" value="Not implemented yet" />
+
+            {!isEditing ? (
+              <>
+                <Row label="Product" value={normalizeText(pin.fertiliserProduct) || "Unknown"} />
+                <Row label="Frequency" value={formatFrequency(pin.fertilisingIntervalDays)} />
+                <Row label="Last fertilised" value={formatLastFertilised(pin.lastFertilised)} />
+                <Row label="Status" value={formatDueStatus(getFertilisingStatus(pin))} />
+              </>
+            ) : (
+              <>
+                <div className="detailsRow">
+                  <span className="detailsLabel">Product:</span>
+                  <span className="detailsValue">
+                    <input
+                      placeholder="Unknown"
+                      value={draft.fertiliserProduct}
+                      onChange={(e) => setField("fertiliserProduct", e.target.value)}
+                    />
+                  </span>
+                </div>
+
+                <div className="detailsRow">
+                  <span className="detailsLabel">Frequency:</span>
+                  <span className="detailsValue">
+                    <input
+                      inputMode="numeric"
+                      placeholder="Unknown"
+                      value={draft.fertilisingIntervalDays}
+                      onChange={(e) => setField("fertilisingIntervalDays", e.target.value)}
+                      className={errors.fertilisingIntervalDays ? "inputError" : ""}
+                    />
+                    {errors.fertilisingIntervalDays && (
+                      <div className="errorText">{errors.fertilisingIntervalDays}</div>
+                    )}
+                    <span className="detailsInlineSuffix">days</span>
+                  </span>
+                </div>
+
+                <div className="detailsRow">
+                  <span className="detailsLabel">Last fertilised:</span>
+                  <span className="detailsValue">
+                    <input
+                      type="date"
+                      value={draft.lastFertilised}
+                      max={toDateInputValue(new Date().toISOString())}
+                      onChange={(e) => setField("lastFertilised", e.target.value)}
+                      className={errors.lastFertilised ? "inputError" : ""}
+                    />
+                    {errors.lastFertilised && (
+                      <div className="errorText">{errors.lastFertilised}</div>
+                    )}
+                  </span>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* ===== Custom fields ===== */}
+          <div className="detailsSection">
+            <div className="detailsSectionTitle">Custom fields</div>
+            <CustomFieldsSection
+              pin={pin}
+              fieldDefinitions={fieldDefinitions}
+              isEditing={isEditing}
+              draftValues={draft.customFields}
+              onChangeDraftValue={setCustomField}
+              errors={errors.customFields}
+            />
           </div>
 
-          <div className="detailsSection detailsSectionMuted">
+          {/* ===== Seasonal care ===== */}
+          <div className="detailsSection">
             <div className="detailsSectionTitle">Seasonal care</div>
-            <Row label="Status" value="Not implemented yet" />
+            <SeasonalCareSection
+              pin={pin}
+              isEditing={isEditing}
+              draftTasks={draft.seasonalTasks}
+              onChangeDraftTasks={(tasks) => setField("seasonalTasks", tasks)}
+              errors={errors.seasonalTasks}
+            />
+          </div>
+
+          {/* ===== Journal ===== */}
+          <div className="detailsSection">
+            <div className="detailsSectionTitle">Journal</div>
+            <PlantJournal
+              pin={pin}
+              revision={journalRevision}
+              onAddNote={onAddNote}
+              onUpdateNote={onUpdateNote}
+              onDeleteNote={onDeleteNote}
+              canEdit={canEdit}
+            />
+          </div>
+
+          {/* ===== Photos ===== */}
+          <div className="detailsSection">
+            <div className="detailsSectionTitle">Photos</div>
+            <PlantPhotos
+              pin={pin}
+              onUploadPhoto={onUploadPhoto}
+              onDeletePhoto={onDeletePhoto}
+              canEdit={canEdit}
+            />
           </div>
 
-          {isEditing && (
+          {isEditing && canEdit && (
             <div className="deleteBlock">
               <button className="dangerButton" onClick={handleDelete}>
                 Delete pin
@@ -0,0 +1,149 @@
+import { newTempPinId } from "../api/outbox";
+
+/**
+ * EditHistory
+ * Undo/redo for pin mutations (see api/outbox.js for the mutation shape).
+ *
+ * A history step remembers the mutations that were applied (`forward`) and the ones that
+ * undo them (`backward`). Undoing/redoing simply queues those mutations again, so they go
+ * through the same optimistic update + outbox path as any other edit.
+ *
+ * Pin ids:
+ * - A pin re-created by undo (or redo) gets a new id, and temporary ids are replaced by server
+ *   ids once synced. `aliases` (Map oldId => newId) keeps older steps pointing at the right pin.
+ */
+
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Used in the toolbar tooltips ("Undo moving "Rose"").
+const STEP_VERBS = {
+  create: "adding",
+  move: "moving",
+  patch: "editing",
+  water: "watering",
+  delete: "deleting",
+};
+
+// Everything needed to create the pin again (the server assigns a new id/version).
+function pinSnapshot(pin) {
+  const { id: _id, version: _version, ...data } = pin;
+  return data;
+}
+
+function isMove(mutation) {
+  const keys = Object.keys(mutation.payload ?? {});
+  return keys.length > 0 && keys.every((k) => k === "xPercent" || k === "yPercent");
+}
+
+// Only what's needed to replay a mutation; `at` matters for watering (it's the event time).
+function toReplayable({ type, pinId, payload, at }) {
+  return type === "water" ? { type, pinId, payload, at } : { type, pinId, payload };
+}
+
+/**
+ * invertMutation
+ * Returns the mutation that undoes `mutation`, given the pin as it was before it.
+ * Returns null if the mutation can't be undone.
+ */
+export function invertMutation(mutation, pinBefore) {
+  const { type, pinId, payload, at } = mutation;
+
+  switch (type) {
+    case "create":
+      return { type: "delete", pinId };
+
+    case "patch": {
+      if (!pinBefore) return null;
+      const previous = Object.fromEntries(
+        Object.keys(payload ?? {}).map((key) => [key, pinBefore[key] ?? null])
+      );
+      return { type: "patch", pinId, payload: previous };
+    }
+
+    case "water":
+      return {
+        type: "unwater",
+        pinId,
+        payload: { wateredAt: at, lastWatered: pinBefore?.lastWatered ?? null },
+      };
+
+    case "delete":
+      return pinBefore ? { type: "create", pinId, payload: pinSnapshot(pinBefore) } : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * buildHistoryStep
+ * mutations: applied mutations (with `at` set)
+ * pinsBefore: pin list before they were applied
+ * Returns null if any of them can't be undone.
+ */
+export function buildHistoryStep(mutations, pinsBefore) {
+  const backward = [];
+
+  for (const mutation of mutations) {
+    const pinBefore = pinsBefore.find((p) => p.id === mutation.pinId);
+    const inverse = invertMutation(mutation, pinBefore);
+    if (!inverse) return null;
+    backward.unshift(inverse);
+  }
+
+  if (backward.length === 0) return null;
+
+  const [first] = mutations;
+  const verb = STEP_VERBS[isMove(first) ? "move" : first.type] ?? first.type;
+  const label =
+    mutations.length === 1
+      ? `${verb} "${first.pinName ?? "plant"}"`
+      : `${verb} ${mutations.length} plants`;
+
+  return { label, forward: mutations.map(toReplayable), backward };
+}
+
+/**
+ * pinsBeforeMove
+ * Pins with the given positions ([{ pinId, xPercent, yPercent }]) put back: a drag shows the
+ * moving pins at the pointer, so by the time it's committed `pins` no longer has the "before".
+ */
+export function pinsBeforeMove(pins, origins) {
+  const byId = new Map(origins.map((o) => [o.pinId, o]));
+  return pins.map((pin) => {
+    const origin = byId.get(pin.id);
+    return origin ? { ...pin, xPercent: origin.xPercent, yPercent: origin.yPercent } : pin;
+  });
+}
+
+export function pushHistoryStep(history, step) {
+  return { past: [...history.past, step].slice(-HISTORY_LIMIT), future: [] };
+}
+
+export function resolvePinId(aliases, pinId) {
+  let id = pinId;
+  const seen = new Set();
+  while (aliases.has(id) && !seen.has(id)) {
+    seen.add(id);
+    id = aliases.get(id);
+  }
+  return id;
+}
+
+/**
+ * prepareReplay
+ * Points recorded mutations at the pins' current ids. Re-creations get a fresh temporary id,
+ * which is registered in `aliases` so later steps follow the pin.
+ */
+export function prepareReplay(mutations, aliases) {
+  return mutations.map((mutation) => {
+    const pinId = resolvePinId(aliases, mutation.pinId);
+    if (mutation.type !== "create") return { ...mutation, pinId };
+
+    const freshId = newTempPinId();
+    aliases.set(pinId, freshId);
+    return { ...mutation, pinId: freshId };
+  });
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect } from "vitest";
+import { applyMutation, isTempPinId } from "../api/outbox";
+import {
+  invertMutation,
+  buildHistoryStep,
+  pushHistoryStep,
+  prepareReplay,
+  pinsBeforeMove,
+  resolvePinId,
+  EMPTY_HISTORY,
+  HISTORY_LIMIT,
+} from "./EditHistory";
+
+const rose = { id: 1, version: 3, name: "Rose", xPercent: 10, yPercent: 20, lastWatered: null };
+const fern = { id: 2, version: 1, name: "Fern", xPercent: 50, yPercent: 50, lastWatered: null };
+
+const applyAll = (pins, mutations) => mutations.reduce(applyMutation, pins);
+
+describe("invertMutation", () => {
+  it("restores the patched fields, including ones the pin didn't have", () => {
+    const patch = { type: "patch", pinId: 1, payload: { name: "Red rose", notes: "Prune" } };
+    expect(invertMutation(patch, rose)).toEqual({
+      type: "patch",
+      pinId: 1,
+      payload: { name: "Rose", notes: null },
+    });
+  });
+
+  it("turns a watering into an unwater that keeps the previous date", () => {
+    const water = { type: "water", pinId: 1, at: "2024-05-01T08:00:00.000Z" };
+    const before = { ...rose, lastWatered: "2024-04-28T08:00:00.000Z" };
+    expect(invertMutation(water, before)).toEqual({
+      type: "unwater",
+      pinId: 1,
+      payload: { wateredAt: water.at, lastWatered: before.lastWatered },
+    });
+  });
+
+  it("re-creates deleted pins without their id and version", () => {
+    const inverse = invertMutation({ type: "delete", pinId: 1 }, rose);
+    expect(inverse.type).toBe("create");
+    expect(inverse.payload).toEqual({ name: "Rose", xPercent: 10, yPercent: 20, lastWatered: null });
+  });
+
+  it("can't undo without the pin as it was, or for unknown types", () => {
+    const patch = { type: "patch", pinId: 9, payload: { name: "X" } };
+    expect(invertMutation(patch, undefined)).toBe(null);
+    expect(invertMutation({ type: "fertilise", pinId: 1 }, rose)).toBe(null);
+  });
+});
+
+describe("buildHistoryStep", () => {
+  it("undoes a group of mutations back to the original pins", () => {
+    const before = [rose, fern];
+    const mutations = [
+      { type: "patch", pinId: 1, payload: { xPercent: 30, yPercent: 40 } },
+      { type: "patch", pinId: 2, payload: { xPercent: 60, yPercent: 70 } },
+    ];
+    const step = buildHistoryStep(mutations, before);
+
+    expect(step.label).toBe("moving 2 plants");
+    expect(applyAll(applyAll(before, step.forward), step.backward)).toEqual(before);
+  });
+
+  it("names single-pin steps after the pin", () => {
+    const mutations = [{ type: "delete", pinId: 1, pinName: "Rose" }];
+    expect(buildHistoryStep(mutations, [rose]).label).toBe('deleting "Rose"');
+  });
+
+  it("returns null when any mutation can't be undone", () => {
+    const mutations = [
+      { type: "patch", pinId: 1, payload: { name: "A" } },
+      { type: "fertilise", pinId: 1 },
+    ];
+    expect(buildHistoryStep(mutations, [rose])).toBe(null);
+  });
+});
+
+describe("pinsBeforeMove", () => {
+  it("lets undo of a drag put the pin back where the drag started", () => {
+    // During the drag the pins already show the pointer position (App's handleMovePins).
+    const origins = [{ pinId: 1, xPercent: 10, yPercent: 20 }];
+    const dragged = [{ ...rose, xPercent: 70, yPercent: 80 }, fern];
+    const move = { type: "patch", pinId: 1, payload: { xPercent: 70, yPercent: 80 } };
+
+    const step = buildHistoryStep([move], pinsBeforeMove(dragged, origins));
+    const [undone] = applyAll(dragged, step.backward);
+
+    expect(undone).toMatchObject({ xPercent: 10, yPercent: 20 });
+  });
+});
+
+describe("pushHistoryStep", () => {
+  it("clears the redo stack and keeps at most HISTORY_LIMIT steps", () => {
+    let history = { ...EMPTY_HISTORY, future: [{ label: "old" }] };
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = pushHistoryStep(history, { label: i });
+
+    expect(history.future).toEqual([]);
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].label).toBe(5);
+  });
+});
+
+describe("prepareReplay", () => {
+  it("follows pins through aliases and gives re-created pins a fresh temporary id", () => {
+    const aliases = new Map([["tmp-a", 10]]);
+    const replay = prepareReplay(
+      [
+        { type: "create", pinId: "tmp-a", payload: { name: "Mint" } },
+        { type: "patch", pinId: "tmp-a", payload: { name: "Spearmint" } },
+      ],
+      aliases
+    );
+
+    expect(isTempPinId(replay[0].pinId)).toBe(true);
+    expect(replay[1].pinId).toBe(replay[0].pinId);
+    expect(resolvePinId(aliases, "tmp-a")).toBe(replay[0].pinId);
+  });
+
+  it("stops on alias cycles", () => {
+    const aliases = new Map([
+      ["a", "b"],
+      ["b", "a"],
+    ]);
+    expect(["a", "b"]).toContain(resolvePinId(aliases, "a"));
+  });
+});
@@ -0,0 +1,200 @@
+import { useState } from "react";
+import "./FieldManager.css";
+import { FIELD_TYPES, FIELD_TYPE_LABELS, parseOptionsInput } from "./CustomFields";
+
+/**
+ * FieldManager
+ * Dialog for defining the custom fields of the current map (done once per map;
+ * the fields then show up for every plant in DetailsPanel).
+ *
+ * Props:
+ * - fieldDefinitions: [{ id, label, type, options? }]
+ * - onClose()
+ * - onCreateField({ label, type, options }): async
+ * - onUpdateField(fieldId, patch): async
+ * - onDeleteField(fieldId): async
+ */
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+const EMPTY_DRAFT = { label: "", type: "text", options: "" };
+
+export default function FieldManager({
+  fieldDefinitions,
+  onClose,
+  onCreateField,
+  onUpdateField,
+  onDeleteField,
+}) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [errors, setErrors] = useState({});
+
+  const setField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const isLabelTaken = (label, exceptId = null) =>
+    fieldDefinitions.some(
+      (d) => d.id !== exceptId && normalizeText(d.label).toLowerCase() === label.toLowerCase()
+    );
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      setErrors({});
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Save failed" });
+    }
+  };
+
+  const handleAdd = async () => {
+    const nextErrors = {};
+    const label = normalizeText(draft.label);
+    const options = parseOptionsInput(draft.options);
+
+    if (label.length === 0) nextErrors.label = "Give the field a name.";
+    else if (isLabelTaken(label)) nextErrors.label = "There's already a field with that name.";
+    if (draft.type === "select" && options.length === 0) {
+      nextErrors.options = "Add at least one option (comma separated).";
+    }
+
+    if (Object.keys(nextErrors).length > 0) {
+      setErrors(nextErrors);
+      return;
+    }
+
+    await runAction(async () => {
+      await onCreateField({
+        label,
+        type: draft.type,
+        options: draft.type === "select" ? options : null,
+      });
+      setDraft(EMPTY_DRAFT);
+    });
+  };
+
+  const handleRename = (definition) => {
+    const label = normalizeText(window.prompt("Rename field:", definition.label ?? ""));
+    if (!label || label === definition.label) return;
+    if (isLabelTaken(label, definition.id)) {
+      setErrors({ server: "There's already a field with that name." });
+      return;
+    }
+    runAction(() => onUpdateField(definition.id, { label }));
+  };
+
+  const handleEditOptions = (definition) => {
+    const input = window.prompt(
+      "Options (comma separated):",
+      (definition.options ?? []).join(", ")
+    );
+    if (input == null) return;
+
+    const options = parseOptionsInput(input);
+    if (options.length === 0) {
+      setErrors({ server: "A choice field needs at least one option." });
+      return;
+    }
+    runAction(() => onUpdateField(definition.id, { options }));
+  };
+
+  const handleDelete = (definition) => {
+    const ok = window.confirm(
+      `Delete field "${definition.label}"? Its values on every plant will be lost.`
+    );
+    if (!ok) return;
+    runAction(() => onDeleteField(definition.id));
+  };
+
+  return (
+    <div className="field-manager-backdrop" onClick={(e) => e.stopPropagation()}>
+      <div className="field-manager" role="dialog" aria-label="Custom fields">
+        <div className="field-manager-header">
+          <div className="field-manager-title">Custom fields for this map</div>
+          <button className="field-manager-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {errors.server && <div className="detailsServerError">{errors.server}</div>}
+
+        <ul className="field-manager-list">
+          {fieldDefinitions.length === 0 && (
+            <li className="field-manager-empty">No fields yet.</li>
+          )}
+          {fieldDefinitions.map((definition) => (
+            <li key={definition.id} className="field-manager-item">
+              <div className="field-manager-item-main">
+                <span className="field-manager-item-label">{definition.label}</span>
+                <span className="field-manager-item-type">
+                  {FIELD_TYPE_LABELS[definition.type] ?? definition.type}
+                  {definition.type === "select" && `: ${(definition.options ?? []).join(", ")}`}
+                </span>
+              </div>
+              <div className="field-manager-item-actions">
+                <button type="button" onClick={() => handleRename(definition)}>
+                  Rename
+                </button>
+                {definition.type === "select" && (
+                  <button type="button" onClick={() => handleEditOptions(definition)}>
+                    Options
+                  </button>
+                )}
+                <button type="button" onClick={() => handleDelete(definition)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="field-manager-form">
+          <div className="field-manager-form-title">Add a field</div>
+
+          <label>
+            Name
+            <input
+              value={draft.label}
+              placeholder="e.g. Planted on"
+              onChange={(e) => setField("label", e.target.value)}
+              className={errors.label ? "inputError" : ""}
+            />
+          </label>
+          {errors.label && <div className="errorText">{errors.label}</div>}
+
+          <label>
+            Type
+            <select value={draft.type} onChange={(e) => setField("type", e.target.value)}>
+              {FIELD_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {FIELD_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {draft.type === "select" && (
+            <>
+              <label>
+                Options
+                <input
+                  value={draft.options}
+                  placeholder="Small, Medium, Large"
+                  onChange={(e) => setField("options", e.target.value)}
+                  className={errors.options ? "inputError" : ""}
+                />
+              </label>
+              {errors.options && <div className="errorText">{errors.options}</div>}
+            </>
+          )}
+
+          <button type="button" className="field-manager-add" onClick={handleAdd}>
+            Add field
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
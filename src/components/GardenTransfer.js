@@ -0,0 +1,350 @@
+import { toCsv, parseCsv } from "./CsvFormat";
+import { parseFieldValue } from "./CustomFields";
+import { SEASONS } from "./SeasonalCare";
+import { isPinCategory } from "./PinCategories";
+
+/**
+ * GardenTransfer
+ * Export a map's pins to JSON/CSV and read them back in.
+ *
+ * Formats:
+ * - JSON: { format: "garden-map-export", version, exportedAt, map, fields, pins }. Pins carry all
+ *   care data. Custom field values are keyed by field label (field ids differ between maps).
+ * - CSV: one row per pin, the flat pin columns plus one "field:<label>" column per custom field.
+ *   Nested care data (seasonal intervals/tasks) is only in the JSON export.
+ *
+ * Import:
+ * - A pin whose `id` matches a pin of the current map is updated, anything else is created.
+ * - Invalid rows are skipped (and listed in the preview); unknown custom fields are ignored.
+ */
+
+export const EXPORT_FORMAT = "garden-map-export";
+export const EXPORT_VERSION = 1;
+
+const FALLBACK_NAME = "New little plant";
+const FIELD_COLUMN_PREFIX = "field:";
+
+const FLAT_KEYS = [
+  "name",
+  "type",
+  "category",
+  "xPercent",
+  "yPercent",
+  "wateringIntervalDays",
+  "lastWatered",
+  "fertiliserProduct",
+  "fertilisingIntervalDays",
+  "lastFertilised",
+];
+
+const CARE_KEYS = [...FLAT_KEYS, "seasonalWateringIntervals", "seasonalTasks"];
+
+const CSV_COLUMNS = ["id", ...FLAT_KEYS];
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.map((key) => [key, source[key] ?? null]));
+}
+
+function customFieldsByLabel(pin, fieldDefinitions) {
+  const values = {};
+  for (const definition of fieldDefinitions) {
+    const value = pin.customFields?.[definition.id];
+    if (value != null && value !== "") values[definition.label] = value;
+  }
+  return values;
+}
+
+// ===== Export =====
+
+export function buildJsonExport(map, pins, fieldDefinitions, now = new Date()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    map: { name: map?.name ?? null },
+    fields: fieldDefinitions.map(({ label, type, options }) => ({
+      label,
+      type,
+      options: options ?? null,
+    })),
+    pins: pins.map((pin) => ({
+      id: pin.id,
+      ...pick(pin, CARE_KEYS),
+      customFields: customFieldsByLabel(pin, fieldDefinitions),
+    })),
+  };
+}
+
+export function buildCsvExport(pins, fieldDefinitions) {
+  const fieldColumns = fieldDefinitions.map((d) => `${FIELD_COLUMN_PREFIX}${d.label}`);
+
+  const rows = pins.map((pin) => {
+    const row = pick(pin, CSV_COLUMNS);
+    for (const [label, value] of Object.entries(customFieldsByLabel(pin, fieldDefinitions))) {
+      row[`${FIELD_COLUMN_PREFIX}${label}`] = value;
+    }
+    return row;
+  });
+
+  return toCsv([...CSV_COLUMNS, ...fieldColumns], rows);
+}
+
+export function exportFileName(map, extension, now = new Date()) {
+  const slug = (map?.name ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const day = now.toISOString().slice(0, 10);
+  return `${slug || "garden"}-${day}.${extension}`;
+}
+
+export function downloadTextFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers (Safari, Firefox) start the download after click() returns.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ===== Import: reading =====
+
+function csvRowToRecord(row) {
+  const record = { customFields: {} };
+  for (const [column, value] of Object.entries(row)) {
+    if (column.startsWith(FIELD_COLUMN_PREFIX)) {
+      record.customFields[column.slice(FIELD_COLUMN_PREFIX.length)] = value;
+    } else if (CSV_COLUMNS.includes(column)) {
+      record[column] = value;
+    }
+  }
+  return record;
+}
+
+/**
+ * readImportFile
+ * Returns { value: [{ row, raw }], error }; `row` is a human readable position for messages.
+ */
+export function readImportFile(text, fileName = "") {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (!isJson) {
+    try {
+      const { columns, rows } = parseCsv(text);
+      if (!columns.includes("xPercent") || !columns.includes("yPercent")) {
+        return { value: null, error: "The CSV needs xPercent and yPercent columns." };
+      }
+      return {
+        value: rows.map((row, i) => ({ row: `Row ${i + 2}`, raw: csvRowToRecord(row) })),
+        error: "",
+      };
+    } catch (e) {
+      return { value: null, error: e.message };
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { value: null, error: "That file isn't valid JSON." };
+  }
+
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.pins)) {
+    return { value: null, error: "That file isn't a garden map export." };
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    return { value: null, error: "That export was made by a newer version of the app." };
+  }
+
+  return { value: data.pins.map((raw, i) => ({ row: `Pin ${i + 1}`, raw })), error: "" };
+}
+
+// ===== Import: validation =====
+
+const isBlank = (value) => value == null || (typeof value === "string" && value.trim() === "");
+
+function parsePercent(value) {
+  const n = Number(value);
+  if (isBlank(value) || !Number.isFinite(n) || n < 0 || n > 100) {
+    return { value: null, error: "must be a number from 0 to 100" };
+  }
+  return { value: n, error: "" };
+}
+
+function parseDays(value) {
+  if (isBlank(value)) return { value: null, error: "" };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) return { value: null, error: "must be whole days (1 or more)" };
+  return { value: n, error: "" };
+}
+
+function parseTimestamp(value) {
+  if (isBlank(value)) return { value: null, error: "" };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { value: null, error: "isn't a valid date" };
+  return { value: date.toISOString(), error: "" };
+}
+
+function parseText(value) {
+  return { value: isBlank(value) ? null : String(value).trim(), error: "" };
+}
+
+function parseCategory(value) {
+  if (isBlank(value)) return { value: null, error: "" };
+  const key = String(value).trim().toLowerCase();
+  if (!isPinCategory(key)) return { value: null, error: `"${value}" isn't a known category` };
+  return { value: key, error: "" };
+}
+
+function parseSeasonalIntervals(value) {
+  if (value == null) return { value: null, error: "" };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { value: null, error: "must be an object of seasons" };
+  }
+
+  const result = {};
+  for (const season of SEASONS) {
+    const days = parseDays(value[season]);
+    if (days.error) return { value: null, error: `${season} ${days.error}` };
+    result[season] = days.value;
+  }
+  return { value: result, error: "" };
+}
+
+function parseSeasonalTasks(value) {
+  if (value == null) return { value: [], error: "" };
+  if (!Array.isArray(value)) return { value: null, error: "must be a list" };
+
+  const isMonth = (m) => Number.isInteger(m) && m >= 1 && m <= 12;
+  const tasks = [];
+  for (const task of value) {
+    const title = String(task?.title ?? "").trim();
+    if (!title || !isMonth(task.fromMonth) || !isMonth(task.toMonth)) {
+      return { value: null, error: "need a title and months 1..12" };
+    }
+    tasks.push({ title, fromMonth: task.fromMonth, toMonth: task.toMonth });
+  }
+  return { value: tasks, error: "" };
+}
+
+const KEY_PARSERS = {
+  name: parseText,
+  type: parseText,
+  category: parseCategory,
+  xPercent: parsePercent,
+  yPercent: parsePercent,
+  wateringIntervalDays: parseDays,
+  lastWatered: parseTimestamp,
+  fertiliserProduct: parseText,
+  fertilisingIntervalDays: parseDays,
+  lastFertilised: parseTimestamp,
+  seasonalWateringIntervals: parseSeasonalIntervals,
+  seasonalTasks: parseSeasonalTasks,
+};
+
+function parseCustomFields(raw, fieldDefinitions, warnings) {
+  if (raw == null || typeof raw !== "object") return undefined;
+
+  const byLabel = new Map(fieldDefinitions.map((d) => [d.label.trim().toLowerCase(), d]));
+  const values = {};
+
+  for (const [label, input] of Object.entries(raw)) {
+    const definition = byLabel.get(label.trim().toLowerCase());
+    if (!definition) {
+      if (!isBlank(input)) warnings.add(`Unknown field "${label}" is ignored.`);
+      continue;
+    }
+
+    const parsed =
+      definition.type === "checkbox"
+        ? { value: input === true || /^(true|yes|1)$/i.test(String(input ?? "").trim()), error: "" }
+        : parseFieldValue(definition, String(input ?? ""));
+
+    if (parsed.error) warnings.add(`"${label}": ${parsed.error} (value skipped)`);
+    else values[definition.id] = parsed.value;
+  }
+
+  return values;
+}
+
+/**
+ * validateImportRecord
+ * Returns { sourceId, payload, errors }. `payload` only has the keys present in the record.
+ * `warnings` (a Set) collects non-fatal problems.
+ */
+export function validateImportRecord(raw, fieldDefinitions, warnings) {
+  const payload = {};
+  const errors = [];
+
+  if (raw == null || typeof raw !== "object") {
+    return { sourceId: null, payload, errors: ["isn't a pin"] };
+  }
+
+  for (const [key, parse] of Object.entries(KEY_PARSERS)) {
+    if (!(key in raw) && key !== "xPercent" && key !== "yPercent") continue;
+    const parsed = parse(raw[key]);
+    if (parsed.error) errors.push(`${key} ${parsed.error}`);
+    else payload[key] = parsed.value;
+  }
+
+  const customFields = parseCustomFields(raw.customFields, fieldDefinitions, warnings);
+  if (customFields && Object.keys(customFields).length > 0) payload.customFields = customFields;
+
+  const sourceId = isBlank(raw.id) ? null : String(raw.id).trim();
+  return { sourceId, payload, errors };
+}
+
+// ===== Import: plan =====
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * planImport
+ * Decides what an import would do with the current map.
+ * Returns { creates: [{ payload }], updates: [{ pinId, name, payload }], unchanged, skipped, warnings }.
+ */
+export function planImport(records, existingPins, fieldDefinitions) {
+  const warnings = new Set();
+  const plan = { creates: [], updates: [], unchanged: 0, skipped: [], warnings: [] };
+  const existingById = new Map(existingPins.map((p) => [String(p.id), p]));
+
+  for (const { row, raw } of records) {
+    const { sourceId, payload, errors } = validateImportRecord(raw, fieldDefinitions, warnings);
+    if (errors.length > 0) {
+      plan.skipped.push({ row, errors });
+      continue;
+    }
+
+    const existing = sourceId != null ? existingById.get(sourceId) : null;
+    if (!existing) {
+      plan.creates.push({ payload: { ...payload, name: payload.name ?? FALLBACK_NAME } });
+      continue;
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(payload)) {
+      if (key === "customFields") {
+        // A blank CSV cell parses to null, which is the same as the pin not having the value.
+        const current = existing.customFields ?? {};
+        const changed = Object.entries(value).some(([id, v]) => !isSameValue(v, current[id]));
+        if (changed) changes.customFields = { ...current, ...value };
+      } else if (key === "seasonalTasks") {
+        if (!isSameValue(value, existing.seasonalTasks ?? [])) changes.seasonalTasks = value;
+      } else if (!isSameValue(value, existing[key])) {
+        changes[key] = value;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) plan.unchanged += 1;
+    else plan.updates.push({ pinId: existing.id, name: existing.name, payload: changes });
+  }
+
+  plan.warnings = [...warnings];
+  return plan;
+}
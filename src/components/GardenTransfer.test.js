@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  buildJsonExport,
+  buildCsvExport,
+  exportFileName,
+  readImportFile,
+  planImport,
+} from "./GardenTransfer";
+
+const fields = [
+  { id: 7, label: "Variety", type: "text" },
+  { id: 8, label: "Height (cm)", type: "number" },
+];
+
+const pins = [
+  {
+    id: 1,
+    name: "Tomato",
+    type: "Roma",
+    category: "vegetable",
+    xPercent: 12.5,
+    yPercent: 40,
+    wateringIntervalDays: 2,
+    lastWatered: "2026-06-01T08:00:00.000Z",
+    fertiliserProduct: "Seaweed, diluted",
+    fertilisingIntervalDays: 14,
+    lastFertilised: null,
+    seasonalWateringIntervals: { spring: 3, summer: 1, autumn: null, winter: null },
+    seasonalTasks: [{ title: "Pinch out side shoots", fromMonth: 6, toMonth: 8 }],
+    customFields: { 7: "San Marzano", 8: 120 },
+  },
+  { id: 2, name: "Rosemary", category: "herb", xPercent: 80, yPercent: 5, customFields: {} },
+];
+
+const roundTrip = (text, fileName, existingPins) => {
+  const { value, error } = readImportFile(text, fileName);
+  expect(error).toBe("");
+  return planImport(value, existingPins, fields);
+};
+
+describe("JSON export and import", () => {
+  const json = JSON.stringify(buildJsonExport({ name: "Back garden" }, pins, fields));
+
+  it("changes nothing when imported into the map it came from", () => {
+    const plan = roundTrip(json, "garden.json", pins);
+    expect(plan).toMatchObject({ creates: [], updates: [], unchanged: 2, skipped: [] });
+    expect(plan.warnings).toEqual([]);
+  });
+
+  it("recreates every pin, with its care data, in an empty map", () => {
+    const plan = roundTrip(json, "garden.json", []);
+    expect(plan.creates).toHaveLength(2);
+    expect(plan.creates[0].payload).toMatchObject({
+      name: "Tomato",
+      xPercent: 12.5,
+      lastWatered: "2026-06-01T08:00:00.000Z",
+      seasonalWateringIntervals: pins[0].seasonalWateringIntervals,
+      seasonalTasks: pins[0].seasonalTasks,
+      customFields: { 7: "San Marzano", 8: 120 },
+    });
+  });
+
+  it("rejects other files and exports from a newer version", () => {
+    expect(readImportFile("{ nope", "garden.json").error).toBe("That file isn't valid JSON.");
+    expect(readImportFile('{"pins": []}').error).toBe("That file isn't a garden map export.");
+    const newer = { format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, pins: [] };
+    expect(readImportFile(JSON.stringify(newer)).error).toMatch(/newer version/);
+  });
+});
+
+describe("CSV export and import", () => {
+  const csv = buildCsvExport(pins, fields);
+
+  it("changes nothing when imported into the map it came from", () => {
+    const plan = roundTrip(csv, "garden.csv", pins);
+    expect(plan).toMatchObject({ creates: [], updates: [], unchanged: 2, skipped: [] });
+  });
+
+  it("parses the text columns back into numbers and custom field values", () => {
+    const [tomato] = roundTrip(csv, "garden.csv", []).creates;
+    expect(tomato.payload).toMatchObject({
+      xPercent: 12.5,
+      wateringIntervalDays: 2,
+      fertiliserProduct: "Seaweed, diluted",
+      customFields: { 7: "San Marzano", 8: 120 },
+    });
+  });
+
+  it("needs the position columns", () => {
+    expect(readImportFile("name\nTomato\n", "garden.csv").error).toMatch(/xPercent/);
+  });
+});
+
+describe("planImport", () => {
+  const record = (row, raw) => ({ row, raw });
+
+  it("lists only the changed keys of an update", () => {
+    const plan = planImport(
+      [record("Pin 1", { id: 1, xPercent: 12.5, yPercent: 40, wateringIntervalDays: 4 })],
+      pins,
+      fields,
+    );
+    expect(plan.updates).toEqual([
+      { pinId: 1, name: "Tomato", payload: { wateringIntervalDays: 4 } },
+    ]);
+  });
+
+  it("clears a custom field value that the import leaves blank", () => {
+    const raw = { id: 1, xPercent: 12.5, yPercent: 40, customFields: { Variety: "" } };
+    const [update] = planImport([record("Row 2", raw)], pins, fields).updates;
+    expect(update.payload).toEqual({ customFields: { 7: null, 8: 120 } });
+  });
+
+  it("skips invalid rows and warns about unknown fields", () => {
+    const plan = planImport(
+      [
+        record("Row 2", { xPercent: "150", yPercent: "10", category: "weed" }),
+        record("Row 3", { xPercent: "1", yPercent: "2", customFields: { Colour: "red" } }),
+      ],
+      [],
+      fields,
+    );
+    expect(plan.skipped).toEqual([
+      {
+        row: "Row 2",
+        errors: ['category "weed" isn\'t a known category', "xPercent must be a number from 0 to 100"],
+      },
+    ]);
+    expect(plan.creates[0].payload.name).toBe("New little plant");
+    expect(plan.warnings).toEqual(['Unknown field "Colour" is ignored.']);
+  });
+});
+
+describe("exportFileName", () => {
+  it("slugs the map name and adds the day", () => {
+    const now = new Date("2026-10-19T12:00:00Z");
+    expect(exportFileName({ name: "Back Garden!" }, "csv", now)).toBe("back-garden-2026-10-19.csv");
+    expect(exportFileName(null, "json", now)).toBe("garden-2026-10-19.json");
+  });
+});
@@ -0,0 +1,183 @@
+import { useState } from "react";
+import "./FieldManager.css";
+import "./GardenTransferDialog.css";
+import {
+  buildJsonExport,
+  buildCsvExport,
+  exportFileName,
+  downloadTextFile,
+  readImportFile,
+  planImport,
+} from "./GardenTransfer";
+
+/**
+ * GardenTransferDialog
+ * Export the current map (JSON / CSV) and import pins from such a file.
+ * - Import (edit mode only) first shows a preview of what will be created/updated.
+ *
+ * Props:
+ * - map: current map ({ id, name })
+ * - pins, fieldDefinitions: of the current map
+ * - canImport: boolean (edit mode)
+ * - onImport(plan): applies a plan from planImport()
+ * - onClose()
+ */
+
+const PREVIEW_LIMIT = 8;
+
+export default function GardenTransferDialog({
+  map,
+  pins,
+  fieldDefinitions,
+  canImport,
+  onImport,
+  onClose,
+}) {
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleExportJson = () => {
+    const data = buildJsonExport(map, pins, fieldDefinitions);
+    downloadTextFile(
+      exportFileName(map, "json"),
+      JSON.stringify(data, null, 2),
+      "application/json"
+    );
+  };
+
+  const handleExportCsv = () => {
+    downloadTextFile(
+      exportFileName(map, "csv"),
+      buildCsvExport(pins, fieldDefinitions),
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    setFileName(file.name);
+    setPlan(null);
+    setError("");
+
+    try {
+      const text = await file.text();
+      const records = readImportFile(text, file.name);
+      if (records.error) {
+        setError(records.error);
+        return;
+      }
+      setPlan(planImport(records.value, pins, fieldDefinitions));
+    } catch (err) {
+      setError(err?.message ?? "Couldn't read that file.");
+    }
+  };
+
+  const handleImport = () => {
+    onImport(plan);
+    onClose();
+  };
+
+  const changeCount = plan ? plan.creates.length + plan.updates.length : 0;
+
+  return (
+    <div className="field-manager-backdrop" onClick={(e) => e.stopPropagation()}>
+      <div className="field-manager transfer-dialog" role="dialog" aria-label="Export / import">
+        <div className="field-manager-header">
+          <div className="field-manager-title">Export / import "{map?.name ?? "Garden"}"</div>
+          <button className="field-manager-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="transfer-section">
+          <div className="field-manager-form-title">Export {pins.length} plants</div>
+          <div className="transfer-buttons">
+            <button type="button" onClick={handleExportJson}>
+              Download JSON (full backup)
+            </button>
+            <button type="button" onClick={handleExportCsv}>
+              Download CSV (spreadsheet)
+            </button>
+          </div>
+        </div>
+
+        {canImport && (
+          <div className="transfer-section">
+            <div className="field-manager-form-title">Import into this map</div>
+            <input
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={handleFileChange}
+            />
+
+            {error && <div className="detailsServerError">{error}</div>}
+
+            {plan && (
+              <div className="transfer-preview">
+                <div>
+                  <b>{fileName}</b>: {plan.creates.length} new, {plan.updates.length} updated,{" "}
+                  {plan.unchanged} unchanged, {plan.skipped.length} skipped
+                </div>
+
+                {plan.creates.length > 0 && (
+                  <ul className="transfer-list">
+                    {plan.creates.slice(0, PREVIEW_LIMIT).map((c, i) => (
+                      <li key={i}>+ {c.payload.name}</li>
+                    ))}
+                    {plan.creates.length > PREVIEW_LIMIT && (
+                      <li>…and {plan.creates.length - PREVIEW_LIMIT} more</li>
+                    )}
+                  </ul>
+                )}
+
+                {plan.updates.length > 0 && (
+                  <ul className="transfer-list">
+                    {plan.updates.slice(0, PREVIEW_LIMIT).map((u) => (
+                      <li key={u.pinId}>
+                        ~ {u.name}: {Object.keys(u.payload).join(", ")}
+                      </li>
+                    ))}
+                    {plan.updates.length > PREVIEW_LIMIT && (
+                      <li>…and {plan.updates.length - PREVIEW_LIMIT} more</li>
+                    )}
+                  </ul>
+                )}
+
+                {plan.skipped.length > 0 && (
+                  <ul className="transfer-list transfer-list-errors">
+                    {plan.skipped.map((s) => (
+                      <li key={s.row}>
+                        {s.row}: {s.errors.join("; ")}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {plan.warnings.length > 0 && (
+                  <ul className="transfer-list transfer-list-warnings">
+                    {plan.warnings.map((w) => (
+                      <li key={w}>{w}</li>
+                    ))}
+                  </ul>
+                )}
+
+                <button
+                  type="button"
+                  className="field-manager-add"
+                  onClick={handleImport}
+                  disabled={changeCount === 0}
+                >
+                  Import {changeCount} {changeCount === 1 ? "change" : "changes"}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useState } from "react";
+import "./JournalFeed.css";
+import { listMapNotes } from "../api/gardenApi";
+import { formatDateTime } from "./DateFormatter";
+import MarkdownText from "./MarkdownText";
+
+/**
+ * JournalFeed
+ * Side panel (right) with every journal note on the map, newest first.
+ *
+ * - Filter by plant (only plants that have notes are offered).
+ * - Clicking a plant's name jumps to the pin on the map.
+ * - Editing happens in the plant's details panel.
+ *
+ * Props:
+ * - mapId
+ * - pins: pins of the current map (for names)
+ * - revision: bumps whenever a note changes anywhere, to reload
+ * - onClose()
+ * - onFocusPin(pinId)
+ */
+
+const FALLBACK_NAME = "New little plant";
+const ALL_PLANTS = "all";
+
+export default function JournalFeed({ mapId, pins, revision, onClose, onFocusPin }) {
+  const [notes, setNotes] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [pinFilter, setPinFilter] = useState(ALL_PLANTS);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const data = await listMapNotes(mapId);
+        if (!cancelled) {
+          setNotes(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load journal:", e);
+        if (!cancelled) setLoadError("Couldn't load the journal.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mapId, revision]);
+
+  const pinNames = useMemo(
+    () => new Map(pins.map((p) => [String(p.id), p.name || FALLBACK_NAME])),
+    [pins]
+  );
+
+  // Notes of pins deleted meanwhile are dropped with the pin on the server; skip stragglers.
+  const knownNotes = useMemo(
+    () =>
+      notes
+        .filter((n) => pinNames.has(String(n.pinId)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    [notes, pinNames]
+  );
+
+  const plantOptions = useMemo(() => {
+    const ids = [...new Set(knownNotes.map((n) => String(n.pinId)))];
+    return ids
+      .map((id) => ({ id, name: pinNames.get(id) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [knownNotes, pinNames]);
+
+  const visibleNotes = useMemo(
+    () =>
+      pinFilter === ALL_PLANTS
+        ? knownNotes
+        : knownNotes.filter((n) => String(n.pinId) === pinFilter),
+    [knownNotes, pinFilter]
+  );
+
+  return (
+    <aside className="journal-feed" onClick={(e) => e.stopPropagation()}>
+      <div className="journal-feed-header">
+        <div className="journal-feed-title">Garden journal</div>
+        <button className="journal-feed-close" onClick={onClose} aria-label="Close journal">
+          ×
+        </button>
+      </div>
+
+      <label className="journal-feed-filter">
+        Plant
+        <select value={pinFilter} onChange={(e) => setPinFilter(e.target.value)}>
+          <option value={ALL_PLANTS}>All plants</option>
+          {plantOptions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="journal-feed-scroll">
+        {loadError && <div className="errorText journal-feed-empty">{loadError}</div>}
+
+        {visibleNotes.length === 0 && !loadError && (
+          <div className="journal-feed-empty">
+            No notes yet. Add one from a plant's details panel.
+          </div>
+        )}
+
+        {visibleNotes.map((note) => (
+          <article key={note.id} className="journal-feed-entry">
+            <div className="journal-feed-entry-header">
+              <button
+                type="button"
+                className="journal-feed-plant"
+                onClick={() => onFocusPin?.(note.pinId)}
+              >
+                {pinNames.get(String(note.pinId))}
+              </button>
+              <span className="journal-feed-date">{formatDateTime(note.createdAt)}</span>
+            </div>
+            <MarkdownText text={note.text} />
+          </article>
+        ))}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from "react";
+import "./LoginScreen.css";
+import { signIn } from "../api/account";
+import { NetworkError } from "../api/errors";
+
+/**
+ * LoginScreen
+ * Full-page sign-in form, shown instead of the map until someone is signed in.
+ * - On success the session is stored (see api/account.js) and AuthGate shows the app.
+ */
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+export default function LoginScreen() {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const trimmedEmail = normalizeText(email);
+    if (!trimmedEmail || !password) {
+      setError("Email and password, please.");
+      return;
+    }
+
+    setError("");
+    setIsSubmitting(true);
+    try {
+      await signIn(trimmedEmail, password);
+    } catch (err) {
+      console.error("Login failed:", err);
+      if (err?.status === 401) setError("Wrong email or password.");
+      else if (err instanceof NetworkError) setError("Can't reach the server. Are you online?");
+      else setError(err.message ?? "Login failed");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <div className="login-title">Garden map</div>
+
+        <label>
+          Email
+          <input
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+        </label>
+
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </label>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
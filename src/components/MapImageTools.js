@@ -0,0 +1,106 @@
+/**
+ * MapImageTools
+ * Helpers for replacing a map's background image (and for plant photos).
+ *
+ * Notes:
+ * - Photos from phones are huge; we downscale + re-encode in the browser before uploading.
+ * - Pins store percentages, so a new image with a different aspect ratio would stretch them.
+ *   `realignPercent` converts positions assuming the old image sits centered ("contain")
+ *   inside the new one, which keeps pins on the same physical spot.
+ */
+
+const DEFAULT_MAX_DIMENSION = 2400;
+const DEFAULT_QUALITY = 0.85;
+
+const PHOTO_MAX_DIMENSION = 2000;
+const THUMBNAIL_MAX_DIMENSION = 320;
+const THUMBNAIL_QUALITY = 0.75;
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file doesn't look like an image."));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * resizeImageFile
+ * @param {File|Blob} file image picked by the user
+ * @param {{ maxDimension?: number, quality?: number, type?: string }} [options]
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+ */
+export async function resizeImageFile(
+  file,
+  { maxDimension = DEFAULT_MAX_DIMENSION, quality = DEFAULT_QUALITY, type = "image/jpeg" } = {}
+) {
+  const img = await loadImage(file);
+
+  const ratio = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * ratio);
+  const height = Math.round(img.naturalHeight * ratio);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("Could not compress the image."))),
+      type,
+      quality
+    );
+  });
+
+  return { blob, width, height };
+}
+
+/**
+ * createPhotoVersions
+ * Downscaled photo + small thumbnail for a plant photo, both JPEG.
+ * @param {File|Blob} file
+ * @returns {Promise<{ image: Blob, thumbnail: Blob }>}
+ */
+export async function createPhotoVersions(file) {
+  const image = await resizeImageFile(file, { maxDimension: PHOTO_MAX_DIMENSION });
+  const thumbnail = await resizeImageFile(file, {
+    maxDimension: THUMBNAIL_MAX_DIMENSION,
+    quality: THUMBNAIL_QUALITY,
+  });
+  return { image: image.blob, thumbnail: thumbnail.blob };
+}
+
+export function hasDifferentAspect(sizeA, sizeB) {
+  if (!sizeA?.width || !sizeA?.height || !sizeB?.width || !sizeB?.height) return false;
+  const a = sizeA.width / sizeA.height;
+  const b = sizeB.width / sizeB.height;
+  return Math.abs(a - b) > 0.01;
+}
+
+/**
+ * realignPercent
+ * Converts a pin position from the old image's percent space into the new image's,
+ * with the old image fitted (contain) and centered inside the new one.
+ */
+export function realignPercent({ xPercent, yPercent }, oldSize, newSize) {
+  const fit = Math.min(newSize.width / oldSize.width, newSize.height / oldSize.height);
+  const offsetX = (newSize.width - oldSize.width * fit) / 2;
+  const offsetY = (newSize.height - oldSize.height * fit) / 2;
+
+  const x = offsetX + (xPercent / 100) * oldSize.width * fit;
+  const y = offsetY + (yPercent / 100) * oldSize.height * fit;
+
+  return {
+    xPercent: (x / newSize.width) * 100,
+    yPercent: (y / newSize.height) * 100,
+  };
+}
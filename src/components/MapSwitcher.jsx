@@ -0,0 +1,118 @@
+import { useRef } from "react";
+import "./MapSwitcher.css";
+
+/**
+ * MapSwitcher
+ * Toolbar control for picking which map (front garden, greenhouse, indoor floors...) is shown.
+ *
+ * - View mode: only switching maps.
+ * - Edit mode: also create / rename / delete maps and replace the map's background image.
+ *
+ * Props:
+ * - maps: list of map objects ({ id, name, ... })
+ * - selectedMapId: id of the currently shown map (or null)
+ * - mode: "view" | "edit"
+ * - isOwner: only the owner of a shared map may delete it (default true)
+ * - onSelectMap(mapId)
+ * - onCreateMap(name)
+ * - onRenameMap(mapId, name)
+ * - onDeleteMap(mapId)
+ * - onUploadMapImage(mapId, file)
+ */
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+export default function MapSwitcher({
+  maps,
+  selectedMapId,
+  mode,
+  isOwner = true,
+  onSelectMap,
+  onCreateMap,
+  onRenameMap,
+  onDeleteMap,
+  onUploadMapImage,
+}) {
+  const fileInputRef = useRef(null);
+  const selectedMap = maps.find((m) => m.id === selectedMapId) ?? null;
+
+  const handleCreate = () => {
+    const name = normalizeText(window.prompt("Name of the new map:", ""));
+    if (!name) return;
+    onCreateMap?.(name);
+  };
+
+  const handleRename = () => {
+    if (!selectedMap) return;
+    const name = normalizeText(window.prompt("Rename map:", selectedMap.name ?? ""));
+    if (!name || name === selectedMap.name) return;
+    onRenameMap?.(selectedMap.id, name);
+  };
+
+  const handleDelete = () => {
+    if (!selectedMap) return;
+    const ok = window.confirm(
+      `Delete map "${selectedMap.name}" and all of its pins? This cannot be undone.`
+    );
+    if (!ok) return;
+    onDeleteMap?.(selectedMap.id);
+  };
+
+  const handleImagePicked = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file || !selectedMap) return;
+    onUploadMapImage?.(selectedMap.id, file);
+  };
+
+  return (
+    <div className="map-switcher" onClick={(e) => e.stopPropagation()}>
+      <select
+        className="map-switcher-select"
+        aria-label="Map"
+        value={selectedMapId ?? ""}
+        onChange={(e) => onSelectMap?.(Number(e.target.value))}
+        disabled={maps.length === 0}
+      >
+        {maps.length === 0 && <option value="">No maps yet</option>}
+        {maps.map((m) => (
+          <option key={m.id} value={m.id}>
+            {m.name || `Map ${m.id}`}
+          </option>
+        ))}
+      </select>
+
+      {mode === "edit" && (
+        <>
+          <button type="button" onClick={handleCreate}>
+            New map
+          </button>
+          <button type="button" onClick={handleRename} disabled={!selectedMap}>
+            Rename
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!selectedMap}
+          >
+            Change image
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            hidden
+            onChange={handleImagePicked}
+          />
+          {isOwner && (
+            <button type="button" onClick={handleDelete} disabled={!selectedMap}>
+              Delete map
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
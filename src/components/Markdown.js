@@ -0,0 +1,133 @@
+/**
+ * Markdown
+ * A deliberately small markdown subset for journal notes, parsed into plain objects
+ * (MarkdownText renders them as React elements, so no HTML strings are ever injected).
+ *
+ * Supported:
+ * - Blocks: paragraphs (single newlines become line breaks), "# " / "## " / "### " headings,
+ *   "- " / "* " bullet lists and "1. " numbered lists
+ * - Inline: **bold**, *italic* / _italic_, `code`, [links](https://...)
+ *
+ * Notes:
+ * - Only http(s) and mailto links become links; anything else stays as text.
+ */
+
+const HEADING_RE = /^(#{1,3})\s+(.*)$/;
+const BULLET_RE = /^[-*]\s+(.*)$/;
+const NUMBERED_RE = /^\d+[.)]\s+(.*)$/;
+
+const SAFE_HREF_RE = /^(https?:\/\/|mailto:)/i;
+
+// Earliest match wins; on a tie the first pattern in this list wins.
+const INLINE_PATTERNS = [
+  { type: "code", re: /`([^`]+)`/ },
+  { type: "link", re: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: "strong", re: /\*\*(.+?)\*\*|__(.+?)__/ },
+  { type: "em", re: /\*([^*\s][^*]*)\*|(?<!\w)_([^_]+)_(?!\w)/ },
+];
+
+export function isSafeHref(href) {
+  return SAFE_HREF_RE.test(href ?? "");
+}
+
+/**
+ * parseInline
+ * @param {string} text
+ * @returns {Array<{ type: string, text?: string, href?: string, children?: Array }>}
+ */
+export function parseInline(text) {
+  const tokens = [];
+  let rest = text;
+
+  while (rest) {
+    let best = null;
+    for (const pattern of INLINE_PATTERNS) {
+      const match = pattern.re.exec(rest);
+      if (match && (best === null || match.index < best.match.index)) {
+        best = { type: pattern.type, match };
+      }
+    }
+
+    if (!best) {
+      tokens.push({ type: "text", text: rest });
+      break;
+    }
+
+    const { type, match } = best;
+    if (match.index > 0) tokens.push({ type: "text", text: rest.slice(0, match.index) });
+
+    if (type === "code") {
+      tokens.push({ type: "code", text: match[1] });
+    } else if (type === "link") {
+      tokens.push(
+        isSafeHref(match[2])
+          ? { type: "link", href: match[2], children: parseInline(match[1]) }
+          : { type: "text", text: match[0] }
+      );
+    } else {
+      tokens.push({ type, children: parseInline(match[1] ?? match[2]) });
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return tokens;
+}
+
+/**
+ * parseMarkdown
+ * @param {string} text
+ * @returns {Array<
+ *   | { type: "heading", level: number, inline: Array }
+ *   | { type: "list", ordered: boolean, items: Array<Array> }
+ *   | { type: "paragraph", lines: Array<Array> }
+ * >}
+ */
+export function parseMarkdown(text) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const closeOpenBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (const rawLine of (text ?? "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === "") {
+      closeOpenBlocks();
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      closeOpenBlocks();
+      blocks.push({ type: "heading", level: heading[1].length, inline: parseInline(heading[2]) });
+      continue;
+    }
+
+    const bullet = BULLET_RE.exec(line);
+    const numbered = bullet ? null : NUMBERED_RE.exec(line);
+    if (bullet || numbered) {
+      const ordered = Boolean(numbered);
+      if (!list || list.ordered !== ordered) {
+        paragraph = null;
+        list = { type: "list", ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline((bullet ?? numbered)[1]));
+      continue;
+    }
+
+    if (!paragraph) {
+      list = null;
+      paragraph = { type: "paragraph", lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(parseInline(line));
+  }
+
+  return blocks;
+}
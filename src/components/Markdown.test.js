@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { parseInline, parseMarkdown, isSafeHref } from "./Markdown";
+
+const text = (value) => ({ type: "text", text: value });
+
+describe("parseInline", () => {
+  it("parses bold, italic and code", () => {
+    expect(parseInline("**Water** _daily_, see `pH`")).toEqual([
+      { type: "strong", children: [text("Water")] },
+      text(" "),
+      { type: "em", children: [text("daily")] },
+      text(", see "),
+      { type: "code", text: "pH" },
+    ]);
+  });
+
+  it("doesn't parse markup inside code", () => {
+    expect(parseInline("`**not bold**`")).toEqual([{ type: "code", text: "**not bold**" }]);
+  });
+
+  it("keeps underscores inside words", () => {
+    expect(parseInline("snake_case_name")).toEqual([text("snake_case_name")]);
+  });
+
+  it("only links safe urls", () => {
+    expect(parseInline("[seeds](https://example.com/seeds)")).toEqual([
+      { type: "link", href: "https://example.com/seeds", children: [text("seeds")] },
+    ]);
+    expect(parseInline("[click](javascript:alert(1))")).toEqual([
+      text("[click](javascript:alert(1)"),
+      text(")"),
+    ]);
+  });
+});
+
+describe("isSafeHref", () => {
+  it("accepts http(s) and mailto only", () => {
+    expect(isSafeHref("HTTPS://example.com")).toBe(true);
+    expect(isSafeHref("mailto:me@example.com")).toBe(true);
+    expect(isSafeHref("data:text/html,hi")).toBe(false);
+    expect(isSafeHref(undefined)).toBe(false);
+  });
+});
+
+describe("parseMarkdown", () => {
+  it("splits headings, lists and paragraphs", () => {
+    const blocks = parseMarkdown("## Spring\nSow early\nunder glass\n\n- Tomato\n- Basil\n1. Dig");
+
+    expect(blocks).toEqual([
+      { type: "heading", level: 2, inline: [text("Spring")] },
+      { type: "paragraph", lines: [[text("Sow early")], [text("under glass")]] },
+      { type: "list", ordered: false, items: [[text("Tomato")], [text("Basil")]] },
+      { type: "list", ordered: true, items: [[text("Dig")]] },
+    ]);
+  });
+
+  it("starts a new paragraph after a blank line or a list", () => {
+    const blocks = parseMarkdown("One\n\nTwo\n- item\nThree");
+    expect(blocks.map((b) => b.type)).toEqual(["paragraph", "paragraph", "list", "paragraph"]);
+  });
+
+  it("handles empty input", () => {
+    expect(parseMarkdown("")).toEqual([]);
+    expect(parseMarkdown(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+import { Fragment, useMemo } from "react";
+import "./MarkdownText.css";
+import { parseMarkdown } from "./Markdown";
+
+/**
+ * MarkdownText
+ * Renders the small markdown subset from `Markdown.js` as React elements
+ * (no dangerouslySetInnerHTML, so note text can't inject markup).
+ *
+ * Props:
+ * - text: markdown source
+ */
+
+function renderInline(tokens) {
+  return tokens.map((token, i) => {
+    switch (token.type) {
+      case "code":
+        return <code key={i}>{token.text}</code>;
+      case "strong":
+        return <strong key={i}>{renderInline(token.children)}</strong>;
+      case "em":
+        return <em key={i}>{renderInline(token.children)}</em>;
+      case "link":
+        return (
+          <a key={i} href={token.href} target="_blank" rel="noopener noreferrer">
+            {renderInline(token.children)}
+          </a>
+        );
+      default:
+        return <Fragment key={i}>{token.text}</Fragment>;
+    }
+  });
+}
+
+export default function MarkdownText({ text }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  return (
+    <div className="markdown-text">
+      {blocks.map((block, i) => {
+        if (block.type === "heading") {
+          const Heading = `h${block.level + 3}`; // h4..h6, so notes don't outshout the panel
+          return <Heading key={i}>{renderInline(block.inline)}</Heading>;
+        }
+
+        if (block.type === "list") {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List key={i}>
+              {block.items.map((item, j) => (
+                <li key={j}>{renderInline(item)}</li>
+              ))}
+            </List>
+          );
+        }
+
+        return (
+          <p key={i}>
+            {block.lines.map((line, j) => (
+              <Fragment key={j}>
+                {j > 0 && <br />}
+                {renderInline(line)}
+              </Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
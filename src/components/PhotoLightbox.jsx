@@ -0,0 +1,93 @@
+import { useEffect } from "react";
+import "./PhotoLightbox.css";
+import { resolveMediaUrl } from "../api/gardenApi";
+
+/**
+ * PhotoLightbox
+ * Full-screen view of one plant photo, with previous/next through the timeline.
+ *
+ * - Arrow keys browse, Escape (or clicking the backdrop) closes.
+ *
+ * Props:
+ * - photos: [{ id, url, thumbnailUrl, takenAt, caption }], in timeline order
+ * - index: index of the photo shown
+ * - onChangeIndex(index)
+ * - onClose()
+ * - onDelete(photo): confirms + deletes (optional: no delete button without it)
+ */
+
+function formatTakenAt(iso) {
+  const date = new Date(iso);
+  if (!iso || Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(undefined, { day: "numeric", month: "long", year: "numeric" });
+}
+
+export default function PhotoLightbox({ photos, index, onChangeIndex, onClose, onDelete }) {
+  const photo = photos[index];
+  const hasPrev = index > 0;
+  const hasNext = index < photos.length - 1;
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowLeft" && hasPrev) onChangeIndex(index - 1);
+      else if (e.key === "ArrowRight" && hasNext) onChangeIndex(index + 1);
+      else return;
+      e.preventDefault();
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [index, hasPrev, hasNext, onChangeIndex, onClose]);
+
+  return (
+    <div className="photo-lightbox" role="dialog" aria-modal="true" onClick={onClose}>
+      <div className="photo-lightbox-body" onClick={(e) => e.stopPropagation()}>
+        <img
+          className="photo-lightbox-image"
+          src={resolveMediaUrl(photo.url)}
+          alt={photo.caption || "Plant photo"}
+        />
+
+        <div className="photo-lightbox-footer">
+          <button
+            type="button"
+            onClick={() => onChangeIndex(index - 1)}
+            disabled={!hasPrev}
+            aria-label="Previous photo"
+          >
+            ‹
+          </button>
+
+          <div className="photo-lightbox-meta">
+            <div className="photo-lightbox-date">{formatTakenAt(photo.takenAt)}</div>
+            {photo.caption && <div className="photo-lightbox-caption">{photo.caption}</div>}
+            <div className="photo-lightbox-count">
+              {index + 1} / {photos.length}
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={() => onChangeIndex(index + 1)}
+            disabled={!hasNext}
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+        </div>
+
+        <div className="photo-lightbox-actions">
+          {onDelete && (
+            <button type="button" className="dangerButton" onClick={() => onDelete(photo)}>
+              Delete photo
+            </button>
+          )}
+          <button type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
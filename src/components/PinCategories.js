@@ -0,0 +1,42 @@
+/**
+ * PinCategories
+ * What kind of thing a pin marks. Each category has its own icon and colour on the map.
+ *
+ * Data on the pin:
+ * - category: one of the keys below, or null ("uncategorised", drawn with the default pin).
+ */
+
+export const PIN_CATEGORIES = [
+  { key: "tree", label: "Trees", icon: "🌳", color: "#2e7d32" },
+  { key: "shrub", label: "Shrubs", icon: "🌿", color: "#689f38" },
+  { key: "vegetable", label: "Vegetables", icon: "🥕", color: "#ef6c00" },
+  { key: "herb", label: "Herbs", icon: "🌱", color: "#00897b" },
+  { key: "flower", label: "Flowers", icon: "🌸", color: "#d81b60" },
+  { key: "fruit", label: "Fruit", icon: "🍓", color: "#c62828" },
+  { key: "houseplant", label: "Houseplants", icon: "🪴", color: "#6d4c41" },
+  { key: "irrigation", label: "Irrigation points", icon: "🚿", color: "#1e88e5" },
+];
+
+// Key used for pins without (or with an unknown) category, e.g. in visibility toggles.
+export const UNCATEGORISED = "none";
+
+export const UNCATEGORISED_LABEL = "Uncategorised";
+
+const CATEGORY_BY_KEY = new Map(PIN_CATEGORIES.map((c) => [c.key, c]));
+
+/**
+ * getPinCategory
+ * @returns {{ key, label, icon, color } | null} null for uncategorised pins
+ */
+export function getPinCategory(pin) {
+  return CATEGORY_BY_KEY.get(pin?.category) ?? null;
+}
+
+// The category key a pin counts under (UNCATEGORISED when it has none).
+export function getPinCategoryKey(pin) {
+  return getPinCategory(pin)?.key ?? UNCATEGORISED;
+}
+
+export function isPinCategory(key) {
+  return CATEGORY_BY_KEY.has(key);
+}
@@ -0,0 +1,48 @@
+import { formatFieldValue } from "./CustomFields";
+import { getPinCategory } from "./PinCategories";
+
+/**
+ * PinFilter
+ * Text search over pins: name, type, category and (when the map has them) custom field values.
+ *
+ * Notes:
+ * - Case-insensitive; every word of the query has to match somewhere ("blue berry" finds
+ *   "Blueberry bush" only if both words appear, e.g. in name + type).
+ */
+
+function normalizeQuery(query) {
+  return (query ?? "").trim().toLowerCase();
+}
+
+function searchableText(pin, fieldDefinitions) {
+  const parts = [pin.name, pin.type, getPinCategory(pin)?.label];
+
+  for (const definition of fieldDefinitions) {
+    const value = pin.customFields?.[definition.id];
+    if (value == null || value === "" || definition.type === "checkbox") continue;
+    parts.push(formatFieldValue(definition, value));
+  }
+
+  return parts.filter(Boolean).join(" ").toLowerCase();
+}
+
+/**
+ * pinMatchesQuery
+ * @returns {boolean} true when every word of `query` appears in the pin's searchable text
+ */
+export function pinMatchesQuery(pin, query, fieldDefinitions = []) {
+  const words = normalizeQuery(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const text = searchableText(pin, fieldDefinitions);
+  return words.every((word) => text.includes(word));
+}
+
+/**
+ * filterPins
+ * @returns {object[]|null} matching pins, or null when the query is empty (= no filter active)
+ */
+export function filterPins(pins, query, fieldDefinitions = []) {
+  if (normalizeQuery(query) === "") return null;
+  return pins.filter((pin) => pinMatchesQuery(pin, query, fieldDefinitions));
+}
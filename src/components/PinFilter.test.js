@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { pinMatchesQuery, filterPins } from "./PinFilter";
+
+const blueberry = { id: 1, name: "Blue one", type: "Berry bush", customFields: { 7: "Kew" } };
+const rose = { id: 2, name: "Rose", type: "Climber", customFields: { 8: true } };
+const fields = [
+  { id: 7, label: "Supplier", type: "text" },
+  { id: 8, label: "Thorny", type: "checkbox" },
+];
+
+describe("pinMatchesQuery", () => {
+  it("needs every word somewhere in name, type or field values, in any case", () => {
+    expect(pinMatchesQuery(blueberry, "BLUE berry")).toBe(true);
+    expect(pinMatchesQuery(blueberry, "blue rose")).toBe(false);
+    expect(pinMatchesQuery(blueberry, "kew", fields)).toBe(true);
+    expect(pinMatchesQuery(blueberry, "kew")).toBe(false);
+  });
+
+  it("doesn't search checkbox values", () => {
+    expect(pinMatchesQuery(rose, "yes", fields)).toBe(false);
+  });
+});
+
+describe("filterPins", () => {
+  it("returns null (no filter) for an empty query", () => {
+    expect(filterPins([blueberry, rose], "   ")).toBe(null);
+  });
+
+  it("returns the matching pins", () => {
+    expect(filterPins([blueberry, rose], "ros")).toEqual([rose]);
+  });
+});
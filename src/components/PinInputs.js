@@ -0,0 +1,52 @@
+/**
+ * PinInputs
+ * Parsing of DetailsPanel's text inputs into { value, error } (error is "" when it's fine).
+ */
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+/**
+ * Parses the watering interval input.
+ * - "" => null (Unknown)
+ * - integer >= 1 => number
+ * - otherwise => error message
+ */
+export function parseInterval(input) {
+  const trimmed = normalizeText(input);
+
+  if (trimmed === "") return { value: null, error: "" };
+  if (!/^\d+$/.test(trimmed)) return { value: null, error: "Give me whole days (1 or more)." };
+
+  const n = Number(trimmed);
+  if (!Number.isInteger(n) || n < 1) return { value: null, error: "Give me whole days (1 or more)." };
+
+  return { value: n, error: "" };
+}
+
+/**
+ * Parses a date input (YYYY-MM-DD).
+ * - "" => null (Unknown)
+ * - existing date, not in the future => ISO timestamp (local noon, so timezones don't shift
+ *   the day)
+ * - otherwise => error message
+ */
+export function parseDate(input) {
+  const trimmed = normalizeText(input);
+
+  if (trimmed === "") return { value: null, error: "" };
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+  if (!match) return { value: null, error: "That doesn't look like a date." };
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, 12);
+  // new Date() rolls over (2024-02-31 => March 2nd): only accept dates that exist.
+  const exists =
+    date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  if (!exists) return { value: null, error: "That doesn't look like a date." };
+  if (date.getTime() > Date.now()) return { value: null, error: "That's in the future." };
+
+  return { value: date.toISOString(), error: "" };
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { parseInterval, parseDate } from "./PinInputs";
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("parseInterval", () => {
+  it("accepts whole days from 1 up, and empty as unknown", () => {
+    expect(parseInterval(" 3 ")).toEqual({ value: 3, error: "" });
+    expect(parseInterval("")).toEqual({ value: null, error: "" });
+    expect(parseInterval(undefined)).toEqual({ value: null, error: "" });
+  });
+
+  it("rejects zero, fractions and words", () => {
+    for (const input of ["0", "1.5", "-2", "three"]) {
+      expect(parseInterval(input).error).not.toBe("");
+    }
+  });
+});
+
+describe("parseDate", () => {
+  it("gives local noon of that day", () => {
+    const { value, error } = parseDate("2024-02-29");
+    expect(error).toBe("");
+    const date = new Date(value);
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([
+      2024, 1, 29, 12,
+    ]);
+  });
+
+  it("rejects dates that don't exist instead of rolling them over", () => {
+    expect(parseDate("2024-02-31").error).toBe("That doesn't look like a date.");
+    expect(parseDate("2023-02-29").error).toBe("That doesn't look like a date.");
+    expect(parseDate("2024-13-01").error).toBe("That doesn't look like a date.");
+    expect(parseDate("29/02/2024").error).toBe("That doesn't look like a date.");
+  });
+
+  it("rejects the future", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 5, 1, 9));
+    expect(parseDate("2024-06-02").error).toBe("That's in the future.");
+    expect(parseDate("2024-05-31").error).toBe("");
+  });
+});
@@ -1,6 +1,11 @@
 import { useRef, useMemo } from "react";
 import "./PinLayer.css";
-import { formatLastWatered } from "./DateFormatter";
+import { formatLastWatered, formatLastFertilised } from "./DateFormatter";
+import { getWateringStatus, formatDueStatus } from "./WateringStatus";
+import { getEffectiveWateringInterval } from "./SeasonalCare";
+import { movePinsBy } from "./PinSelection";
+import { getPinCategory } from "./PinCategories";
+import { resolveMediaUrl } from "../api/gardenApi";
 
 /**
  * PinLayer
@@ -8,12 +13,24 @@ import { formatLastWatered } from "./DateFormatter";
  * - Converts stored percentage coordinates <-> screen coordinates
  * - Handles:
  *   - selecting pins (view mode)
- *   - dragging pins (edit mode)
- *   - showing a small popup (when selected + details panel is closed)
+ *   - dragging pins (edit mode); dragging a multi-selected pin moves the whole selection
+ *   - shift-click to add/remove a pin from the multi-selection (edit mode)
+ *   - showing a small popup (when selected + details panel is closed),
+ *     with the plant's latest photo when it has one (no water/fertilise buttons when !canEdit)
+ *   - colouring/badging pins by watering status (ok / soon / overdue / unknown)
+ *   - dimming pins that don't match the current search (matchingPinIds)
+ *   - pulsing a ring around pins just changed on another device (highlightedPinIds)
+ *   - drawing categorised pins as a coloured marker with the category icon
+ *     (uncategorised pins use `pinImg`)
  *
  * Coordinate model:
  * - Pins store xPercent/yPercent (0..100) relative to the original image size.
  * - convert those to screen pixels
+ *
+ * Moves are reported as lists of positions ([{ pinId, xPercent, yPercent }]):
+ * - onMovePins while dragging (local only), onCommitMovePins once on drop.
+ * - onCommitMovePins also gets where the pins were before the drag (for undo: by then the pins
+ *   already show the dragged positions).
  */
 
 const FALLBACK_NAME = "New little plant";
@@ -34,21 +51,29 @@ export default function PinLayer({
   pins,
   transform,
   imageSize,
-  onMovePin,
-  onCommitMovePin,
+  onMovePins,
+  onCommitMovePins,
   onOpenPin,
   selectedPinId,
   isDetailsOpen,
   onClosePopup,
   onMarkWatered,
+  onMarkFertilised,
   onOpenDetails,
   pinImg,
+  matchingPinIds = null,
+  selectedPinIds = null,
+  onToggleSelectPin,
+  highlightedPinIds = null,
+  canEdit = true,
 }) {
   const dragRef = useRef({
     draggingPinId: null,
     pointerId: null,
     startClient: null,
-    lastPercent: null,
+    startPercent: null,
+    origins: null,
+    lastPositions: null,
     hasMoved: false,
   });
 
@@ -76,13 +101,21 @@ export default function PinLayer({
 
   // Memo avoids re-creating derived strings on every re-render for every pin.
   const derivedPins = useMemo(() => {
-    return pins.map((pin) => ({
-      ...pin,
-      displayName: pin.name || FALLBACK_NAME,
-      displayType: pin.type || FALLBACK_TYPE,
-      displayLastWatered: formatLastWatered(pin.lastWatered),
-      displayFrequency: formatFrequency(pin.wateringIntervalDays),
-    }));
+    return pins.map((pin) => {
+      const wateringStatus = getWateringStatus(pin);
+      return {
+        ...pin,
+        displayName: pin.name || FALLBACK_NAME,
+        displayType: pin.type || FALLBACK_TYPE,
+        displayLastWatered: formatLastWatered(pin.lastWatered),
+        displayFrequency: formatFrequency(getEffectiveWateringInterval(pin)),
+        displayLastFertilised: formatLastFertilised(pin.lastFertilised),
+        category: getPinCategory(pin),
+        thumbnailSrc: resolveMediaUrl(pin.latestPhoto?.thumbnailUrl),
+        wateringState: wateringStatus.state,
+        displayWateringStatus: formatDueStatus(wateringStatus),
+      };
+    });
   }, [pins]);
 
   const startDrag = (e, pinId) => {
@@ -94,15 +127,24 @@ export default function PinLayer({
 
     e.currentTarget.setPointerCapture(e.pointerId);
 
+    // Dragging one of the multi-selected pins drags all of them.
+    const isGroupDrag = selectedPinIds?.has(pinId) && selectedPinIds.size > 1;
+    const origins = pins
+      .filter((p) => (isGroupDrag ? selectedPinIds.has(p.id) : p.id === pinId))
+      .map((p) => ({ pinId: p.id, xPercent: p.xPercent, yPercent: p.yPercent }));
+
     dragRef.current.draggingPinId = pinId;
     dragRef.current.pointerId = e.pointerId;
     dragRef.current.startClient = { x: e.clientX, y: e.clientY };
-    dragRef.current.lastPercent = null;
+    dragRef.current.startPercent = toPercent(e.clientX, e.clientY);
+    dragRef.current.origins = origins;
+    dragRef.current.lastPositions = null;
     dragRef.current.hasMoved = false;
   };
 
   const moveDrag = (e) => {
-    const { draggingPinId, pointerId, startClient, hasMoved } = dragRef.current;
+    const { draggingPinId, pointerId, startClient, startPercent, origins, hasMoved } =
+      dragRef.current;
     if (draggingPinId == null) return;
     if (pointerId !== e.pointerId) return;
     if (!hasImageSize) return;
@@ -120,23 +162,30 @@ export default function PinLayer({
     dragRef.current.hasMoved = true;
 
     const next = toPercent(e.clientX, e.clientY);
-    dragRef.current.lastPercent = next;
-    onMovePin?.(draggingPinId, next);
+    const positions = movePinsBy(
+      origins,
+      next.xPercent - startPercent.xPercent,
+      next.yPercent - startPercent.yPercent
+    );
+    dragRef.current.lastPositions = positions;
+    onMovePins?.(positions);
   };
 
   const endDrag = (e) => {
-    const { draggingPinId, pointerId, lastPercent, hasMoved } = dragRef.current;
+    const { draggingPinId, pointerId, origins, lastPositions, hasMoved } = dragRef.current;
     if (draggingPinId == null) return;
     if (pointerId !== e.pointerId) return;
 
     dragRef.current.draggingPinId = null;
     dragRef.current.pointerId = null;
     dragRef.current.startClient = null;
-    dragRef.current.lastPercent = null;
+    dragRef.current.startPercent = null;
+    dragRef.current.origins = null;
+    dragRef.current.lastPositions = null;
     dragRef.current.hasMoved = false;
 
-    if (hasMoved && lastPercent) {
-      onCommitMovePin?.(draggingPinId, lastPercent);
+    if (hasMoved && lastPositions) {
+      onCommitMovePins?.(lastPositions, origins);
     }
   };
 
@@ -147,23 +196,53 @@ export default function PinLayer({
 
         const { left, top } = toScreen(pin.xPercent, pin.yPercent);
         const isActive = pin.id === selectedPinId && !isDetailsOpen;
+        const isDimmed = matchingPinIds != null && !matchingPinIds.has(pin.id);
+        const isMultiSelected = selectedPinIds?.has(pin.id) ?? false;
+
+        // Shared by the default pin image and the category marker.
+        const pinProps = {
+          title: `${pin.displayName} (${pin.displayWateringStatus})`,
+          className: `pin pin-status-${pin.wateringState}${
+            isMultiSelected ? " pin-multi-selected" : ""
+          }`,
+          style: { left, top },
+          onClick: (e) => {
+            e.stopPropagation();
+            if (mode === "edit" && e.shiftKey) {
+              onToggleSelectPin?.(pin.id);
+              return;
+            }
+            onOpenPin?.(pin.id);
+          },
+          onPointerDown: (e) => startDrag(e, pin.id),
+          onPointerMove: moveDrag,
+          onPointerUp: endDrag,
+          onPointerCancel: endDrag,
+        };
 
         return (
-          <div key={pin.id}>
-            <img
-              src={pinImg}
-              alt="Pin"
-              className="pin"
+          <div key={pin.id} className={isDimmed ? "pin-dimmed" : undefined}>
+            {pin.category ? (
+              <div
+                {...pinProps}
+                className={`${pinProps.className} pin-marker`}
+                style={{ ...pinProps.style, "--pin-color": pin.category.color }}
+                role="img"
+                aria-label={pin.category.label}
+              >
+                <span className="pin-marker-icon">{pin.category.icon}</span>
+              </div>
+            ) : (
+              <img {...pinProps} src={pinImg} alt="Pin" />
+            )}
+            <span
+              className={`pin-badge pin-badge-${pin.wateringState}`}
               style={{ left, top }}
-              onClick={(e) => {
-                e.stopPropagation();
-                onOpenPin?.(pin.id);
-              }}
-              onPointerDown={(e) => startDrag(e, pin.id)}
-              onPointerMove={moveDrag}
-              onPointerUp={endDrag}
-              onPointerCancel={endDrag}
+              aria-hidden="true"
             />
+            {highlightedPinIds?.has(pin.id) && (
+              <span className="pin-remote-ring" style={{ left, top }} aria-hidden="true" />
+            )}
 
             {isActive && (
               <div
@@ -189,26 +268,60 @@ export default function PinLayer({
                     </button>
                   </div>
 
+                  {pin.thumbnailSrc && (
+                    <img
+                      className="pin-popup-photo"
+                      src={pin.thumbnailSrc}
+                      alt={`Latest photo of ${pin.displayName}`}
+                    />
+                  )}
+
                   <div className="pin-popup-line">Name: {pin.displayName}</div>
                   <div className="pin-popup-line">Type: {pin.displayType}</div>
+                  {pin.category && (
+                    <div className="pin-popup-line">
+                      Category: {pin.category.icon} {pin.category.label}
+                    </div>
+                  )}
                   <div className="pin-popup-line">
                     Last watered: {pin.displayLastWatered}
                   </div>
                   <div className="pin-popup-line">
                     Frequency: {pin.displayFrequency}
                   </div>
+                  <div className="pin-popup-line">
+                    Status: {pin.displayWateringStatus}
+                  </div>
+                  <div className="pin-popup-line">
+                    Last fertilised: {pin.displayLastFertilised}
+                  </div>
 
                   <div className="pin-popup-actions">
-                    <button
-                      type="button"
-                      className="pin-popup-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        onMarkWatered?.(pin.id);
-                      }}
-                    >
-                      Mark as watered
-                    </button>
+                    {canEdit && (
+                      <>
+                        <button
+                          type="button"
+                          className="pin-popup-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onMarkWatered?.(pin.id);
+                          }}
+                        >
+                          Mark as watered
+                        </button>
+
+                        <button
+                          type="button"
+                          className="pin-popup-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onMarkFertilised?.(pin.id);
+                          }}
+                        >
+                          Mark as fertilised
+                        </button>
+                      </>
+                    )}
 
                     <button
                       type="button"
@@ -0,0 +1,101 @@
+import { useState } from "react";
+import "./PinSearch.css";
+
+/**
+ * PinSearch
+ * Toolbar search box. The parent does the filtering (so PinLayer can dim the rest);
+ * this only shows the box and a result list.
+ *
+ * Keyboard: ↑/↓ to move, Enter to pick, Esc to clear.
+ *
+ * Props:
+ * - query: current search text
+ * - onQueryChange(text)
+ * - results: matching pins, or null when no search is active
+ * - onSelectPin(pinId)
+ */
+
+const FALLBACK_NAME = "New little plant";
+const FALLBACK_TYPE = "Plantus unidentifiedus";
+const MAX_RESULTS = 8;
+
+export default function PinSearch({ query, onQueryChange, results, onSelectPin }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const visible = (results ?? []).slice(0, MAX_RESULTS);
+  const showList = isOpen && results != null;
+
+  const select = (pin) => {
+    onSelectPin?.(pin.id);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      onQueryChange("");
+      setIsOpen(false);
+      return;
+    }
+    if (!visible.length) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % visible.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => (i - 1 + visible.length) % visible.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      select(visible[Math.min(activeIndex, visible.length - 1)]);
+    }
+  };
+
+  return (
+    <div className="pin-search" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="search"
+        className="pin-search-input"
+        placeholder="Search plants…"
+        aria-label="Search plants"
+        value={query}
+        onChange={(e) => {
+          onQueryChange(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+
+      {showList && (
+        <ul className="pin-search-results" role="listbox">
+          {visible.length === 0 && <li className="pin-search-empty">No matching plants</li>}
+
+          {visible.map((pin, i) => (
+            <li
+              key={pin.id}
+              role="option"
+              aria-selected={i === activeIndex}
+              className={`pin-search-result${i === activeIndex ? " is-active" : ""}`}
+              // mousedown (not click) so it fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(pin);
+              }}
+              onMouseEnter={() => setActiveIndex(i)}
+            >
+              <span className="pin-search-result-name">{pin.name || FALLBACK_NAME}</span>
+              <span className="pin-search-result-type">{pin.type || FALLBACK_TYPE}</span>
+            </li>
+          ))}
+
+          {results.length > visible.length && (
+            <li className="pin-search-more">+{results.length - visible.length} more on the map</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
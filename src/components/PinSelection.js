@@ -0,0 +1,69 @@
+/**
+ * PinSelection
+ * Helpers for multi-select (edit mode): rubber-band selection and group moves.
+ */
+
+function clampPercent(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+// Rectangle (left/top/width/height) spanned by two client points, in any drag direction.
+export function rectFromPoints(a, b) {
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+  };
+}
+
+/**
+ * pinIdsInClientRect
+ * Ids of the pins whose position lies inside `rect` (client pixels),
+ * given the current zoom/pan transform and the natural image size.
+ */
+export function pinIdsInClientRect(pins, rect, transform, imageSize) {
+  if (!imageSize?.width || !imageSize?.height) return [];
+
+  const { scale, pos } = transform;
+  const toPercentX = (clientX) => ((clientX - pos.x) / (imageSize.width * scale)) * 100;
+  const toPercentY = (clientY) => ((clientY - pos.y) / (imageSize.height * scale)) * 100;
+
+  const minX = toPercentX(rect.left);
+  const maxX = toPercentX(rect.left + rect.width);
+  const minY = toPercentY(rect.top);
+  const maxY = toPercentY(rect.top + rect.height);
+
+  return pins
+    .filter(
+      (p) => p.xPercent >= minX && p.xPercent <= maxX && p.yPercent >= minY && p.yPercent <= maxY
+    )
+    .map((p) => p.id);
+}
+
+// Limits `delta` so every value in `values` stays within 0-100 after adding it
+// (values already outside that range don't hold the others back).
+function clampDelta(values, delta) {
+  if (values.length === 0) return delta;
+  const lowest = Math.min(0, -Math.min(...values));
+  const highest = Math.max(0, 100 - Math.max(...values));
+  return Math.max(lowest, Math.min(highest, delta));
+}
+
+/**
+ * movePinsBy
+ * New positions after moving every pin in `origins` ([{ pinId, xPercent, yPercent }]) by the
+ * same percent delta. The group stops as a whole once one of its pins reaches an image edge,
+ * so the pins keep their layout.
+ */
+export function movePinsBy(origins, dxPercent, dyPercent) {
+  const dx = clampDelta(origins.map((o) => o.xPercent), dxPercent);
+  const dy = clampDelta(origins.map((o) => o.yPercent), dyPercent);
+
+  return origins.map(({ pinId, xPercent, yPercent }) => ({
+    pinId,
+    // A pin that was already off the image is brought back onto it.
+    xPercent: clampPercent(xPercent + dx),
+    yPercent: clampPercent(yPercent + dy),
+  }));
+}
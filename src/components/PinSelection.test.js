@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { rectFromPoints, pinIdsInClientRect, movePinsBy } from "./PinSelection";
+
+describe("rectFromPoints", () => {
+  it("works in any drag direction", () => {
+    const rect = { left: 10, top: 20, width: 30, height: 40 };
+    expect(rectFromPoints({ x: 10, y: 20 }, { x: 40, y: 60 })).toEqual(rect);
+    expect(rectFromPoints({ x: 40, y: 60 }, { x: 10, y: 20 })).toEqual(rect);
+  });
+});
+
+describe("pinIdsInClientRect", () => {
+  const pins = [
+    { id: 1, xPercent: 10, yPercent: 10 },
+    { id: 2, xPercent: 50, yPercent: 50 },
+    { id: 3, xPercent: 90, yPercent: 90 },
+  ];
+  const imageSize = { width: 1000, height: 500 };
+
+  it("converts the rectangle through the zoom/pan transform", () => {
+    // 2x zoom, image moved 100px left: 50% x = 900px on screen, 50% y = 500px.
+    const transform = { scale: 2, pos: { x: -100, y: 0 } };
+    const rect = { left: 800, top: 400, width: 200, height: 200 };
+    expect(pinIdsInClientRect(pins, rect, transform, imageSize)).toEqual([2]);
+  });
+
+  it("finds nothing before the image size is known", () => {
+    const transform = { scale: 1, pos: { x: 0, y: 0 } };
+    const rect = { left: 0, top: 0, width: 5000, height: 5000 };
+    expect(pinIdsInClientRect(pins, rect, transform, null)).toEqual([]);
+  });
+});
+
+describe("movePinsBy", () => {
+  const origins = [
+    { pinId: 1, xPercent: 10, yPercent: 50 },
+    { pinId: 2, xPercent: 30, yPercent: 90 },
+  ];
+
+  it("moves every pin by the same delta", () => {
+    expect(movePinsBy(origins, 5, -10)).toEqual([
+      { pinId: 1, xPercent: 15, yPercent: 40 },
+      { pinId: 2, xPercent: 35, yPercent: 80 },
+    ]);
+  });
+
+  it("stops the whole group at the edge, keeping the pins' layout", () => {
+    expect(movePinsBy(origins, -20, 20)).toEqual([
+      { pinId: 1, xPercent: 0, yPercent: 60 },
+      { pinId: 2, xPercent: 20, yPercent: 100 },
+    ]);
+  });
+});
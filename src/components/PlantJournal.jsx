@@ -0,0 +1,208 @@
+import { useEffect, useMemo, useState } from "react";
+import "./PlantJournal.css";
+import { listPinNotes } from "../api/gardenApi";
+import { isTempPinId } from "../api/outbox";
+import { formatDateTime } from "./DateFormatter";
+import MarkdownText from "./MarkdownText";
+
+/**
+ * PlantJournal
+ * Free-form journal for a single pin (lives inside DetailsPanel's Journal section).
+ *
+ * - Timestamped notes ("aphids spotted", "moved to a sunnier spot"), newest first.
+ * - Notes are written in a small markdown subset (see Markdown.js).
+ * - Entries can be edited and deleted.
+ *
+ * Props:
+ * - pin: selected pin object
+ * - revision: bumps whenever a note changes anywhere, to reload
+ * - onAddNote(pinId, text): async
+ * - onUpdateNote(noteId, text): async
+ * - onDeleteNote(noteId): async
+ * - canEdit: false for viewers of a shared map (notes only, no writing; default true)
+ */
+
+const MARKDOWN_HINT = "**bold**, *italic*, `code`, - lists, # headings, [links](https://...)";
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+function parseNoteText(input) {
+  const text = normalizeText(input);
+  if (!text) return { value: null, error: "Write something first." };
+  return { value: text, error: "" };
+}
+
+function wasEdited(note) {
+  return note.updatedAt && note.updatedAt !== note.createdAt;
+}
+
+export default function PlantJournal({
+  pin,
+  revision,
+  onAddNote,
+  onUpdateNote,
+  onDeleteNote,
+  canEdit = true,
+}) {
+  const [notes, setNotes] = useState([]);
+  const [loadError, setLoadError] = useState("");
+
+  const [newText, setNewText] = useState("");
+  // { id, text } while an existing entry is being edited.
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    if (isTempPinId(pin.id)) return; // not on the server yet
+
+    (async () => {
+      try {
+        const data = await listPinNotes(pin.id);
+        if (!cancelled) {
+          setNotes(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load journal:", e);
+        if (!cancelled) setLoadError("Couldn't load the journal.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin.id, revision]);
+
+  const sortedNotes = useMemo(
+    () => [...notes].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    [notes]
+  );
+
+  const handleAdd = async () => {
+    const text = parseNoteText(newText);
+    if (text.error) {
+      setErrors({ newText: text.error });
+      return;
+    }
+
+    setErrors({});
+    try {
+      await onAddNote(pin.id, text.value);
+      setNewText("");
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Save failed" });
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const text = parseNoteText(editing.text);
+    if (text.error) {
+      setErrors({ editText: text.error });
+      return;
+    }
+
+    setErrors({});
+    try {
+      await onUpdateNote(editing.id, text.value);
+      setEditing(null);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Save failed" });
+    }
+  };
+
+  const handleDelete = async (note) => {
+    const ok = window.confirm(`Delete the note from ${formatDateTime(note.createdAt)}?`);
+    if (!ok) return;
+
+    try {
+      await onDeleteNote(note.id);
+      if (editing?.id === note.id) setEditing(null);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Delete failed" });
+    }
+  };
+
+  if (isTempPinId(pin.id)) {
+    return (
+      <div className="plant-journal-empty">The journal is available once this plant is synced.</div>
+    );
+  }
+
+  return (
+    <div className="plant-journal">
+      {canEdit && (
+        <div className="plant-journal-form">
+          <textarea
+            rows={3}
+            placeholder="Aphids spotted, moved to a sunnier spot..."
+            value={newText}
+            onChange={(e) => setNewText(e.target.value)}
+            className={errors.newText ? "inputError" : ""}
+          />
+          {errors.newText && <div className="errorText">{errors.newText}</div>}
+          <div className="plant-journal-form-footer">
+            <span className="plant-journal-hint">{MARKDOWN_HINT}</span>
+            <button type="button" onClick={handleAdd}>
+              Add note
+            </button>
+          </div>
+        </div>
+      )}
+
+      {errors.server && <div className="errorText">{errors.server}</div>}
+      {loadError && <div className="errorText">{loadError}</div>}
+
+      {sortedNotes.length === 0 && !loadError && (
+        <div className="plant-journal-empty">No notes yet.</div>
+      )}
+
+      <ul className="plant-journal-list">
+        {sortedNotes.map((note) => (
+          <li key={note.id} className="plant-journal-entry">
+            <div className="plant-journal-entry-header">
+              <span className="plant-journal-date">
+                {formatDateTime(note.createdAt)}
+                {wasEdited(note) && " (edited)"}
+              </span>
+              {editing?.id !== note.id && canEdit && (
+                <span className="plant-journal-entry-actions">
+                  <button type="button" onClick={() => setEditing({ id: note.id, text: note.text })}>
+                    Edit
+                  </button>
+                  <button type="button" onClick={() => handleDelete(note)}>
+                    Delete
+                  </button>
+                </span>
+              )}
+            </div>
+
+            {editing?.id === note.id ? (
+              <div className="plant-journal-form">
+                <textarea
+                  rows={3}
+                  value={editing.text}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, text: e.target.value }))}
+                  className={errors.editText ? "inputError" : ""}
+                />
+                {errors.editText && <div className="errorText">{errors.editText}</div>}
+                <div className="plant-journal-form-actions">
+                  <button type="button" onClick={handleSaveEdit}>
+                    Save
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <MarkdownText text={note.text} />
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
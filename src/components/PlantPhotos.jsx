@@ -0,0 +1,263 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import "./PlantPhotos.css";
+import { listPhotos, resolveMediaUrl } from "../api/gardenApi";
+import { isTempPinId } from "../api/outbox";
+import { toDateInputValue } from "./DateFormatter";
+import PhotoLightbox from "./PhotoLightbox";
+
+/**
+ * PlantPhotos
+ * Growth timeline for a single pin (lives inside DetailsPanel's Photos section).
+ *
+ * - Attach a photo from the file picker or straight from the phone camera.
+ * - Photos are grouped by the day they were taken, newest first.
+ * - Clicking a thumbnail opens the lightbox (browse, delete).
+ *
+ * Props:
+ * - pin: selected pin object
+ * - onUploadPhoto(pinId, file, { takenAt, caption }): async, resizes + uploads
+ * - onDeletePhoto(pinId, photoId): async
+ * - canEdit: false for viewers of a shared map (browse only; default true)
+ */
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+function parseTakenAt(input) {
+  // Noon local time, so the day doesn't shift when converted to UTC.
+  const date = new Date(`${input}T12:00`);
+
+  if (!input || Number.isNaN(date.getTime())) return { value: null, error: "When was it taken?" };
+  if (date.getTime() > Date.now() + 1000 * 60 * 60 * 12) {
+    return { value: null, error: "That's in the future." };
+  }
+
+  return { value: date.toISOString(), error: "" };
+}
+
+function formatDay(dayKey) {
+  const date = new Date(`${dayKey}T12:00`);
+  if (Number.isNaN(date.getTime())) return "Unknown date";
+  return date.toLocaleDateString(undefined, { day: "numeric", month: "long", year: "numeric" });
+}
+
+/**
+ * Newest-first photos grouped per local day: [{ day, photos }].
+ */
+function groupByDay(photos) {
+  const groups = [];
+  for (const photo of photos) {
+    const day = toDateInputValue(photo.takenAt);
+    const last = groups[groups.length - 1];
+    if (last && last.day === day) last.photos.push(photo);
+    else groups.push({ day, photos: [photo] });
+  }
+  return groups;
+}
+
+export default function PlantPhotos({ pin, onUploadPhoto, onDeletePhoto, canEdit = true }) {
+  const [photos, setPhotos] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // { file, takenAt, caption } while a picked photo waits for confirmation.
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isUploading, setIsUploading] = useState(false);
+
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const cameraInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (isTempPinId(pin.id)) return; // not on the server yet
+
+    (async () => {
+      try {
+        const data = await listPhotos(pin.id);
+        if (!cancelled) {
+          setPhotos(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load photos:", e);
+        if (!cancelled) setLoadError("Couldn't load the photos.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin.id, reloadKey]);
+
+  const sortedPhotos = useMemo(
+    () => [...photos].sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt)),
+    [photos]
+  );
+
+  const groups = useMemo(() => groupByDay(sortedPhotos), [sortedPhotos]);
+
+  const handlePickFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // picking the same file again should still fire onChange
+    if (!file) return;
+
+    // Camera captures and most gallery files carry the capture time as lastModified.
+    const takenAt = toDateInputValue(new Date(file.lastModified || Date.now()).toISOString());
+    setDraft({ file, takenAt, caption: "" });
+    setErrors({});
+  };
+
+  const handleUpload = async () => {
+    const takenAt = parseTakenAt(draft.takenAt);
+    if (takenAt.error) {
+      setErrors({ takenAt: takenAt.error });
+      return;
+    }
+
+    setErrors({});
+    setIsUploading(true);
+    try {
+      await onUploadPhoto(pin.id, draft.file, {
+        takenAt: takenAt.value,
+        caption: normalizeText(draft.caption) || null,
+      });
+      setDraft(null);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Upload failed" });
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDelete = async (photo) => {
+    const ok = window.confirm("Delete this photo?");
+    if (!ok) return;
+
+    try {
+      await onDeletePhoto(pin.id, photo.id);
+      setLightboxIndex(null);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Delete failed" });
+    }
+  };
+
+  if (isTempPinId(pin.id)) {
+    return <div className="plant-photos-empty">Photos can be added once this plant is synced.</div>;
+  }
+
+  return (
+    <div className="plant-photos">
+      {canEdit && (
+        <div className="plant-photos-actions">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+          >
+            Choose photo
+          </button>
+          <button
+            type="button"
+            onClick={() => cameraInputRef.current?.click()}
+            disabled={isUploading}
+          >
+            Take photo
+          </button>
+          <input ref={fileInputRef} type="file" accept="image/*" hidden onChange={handlePickFile} />
+          <input
+            ref={cameraInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            hidden
+            onChange={handlePickFile}
+          />
+        </div>
+      )}
+
+      {errors.server && <div className="errorText">{errors.server}</div>}
+      {loadError && <div className="errorText">{loadError}</div>}
+
+      {draft && (
+        <div className="plant-photos-form">
+          <div className="plant-photos-file">{draft.file.name}</div>
+
+          <label>
+            Taken on
+            <input
+              type="date"
+              value={draft.takenAt}
+              max={toDateInputValue(new Date().toISOString())}
+              onChange={(e) => setDraft((prev) => ({ ...prev, takenAt: e.target.value }))}
+              className={errors.takenAt ? "inputError" : ""}
+            />
+          </label>
+          {errors.takenAt && <div className="errorText">{errors.takenAt}</div>}
+
+          <label>
+            Caption
+            <input
+              placeholder="Optional"
+              value={draft.caption}
+              onChange={(e) => setDraft((prev) => ({ ...prev, caption: e.target.value }))}
+            />
+          </label>
+
+          <div className="plant-photos-form-actions">
+            <button type="button" onClick={handleUpload} disabled={isUploading}>
+              {isUploading ? "Uploading..." : "Upload"}
+            </button>
+            <button type="button" onClick={() => setDraft(null)} disabled={isUploading}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sortedPhotos.length === 0 && !loadError && (
+        <div className="plant-photos-empty">No photos yet.</div>
+      )}
+
+      <ol className="plant-photos-timeline">
+        {groups.map((group) => (
+          <li key={group.day} className="plant-photos-day">
+            <div className="plant-photos-day-label">{formatDay(group.day)}</div>
+            <div className="plant-photos-grid">
+              {group.photos.map((photo) => (
+                <button
+                  key={photo.id}
+                  type="button"
+                  className="plant-photos-thumb"
+                  onClick={() => setLightboxIndex(sortedPhotos.indexOf(photo))}
+                  title={photo.caption ?? ""}
+                >
+                  <img
+                    src={resolveMediaUrl(photo.thumbnailUrl ?? photo.url)}
+                    alt={photo.caption || `Photo of ${pin.name || "plant"}`}
+                    loading="lazy"
+                  />
+                </button>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {lightboxIndex != null && sortedPhotos[lightboxIndex] && (
+        <PhotoLightbox
+          photos={sortedPhotos}
+          index={lightboxIndex}
+          onChangeIndex={setLightboxIndex}
+          onClose={() => setLightboxIndex(null)}
+          onDelete={canEdit ? handleDelete : undefined}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useState } from "react";
+import "./FieldManager.css";
+import "./ReminderSettings.css";
+
+/**
+ * ReminderSettings
+ * Dialog for the daily "N plants need water" browser notification.
+ * - Digest time, quiet hours (nothing is sent in between; a digest time inside them is moved
+ *   to their end by the service worker), and muted plants of this map.
+ * - Turning reminders on asks for notification permission first.
+ *
+ * Props:
+ * - settings: { enabled, digestTime, quietHoursEnabled, quietStart, quietEnd, mutedPinIds }
+ * - permission: "default" | "granted" | "denied" | "unsupported"
+ * - pins: pins of the current map (to list muted ones by name)
+ * - onRequestPermission(): async, resolves with the new permission
+ * - onSave(settings): async
+ * - onClose()
+ */
+
+const FALLBACK_NAME = "New little plant";
+
+const PERMISSION_TEXT = {
+  granted: "Notifications are allowed.",
+  default: "The browser will ask to allow notifications when you turn reminders on.",
+  denied: "Notifications are blocked for this site. Allow them in the browser settings first.",
+  unsupported: "This browser can't show reminders.",
+};
+
+function parseTime(input, label) {
+  if (!/^\d{2}:\d{2}$/.test(input ?? "")) return { value: null, error: `${label}: pick a time.` };
+  return { value: input, error: "" };
+}
+
+export default function ReminderSettings({
+  settings,
+  permission,
+  pins,
+  onRequestPermission,
+  onSave,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(settings);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const setField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const mutedPins = pins.filter((p) => draft.mutedPinIds.includes(String(p.id)));
+  const canEnable = permission !== "denied" && permission !== "unsupported";
+
+  const handleSave = async () => {
+    const times = [
+      parseTime(draft.digestTime, "Digest"),
+      ...(draft.quietHoursEnabled
+        ? [parseTime(draft.quietStart, "Quiet from"), parseTime(draft.quietEnd, "Quiet until")]
+        : []),
+    ];
+    const timeError = times.find((t) => t.error)?.error;
+    if (timeError) {
+      setError(timeError);
+      return;
+    }
+
+    setError("");
+    setIsSaving(true);
+    try {
+      if (draft.enabled && permission !== "granted") {
+        const result = await onRequestPermission();
+        if (result !== "granted") {
+          setError("Reminders need notification permission.");
+          return;
+        }
+      }
+      await onSave(draft);
+      onClose();
+    } catch (e) {
+      setError(e?.message ?? "Save failed");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="field-manager-backdrop" onClick={(e) => e.stopPropagation()}>
+      <div className="field-manager reminder-settings" role="dialog" aria-label="Reminders">
+        <div className="field-manager-header">
+          <div className="field-manager-title">Reminders</div>
+          <button className="field-manager-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="reminder-settings-section">
+          <div className="reminder-settings-permission">{PERMISSION_TEXT[permission]}</div>
+
+          <label className="reminder-settings-check">
+            <input
+              type="checkbox"
+              checked={draft.enabled}
+              disabled={!canEnable}
+              onChange={(e) => setField("enabled", e.target.checked)}
+            />
+            Daily digest of plants that need water
+          </label>
+
+          <label>
+            Send at
+            <input
+              type="time"
+              value={draft.digestTime}
+              disabled={!draft.enabled}
+              onChange={(e) => setField("digestTime", e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="reminder-settings-section">
+          <div className="field-manager-form-title">Quiet hours</div>
+
+          <label className="reminder-settings-check">
+            <input
+              type="checkbox"
+              checked={draft.quietHoursEnabled}
+              disabled={!draft.enabled}
+              onChange={(e) => setField("quietHoursEnabled", e.target.checked)}
+            />
+            Don't notify between
+          </label>
+
+          <div className="reminder-settings-times">
+            <input
+              type="time"
+              aria-label="Quiet from"
+              value={draft.quietStart}
+              disabled={!draft.enabled || !draft.quietHoursEnabled}
+              onChange={(e) => setField("quietStart", e.target.value)}
+            />
+            <span>and</span>
+            <input
+              type="time"
+              aria-label="Quiet until"
+              value={draft.quietEnd}
+              disabled={!draft.enabled || !draft.quietHoursEnabled}
+              onChange={(e) => setField("quietEnd", e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="reminder-settings-section">
+          <div className="field-manager-form-title">Muted plants on this map</div>
+
+          {mutedPins.length === 0 ? (
+            <div className="field-manager-empty">
+              None. Mute a plant from its details panel.
+            </div>
+          ) : (
+            <ul className="reminder-settings-muted">
+              {mutedPins.map((pin) => (
+                <li key={pin.id}>
+                  <span>{pin.name || FALLBACK_NAME}</span>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setField(
+                        "mutedPinIds",
+                        draft.mutedPinIds.filter((id) => id !== String(pin.id))
+                      )
+                    }
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="reminder-settings-section">
+          {error && <div className="errorText">{error}</div>}
+          <div className="reminder-settings-actions">
+            <button type="button" onClick={handleSave} disabled={isSaving}>
+              Save
+            </button>
+            <button type="button" onClick={onClose} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
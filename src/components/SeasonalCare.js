@@ -0,0 +1,103 @@
+/**
+ * SeasonalCare
+ * Month/season based care rules for a plant.
+ *
+ * Data on the pin:
+ * - seasonalTasks: [{ title, fromMonth, toMonth }] (months 1..12, inclusive; ranges may wrap
+ *   over New Year, e.g. November..February)
+ * - seasonalWateringIntervals: { spring, summer, autumn, winter } (days or null). A missing
+ *   season falls back to `wateringIntervalDays`.
+ *
+ * Notes:
+ * - Seasons are meteorological and northern-hemisphere (spring = March..May).
+ */
+
+export const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+export const SEASON_LABELS = {
+  spring: "Spring",
+  summer: "Summer",
+  autumn: "Autumn",
+  winter: "Winter",
+};
+
+export const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * getSeason
+ * @param {Date} [date]
+ * @returns {"spring"|"summer"|"autumn"|"winter"}
+ */
+export function getSeason(date = new Date()) {
+  const month = date.getMonth() + 1;
+  if (month >= 3 && month <= 5) return "spring";
+  if (month >= 6 && month <= 8) return "summer";
+  if (month >= 9 && month <= 11) return "autumn";
+  return "winter";
+}
+
+/**
+ * getEffectiveWateringInterval
+ * The watering interval (days) that applies on `date`: the seasonal one if set,
+ * otherwise the plain `wateringIntervalDays`. Null when unknown.
+ */
+export function getEffectiveWateringInterval(pin, date = new Date()) {
+  const seasonal = pin?.seasonalWateringIntervals?.[getSeason(date)];
+  if (seasonal != null) return seasonal;
+  return pin?.wateringIntervalDays ?? null;
+}
+
+export function hasSeasonalWatering(pin) {
+  return SEASONS.some((s) => pin?.seasonalWateringIntervals?.[s] != null);
+}
+
+export function isTaskActive(task, date = new Date()) {
+  const month = date.getMonth() + 1;
+  const { fromMonth, toMonth } = task;
+  if (fromMonth <= toMonth) return month >= fromMonth && month <= toMonth;
+  return month >= fromMonth || month <= toMonth; // wraps over New Year
+}
+
+export function getActiveSeasonalTasks(pin, date = new Date()) {
+  return (pin?.seasonalTasks ?? []).filter((task) => isTaskActive(task, date));
+}
+
+/**
+ * formatMonthRange
+ * @returns {string} e.g. "March" or "November – February"
+ */
+export function formatMonthRange({ fromMonth, toMonth }) {
+  const from = MONTH_NAMES[fromMonth - 1] ?? "?";
+  const to = MONTH_NAMES[toMonth - 1] ?? "?";
+  return fromMonth === toMonth ? from : `${from} – ${to}`;
+}
+
+let nextDraftKey = 1;
+
+/**
+ * createDraftTask
+ * Editable copy of a task with a stable `key` for React lists (dropped again on save).
+ * Defaults to the current month.
+ */
+export function createDraftTask(task = {}) {
+  const month = new Date().getMonth() + 1;
+  return {
+    key: nextDraftKey++,
+    title: task.title ?? "",
+    fromMonth: task.fromMonth ?? month,
+    toMonth: task.toMonth ?? task.fromMonth ?? month,
+  };
+}
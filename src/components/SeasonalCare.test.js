@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import {
+  getSeason,
+  getEffectiveWateringInterval,
+  hasSeasonalWatering,
+  isTaskActive,
+  getActiveSeasonalTasks,
+  formatMonthRange,
+} from "./SeasonalCare";
+
+const inMonth = (month) => new Date(2024, month - 1, 15);
+
+describe("getSeason", () => {
+  it("uses meteorological seasons", () => {
+    expect([2, 3, 5, 6, 8, 9, 11, 12].map((m) => getSeason(inMonth(m)))).toEqual([
+      "winter",
+      "spring",
+      "spring",
+      "summer",
+      "summer",
+      "autumn",
+      "autumn",
+      "winter",
+    ]);
+  });
+});
+
+describe("getEffectiveWateringInterval", () => {
+  const pin = { wateringIntervalDays: 5, seasonalWateringIntervals: { summer: 2, winter: null } };
+
+  it("prefers the current season's interval, else the plain one", () => {
+    expect(getEffectiveWateringInterval(pin, inMonth(7))).toBe(2);
+    expect(getEffectiveWateringInterval(pin, inMonth(1))).toBe(5);
+    expect(getEffectiveWateringInterval({}, inMonth(7))).toBe(null);
+  });
+
+  it("knows whether any seasonal interval is set", () => {
+    expect(hasSeasonalWatering(pin)).toBe(true);
+    expect(hasSeasonalWatering({ seasonalWateringIntervals: { winter: null } })).toBe(false);
+  });
+});
+
+describe("seasonal tasks", () => {
+  const prune = { title: "Prune", fromMonth: 3, toMonth: 3 };
+  const protect = { title: "Fleece", fromMonth: 11, toMonth: 2 };
+
+  it("matches month ranges, including ones over New Year", () => {
+    expect(isTaskActive(prune, inMonth(3))).toBe(true);
+    expect(isTaskActive(prune, inMonth(4))).toBe(false);
+    expect([10, 11, 1, 2, 3].map((m) => isTaskActive(protect, inMonth(m)))).toEqual([
+      false,
+      true,
+      true,
+      true,
+      false,
+    ]);
+  });
+
+  it("lists the active tasks of a pin", () => {
+    const pin = { seasonalTasks: [prune, protect] };
+    expect(getActiveSeasonalTasks(pin, inMonth(12))).toEqual([protect]);
+    expect(getActiveSeasonalTasks({}, inMonth(12))).toEqual([]);
+  });
+
+  it("formats month ranges", () => {
+    expect(formatMonthRange(prune)).toBe("March");
+    expect(formatMonthRange(protect)).toBe("November – February");
+  });
+});
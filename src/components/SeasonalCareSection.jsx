@@ -0,0 +1,116 @@
+import "./SeasonalCareSection.css";
+import { MONTH_NAMES, createDraftTask, formatMonthRange, isTaskActive } from "./SeasonalCare";
+
+/**
+ * SeasonalCareSection
+ * "Seasonal care" block of DetailsPanel: recurring month-based tasks for a plant
+ * (prune in March, bring indoors in October, mulch in November...).
+ *
+ * - View mode: lists the tasks, currently active ones first and highlighted.
+ * - Edit mode: edits the draft list owned by DetailsPanel (it builds the PATCH).
+ *
+ * Props:
+ * - pin: selected pin object
+ * - isEditing: boolean
+ * - draftTasks: [{ key, title, fromMonth, toMonth }] (edit mode)
+ * - onChangeDraftTasks(nextTasks)
+ * - errors: { [index]: message } for task rows
+ */
+
+function MonthSelect({ value, onChange, label }) {
+  return (
+    <select aria-label={label} value={value} onChange={(e) => onChange(Number(e.target.value))}>
+      {MONTH_NAMES.map((name, i) => (
+        <option key={name} value={i + 1}>
+          {name.slice(0, 3)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function SeasonalCareSection({
+  pin,
+  isEditing,
+  draftTasks,
+  onChangeDraftTasks,
+  errors = {},
+}) {
+  const now = new Date();
+
+  if (!isEditing) {
+    const tasks = [...(pin.seasonalTasks ?? [])]
+      .map((task) => ({ ...task, isActive: isTaskActive(task, now) }))
+      .sort((a, b) => Number(b.isActive) - Number(a.isActive));
+
+    if (tasks.length === 0) {
+      return <div className="seasonal-empty">No seasonal tasks yet.</div>;
+    }
+
+    return (
+      <ul className="seasonal-list">
+        {tasks.map((task, i) => (
+          <li key={i} className={`seasonal-task${task.isActive ? " is-active" : ""}`}>
+            <span className="seasonal-task-title">{task.title}</span>
+            <span className="seasonal-task-months">
+              {task.isActive ? "Now" : formatMonthRange(task)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  const updateTask = (key, patch) => {
+    onChangeDraftTasks(draftTasks.map((t) => (t.key === key ? { ...t, ...patch } : t)));
+  };
+
+  const removeTask = (key) => {
+    onChangeDraftTasks(draftTasks.filter((t) => t.key !== key));
+  };
+
+  return (
+    <div className="seasonal-editor">
+      {draftTasks.map((task, i) => (
+        <div key={task.key} className="seasonal-editor-row">
+          <div className="seasonal-editor-fields">
+            <input
+              placeholder="e.g. Prune"
+              value={task.title}
+              onChange={(e) => updateTask(task.key, { title: e.target.value })}
+              className={errors[i] ? "inputError" : ""}
+            />
+            <MonthSelect
+              label="From month"
+              value={task.fromMonth}
+              onChange={(fromMonth) => updateTask(task.key, { fromMonth })}
+            />
+            <span className="seasonal-editor-dash">–</span>
+            <MonthSelect
+              label="To month"
+              value={task.toMonth}
+              onChange={(toMonth) => updateTask(task.key, { toMonth })}
+            />
+            <button
+              type="button"
+              className="seasonal-editor-remove"
+              onClick={() => removeTask(task.key)}
+              aria-label="Remove task"
+            >
+              ×
+            </button>
+          </div>
+          {errors[i] && <div className="errorText">{errors[i]}</div>}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="seasonal-editor-add"
+        onClick={() => onChangeDraftTasks([...draftTasks, createDraftTask()])}
+      >
+        Add task
+      </button>
+    </div>
+  );
+}
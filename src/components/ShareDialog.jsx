@@ -0,0 +1,169 @@
+import { useEffect, useState } from "react";
+import "./FieldManager.css";
+import "./ShareDialog.css";
+import { listMapMembers } from "../api/gardenApi";
+
+/**
+ * ShareDialog
+ * Who can see / change a map (owner only).
+ * - Viewers can look at the map and its plants; editors can also change them.
+ * - Invite by email, change someone's role, or remove them.
+ *
+ * Props:
+ * - map: current map ({ id, name })
+ * - onShare(mapId, { email, role }): async
+ * - onChangeRole(mapId, userId, role): async
+ * - onRemove(mapId, userId): async
+ * - onClose()
+ */
+
+const ROLES = [
+  { key: "viewer", label: "Viewer (look only)" },
+  { key: "editor", label: "Editor (can change plants)" },
+];
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+function parseEmail(input) {
+  const email = normalizeText(input);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { value: null, error: "That doesn't look like an email." };
+  }
+  return { value: email, error: "" };
+}
+
+export default function ShareDialog({ map, onShare, onChangeRole, onRemove, onClose }) {
+  const [members, setMembers] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const data = await listMapMembers(map.id);
+        if (!cancelled) {
+          setMembers(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load map members:", e);
+        if (!cancelled) setLoadError("Couldn't load who this map is shared with.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [map.id, reloadKey]);
+
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      setReloadKey((k) => k + 1);
+      return true;
+    } catch (e) {
+      setError(e?.message ?? "That didn't work");
+      return false;
+    }
+  };
+
+  const handleShare = async () => {
+    const parsed = parseEmail(email);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    const ok = await run(() => onShare(map.id, { email: parsed.value, role }));
+    if (ok) setEmail("");
+  };
+
+  const handleRemove = (member) => {
+    const ok = window.confirm(`Stop sharing "${map.name}" with ${member.name || member.email}?`);
+    if (ok) run(() => onRemove(map.id, member.userId));
+  };
+
+  return (
+    <div className="field-manager-backdrop" onClick={(e) => e.stopPropagation()}>
+      <div className="field-manager share-dialog" role="dialog" aria-label="Share map">
+        <div className="field-manager-header">
+          <div className="field-manager-title">Share "{map.name}"</div>
+          <button className="field-manager-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {loadError && <div className="errorText share-dialog-message">{loadError}</div>}
+
+        <ul className="field-manager-list">
+          {members.map((member) => (
+            <li key={member.userId} className="field-manager-item">
+              <div className="field-manager-item-main">
+                <span className="field-manager-item-label">{member.name || member.email}</span>
+                {member.name && <span className="field-manager-item-type">{member.email}</span>}
+              </div>
+
+              {member.role === "owner" ? (
+                <span className="share-dialog-owner">Owner</span>
+              ) : (
+                <div className="field-manager-item-actions">
+                  <select
+                    value={member.role}
+                    onChange={(e) => run(() => onChangeRole(map.id, member.userId, e.target.value))}
+                    aria-label={`Role of ${member.email}`}
+                  >
+                    {ROLES.map((r) => (
+                      <option key={r.key} value={r.key}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={() => handleRemove(member)}>
+                    Remove
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="field-manager-form">
+          <div className="field-manager-form-title">Invite someone</div>
+          <label>
+            Email
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="name@example.com"
+            />
+          </label>
+          <label>
+            Role
+            <select value={role} onChange={(e) => setRole(e.target.value)}>
+              {ROLES.map((r) => (
+                <option key={r.key} value={r.key}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {error && <div className="errorText">{error}</div>}
+
+          <button type="button" className="field-manager-add" onClick={handleShare}>
+            Share
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
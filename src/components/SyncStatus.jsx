@@ -0,0 +1,81 @@
+import { useState, useSyncExternalStore } from "react";
+import "./SyncStatus.css";
+import { getSyncStatus, subscribeSyncStatus, resolveConflict } from "../api/outbox";
+
+/**
+ * SyncStatus
+ * Toolbar pill showing whether local changes reached the server:
+ * "Synced", "Syncing…", "Offline · N pending", or "N conflicts" (click to resolve).
+ *
+ * Conflicts happen when a pin was edited offline and changed on the server meanwhile.
+ * - Keep mine: send our version anyway.
+ * - Use server: drop our pending changes for that pin.
+ *
+ * Props:
+ * - liveStatus: "connecting" | "live" | "reconnecting" (live updates from other devices),
+ *   shown as the pill's tooltip
+ */
+
+const FALLBACK_NAME = "New little plant";
+
+const LIVE_STATUS_TEXT = {
+  connecting: "Connecting to live updates…",
+  live: "Live: changes from other devices show up right away",
+  reconnecting: "Live updates lost, reconnecting…",
+};
+
+function describe({ online, syncing, pending, conflicts }) {
+  if (conflicts.length === 1) return { tone: "conflict", text: "1 conflict" };
+  if (conflicts.length > 1) return { tone: "conflict", text: `${conflicts.length} conflicts` };
+  if (!online) return { tone: "offline", text: pending ? `Offline · ${pending} pending` : "Offline" };
+  if (syncing || pending) return { tone: "syncing", text: pending ? `Syncing ${pending}…` : "Syncing…" };
+  return { tone: "ok", text: "Synced" };
+}
+
+export default function SyncStatus({ liveStatus }) {
+  const status = useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const { tone, text } = describe(status);
+  const hasConflicts = status.conflicts.length > 0;
+
+  return (
+    <div
+      className="sync-status"
+      onClick={(e) => e.stopPropagation()}
+      title={LIVE_STATUS_TEXT[liveStatus]}
+    >
+      <button
+        type="button"
+        className={`sync-status-pill sync-status-${tone}`}
+        onClick={() => setIsExpanded((v) => !v)}
+        disabled={!hasConflicts}
+        aria-expanded={hasConflicts ? isExpanded : undefined}
+      >
+        <span className="sync-status-dot" aria-hidden="true" />
+        {text}
+      </button>
+
+      {hasConflicts && isExpanded && (
+        <div className="sync-status-conflicts" role="dialog" aria-label="Sync conflicts">
+          {status.conflicts.map((entry) => (
+            <div key={entry.id} className="sync-status-conflict">
+              <div>
+                <b>{entry.pinName || FALLBACK_NAME}</b> was changed on another device while
+                you were offline.
+              </div>
+              <div className="sync-status-conflict-actions">
+                <button type="button" onClick={() => resolveConflict(entry.id, "mine")}>
+                  Keep mine
+                </button>
+                <button type="button" onClick={() => resolveConflict(entry.id, "server")}>
+                  Use server
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { useSyncExternalStore } from "react";
+import "./ToastStack.css";
+import { getToasts, subscribeToasts, dismissToast } from "./Toasts";
+
+/**
+ * ToastStack
+ * Renders the toasts from Toasts.js (bottom centre, newest last).
+ * - An action button (e.g. "Retry") runs the action and closes the toast.
+ */
+
+export default function ToastStack() {
+  const toasts = useSyncExternalStore(subscribeToasts, getToasts);
+
+  return (
+    <div className="toast-stack" aria-live="polite" onClick={(e) => e.stopPropagation()}>
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast toast-${toast.tone}`}
+          role={toast.tone === "error" ? "alert" : "status"}
+        >
+          <span className="toast-message">{toast.message}</span>
+
+          {toast.action && (
+            <button
+              type="button"
+              className="toast-action"
+              onClick={() => {
+                dismissToast(toast.id);
+                toast.action.onClick();
+              }}
+            >
+              {toast.action.label}
+            </button>
+          )}
+
+          <button
+            type="button"
+            className="toast-close"
+            onClick={() => dismissToast(toast.id)}
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
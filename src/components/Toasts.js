@@ -0,0 +1,57 @@
+/**
+ * Toasts
+ * Small notifications at the bottom of the screen ("Watered Tomato", "Couldn't move Rose").
+ * Module-level store so anything can show one; ToastStack renders them.
+ *
+ * Toast: { id, tone: "success" | "error" | "info", message, action?: { label, onClick }, key? }
+ * - Showing a toast with the same `key` as an open one replaces it (e.g. a burst of moves).
+ * - Success toasts go away quickly, errors stay longer; both can be closed.
+ */
+
+const DURATION_MS = {
+  success: 3000,
+  info: 5000,
+  error: 10_000,
+};
+
+let toasts = [];
+let nextId = 1;
+const timers = new Map();
+const listeners = new Set();
+
+function setToasts(next) {
+  toasts = next;
+  listeners.forEach((listener) => listener());
+}
+
+export function getToasts() {
+  return toasts;
+}
+
+export function subscribeToasts(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  setToasts(toasts.filter((t) => t.id !== id));
+}
+
+/**
+ * showToast
+ * @returns {number} id (for dismissToast)
+ */
+export function showToast({ tone = "info", message, action, key }) {
+  const replaced = key != null ? toasts.find((t) => t.key === key) : null;
+  if (replaced) dismissToast(replaced.id);
+
+  const toast = { id: nextId++, tone, message, action, key };
+  setToasts([...toasts, toast]);
+  timers.set(
+    toast.id,
+    setTimeout(() => dismissToast(toast.id), DURATION_MS[tone] ?? DURATION_MS.info)
+  );
+  return toast.id;
+}
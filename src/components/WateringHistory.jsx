@@ -0,0 +1,269 @@
+import { useEffect, useMemo, useState } from "react";
+import "./WateringHistory.css";
+import { listWaterings } from "../api/gardenApi";
+import { isTempPinId } from "../api/outbox";
+import { formatDateTime, toDateTimeLocalValue } from "./DateFormatter";
+
+/**
+ * WateringHistory
+ * Watering log for a single pin (lives inside DetailsPanel's Watering section).
+ *
+ * - Lists every recorded watering (time, optional amount + note), newest first.
+ * - Lets you add a (back-dated) entry and delete mistaken ones.
+ * - Shows the average interval you actually water at, next to the configured one.
+ *
+ * Props:
+ * - pin: selected pin object
+ * - onAddWatering(pinId, { wateredAt, amountMl, note }): async
+ * - onDeleteWatering(pinId, wateringId): async
+ * - canEdit: false for viewers of a shared map (log only, no add/delete; default true)
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function normalizeText(value) {
+  return (value ?? "").trim();
+}
+
+/**
+ * Average days between consecutive waterings, or null with fewer than 2 entries.
+ */
+function averageIntervalDays(entries) {
+  const times = entries
+    .map((e) => new Date(e.wateredAt).getTime())
+    .filter((t) => !Number.isNaN(t))
+    .sort((a, b) => a - b);
+
+  if (times.length < 2) return null;
+  return (times[times.length - 1] - times[0]) / (times.length - 1) / MS_PER_DAY;
+}
+
+function formatAverage(days) {
+  if (days == null) return "Not enough data";
+  const rounded = Math.round(days * 10) / 10;
+  return rounded === 1 ? "Every day" : `Every ${rounded} days`;
+}
+
+/**
+ * Parses the optional amount input.
+ * - "" => null
+ * - positive number => number (ml)
+ * - otherwise => error message
+ */
+function parseAmount(input) {
+  const trimmed = normalizeText(input);
+
+  if (trimmed === "") return { value: null, error: "" };
+
+  const n = Number(trimmed);
+  if (!Number.isFinite(n) || n <= 0) return { value: null, error: "Amount is in ml (more than 0)." };
+
+  return { value: n, error: "" };
+}
+
+function parseWateredAt(input) {
+  const date = new Date(input);
+
+  if (!input || Number.isNaN(date.getTime())) return { value: null, error: "When was it watered?" };
+  if (date.getTime() > Date.now()) return { value: null, error: "That's in the future." };
+
+  return { value: date.toISOString(), error: "" };
+}
+
+function emptyEntryDraft() {
+  return { wateredAt: toDateTimeLocalValue(new Date()), amountMl: "", note: "" };
+}
+
+export default function WateringHistory({
+  pin,
+  onAddWatering,
+  onDeleteWatering,
+  canEdit = true,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [isAdding, setIsAdding] = useState(false);
+  const [draft, setDraft] = useState(emptyEntryDraft);
+  const [errors, setErrors] = useState({});
+
+  // Reload when the pin changes, when it gets watered elsewhere, or after our own edits.
+  useEffect(() => {
+    let cancelled = false;
+    if (isTempPinId(pin.id)) return; // not on the server yet
+
+    (async () => {
+      try {
+        const data = await listWaterings(pin.id);
+        if (!cancelled) {
+          setEntries(data ?? []);
+          setLoadError("");
+        }
+      } catch (e) {
+        console.error("Failed to load watering history:", e);
+        if (!cancelled) setLoadError("Couldn't load the history.");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin.id, pin.lastWatered, reloadKey]);
+
+  const sortedEntries = useMemo(
+    () => [...entries].sort((a, b) => new Date(b.wateredAt) - new Date(a.wateredAt)),
+    [entries]
+  );
+
+  const average = useMemo(() => averageIntervalDays(entries), [entries]);
+
+  const setField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleStartAdding = () => {
+    setDraft(emptyEntryDraft());
+    setErrors({});
+    setIsAdding(true);
+  };
+
+  const handleAdd = async () => {
+    const wateredAt = parseWateredAt(draft.wateredAt);
+    const amount = parseAmount(draft.amountMl);
+
+    const nextErrors = {};
+    if (wateredAt.error) nextErrors.wateredAt = wateredAt.error;
+    if (amount.error) nextErrors.amountMl = amount.error;
+
+    if (Object.keys(nextErrors).length > 0) {
+      setErrors(nextErrors);
+      return;
+    }
+
+    const note = normalizeText(draft.note);
+    setErrors({});
+    try {
+      await onAddWatering(pin.id, {
+        wateredAt: wateredAt.value,
+        amountMl: amount.value,
+        note: note || null,
+      });
+      setIsAdding(false);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Save failed" });
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    const ok = window.confirm(`Delete the watering from ${formatDateTime(entry.wateredAt)}?`);
+    if (!ok) return;
+
+    try {
+      await onDeleteWatering(pin.id, entry.id);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErrors({ server: e?.message ?? "Delete failed" });
+    }
+  };
+
+  if (isTempPinId(pin.id)) {
+    return <div className="watering-history-empty">History is available once this plant is synced.</div>;
+  }
+
+  return (
+    <div className="watering-history">
+      <div className="detailsRow">
+        <span className="detailsLabel">Actual average:</span>
+        <span className="detailsValue">{formatAverage(average)}</span>
+      </div>
+
+      <div className="watering-history-header">
+        <span className="detailsLabel">History</span>
+        {!isAdding && canEdit && (
+          <button type="button" className="watering-history-add" onClick={handleStartAdding}>
+            Add entry
+          </button>
+        )}
+      </div>
+
+      {errors.server && <div className="errorText">{errors.server}</div>}
+      {loadError && <div className="errorText">{loadError}</div>}
+
+      {isAdding && (
+        <div className="watering-history-form">
+          <label>
+            When
+            <input
+              type="datetime-local"
+              value={draft.wateredAt}
+              max={toDateTimeLocalValue(new Date())}
+              onChange={(e) => setField("wateredAt", e.target.value)}
+              className={errors.wateredAt ? "inputError" : ""}
+            />
+          </label>
+          {errors.wateredAt && <div className="errorText">{errors.wateredAt}</div>}
+
+          <label>
+            Amount (ml)
+            <input
+              inputMode="numeric"
+              placeholder="Optional"
+              value={draft.amountMl}
+              onChange={(e) => setField("amountMl", e.target.value)}
+              className={errors.amountMl ? "inputError" : ""}
+            />
+          </label>
+          {errors.amountMl && <div className="errorText">{errors.amountMl}</div>}
+
+          <label>
+            Note
+            <input
+              placeholder="Optional"
+              value={draft.note}
+              onChange={(e) => setField("note", e.target.value)}
+            />
+          </label>
+
+          <div className="watering-history-form-actions">
+            <button type="button" onClick={handleAdd}>
+              Save entry
+            </button>
+            <button type="button" onClick={() => setIsAdding(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sortedEntries.length === 0 && !loadError && (
+        <div className="watering-history-empty">No waterings recorded yet.</div>
+      )}
+
+      <ul className="watering-history-list">
+        {sortedEntries.map((entry) => (
+          <li key={entry.id} className="watering-history-entry">
+            <div className="watering-history-entry-main">
+              <span>{formatDateTime(entry.wateredAt)}</span>
+              {entry.amountMl != null && (
+                <span className="watering-history-amount">{entry.amountMl} ml</span>
+              )}
+              {entry.note && <div className="watering-history-note">{entry.note}</div>}
+            </div>
+            {canEdit && (
+              <button
+                type="button"
+                className="watering-history-delete"
+                onClick={() => handleDelete(entry)}
+                aria-label="Delete entry"
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useMemo } from "react";
+import "./WateringLegend.css";
+import { WATERING_STATES, WATERING_STATE_LABELS, getWateringStatus } from "./WateringStatus";
+
+/**
+ * WateringLegend
+ * Small legend explaining the pin badge colours, with how many pins are in each state.
+ *
+ * Props:
+ * - pins: pins of the current map
+ */
+export default function WateringLegend({ pins }) {
+  const counts = useMemo(() => {
+    const next = Object.fromEntries(WATERING_STATES.map((s) => [s, 0]));
+    for (const pin of pins) next[getWateringStatus(pin).state] += 1;
+    return next;
+  }, [pins]);
+
+  return (
+    <div className="watering-legend" onClick={(e) => e.stopPropagation()}>
+      <div className="watering-legend-title">Watering</div>
+      {WATERING_STATES.map((state) => (
+        <div key={state} className="watering-legend-row">
+          <span className={`watering-legend-dot pin-badge-${state}`} aria-hidden="true" />
+          <span className="watering-legend-label">{WATERING_STATE_LABELS[state]}</span>
+          <span className="watering-legend-count">{counts[state]}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { getEffectiveWateringInterval } from "./SeasonalCare";
+
+/**
+ * WateringStatus
+ * Works out whether a plant needs water, from `lastWatered` + `wateringIntervalDays`
+ * (and the same for fertilising, from `lastFertilised` + `fertilisingIntervalDays`).
+ *
+ * Notes:
+ * - Watering uses the interval for the current season when the plant has seasonal intervals.
+ * - Works in whole calendar days (local time), so "due today" means today's date,
+ *   not "within the next 24 hours".
+ * - Missing/invalid data => "unknown" (we don't guess).
+ */
+
+export const WATERING_STATES = ["overdue", "soon", "ok", "unknown"];
+
+export const WATERING_STATE_LABELS = {
+  overdue: "Overdue",
+  soon: "Due soon",
+  ok: "OK",
+  unknown: "Unknown",
+};
+
+// "soon" covers today and tomorrow.
+const DUE_SOON_DAYS = 1;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+export function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+export function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Rounded, because DST days are 23/25 hours long.
+export function daysBetween(fromDate, toDate) {
+  return Math.round((startOfDay(toDate) - startOfDay(fromDate)) / MS_PER_DAY);
+}
+
+/**
+ * getWateringStatus
+ * @param {{ lastWatered?: string|null, wateringIntervalDays?: number|null }} pin
+ * @param {Date} [now]
+ * @returns {{ state: "ok"|"soon"|"overdue"|"unknown", dueDate: Date|null, daysUntilDue: number|null }}
+ */
+export function getWateringStatus(pin, now = new Date()) {
+  return getDueStatus(pin?.lastWatered, getEffectiveWateringInterval(pin, now), now);
+}
+
+/**
+ * getFertilisingStatus
+ * Same states as getWateringStatus, based on `lastFertilised` + `fertilisingIntervalDays`.
+ */
+export function getFertilisingStatus(pin, now = new Date()) {
+  return getDueStatus(pin?.lastFertilised, pin?.fertilisingIntervalDays, now);
+}
+
+function getDueStatus(lastIso, interval, now) {
+  const unknown = { state: "unknown", dueDate: null, daysUntilDue: null };
+
+  if (!lastIso || interval == null || interval < 1) return unknown;
+
+  const last = new Date(lastIso);
+  if (Number.isNaN(last.getTime())) return unknown;
+
+  const dueDate = addDays(startOfDay(last), interval);
+  const daysUntilDue = daysBetween(now, dueDate);
+
+  let state = "ok";
+  if (daysUntilDue < 0) state = "overdue";
+  else if (daysUntilDue <= DUE_SOON_DAYS) state = "soon";
+
+  return { state, dueDate, daysUntilDue };
+}
+
+/**
+ * formatDueStatus
+ * @returns {string} e.g. "Overdue by 2 days", "Due today", "Due in 3 days"
+ */
+export function formatDueStatus({ state, daysUntilDue }) {
+  if (state === "unknown") return "Unknown";
+  if (daysUntilDue < -1) return `Overdue by ${-daysUntilDue} days`;
+  if (daysUntilDue === -1) return "Overdue by 1 day";
+  if (daysUntilDue === 0) return "Due today";
+  if (daysUntilDue === 1) return "Due tomorrow";
+  return `Due in ${daysUntilDue} days`;
+}
+
+/**
+ * projectWaterings
+ * Lists upcoming waterings for all pins, from today until `days` days ahead.
+ * Overdue pins show up once (at their original due date); after that the schedule
+ * repeats with the interval of the season each watering falls in.
+ *
+ * @returns {Array<{ key: string, pin: object, dueDate: Date, daysUntilDue: number, isNext: boolean }>}
+ *          sorted by due date. `isNext` marks each pin's first (actionable) occurrence.
+ */
+export function projectWaterings(pins, { days = 7, now = new Date() } = {}) {
+  const tasks = [];
+
+  for (const pin of pins) {
+    const status = getWateringStatus(pin, now);
+    if (status.state === "unknown") continue;
+
+    let dueDate = status.dueDate;
+    let daysUntilDue = status.daysUntilDue;
+    let isNext = true;
+
+    while (daysUntilDue <= days) {
+      tasks.push({ key: `${pin.id}-${dueDate.getTime()}`, pin, dueDate, daysUntilDue, isNext });
+
+      // Overdue waterings don't pile up: the next one is counted from today.
+      const from = daysUntilDue < 0 ? startOfDay(now) : dueDate;
+      const interval = getEffectiveWateringInterval(pin, from);
+      if (interval == null || interval < 1) break;
+      dueDate = addDays(from, interval);
+      daysUntilDue = daysBetween(now, dueDate);
+      isNext = false;
+    }
+  }
+
+  return tasks.sort((a, b) => a.dueDate - b.dueDate);
+}
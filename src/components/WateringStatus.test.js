@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import {
+  getWateringStatus,
+  getFertilisingStatus,
+  formatDueStatus,
+  projectWaterings,
+  daysBetween,
+  addDays,
+} from "./WateringStatus";
+
+// Local time, mid-morning: statuses work in calendar days, not 24-hour windows.
+const now = new Date(2024, 5, 10, 9, 30);
+const wateredDaysAgo = (days) => addDays(new Date(2024, 5, 10, 20), -days).toISOString();
+
+describe("getWateringStatus", () => {
+  it("counts calendar days from the last watering", () => {
+    const pin = { lastWatered: wateredDaysAgo(1), wateringIntervalDays: 4 };
+    const status = getWateringStatus(pin, now);
+    expect(status.state).toBe("ok");
+    expect(status.daysUntilDue).toBe(3);
+    expect(status.dueDate).toEqual(new Date(2024, 5, 13));
+  });
+
+  it("is due soon today and tomorrow, overdue after", () => {
+    const status = (daysAgo) =>
+      getWateringStatus({ lastWatered: wateredDaysAgo(daysAgo), wateringIntervalDays: 3 }, now);
+
+    expect(status(1).state).toBe("ok");
+    expect(status(2).state).toBe("soon"); // tomorrow
+    expect(status(3).state).toBe("soon"); // today
+    expect(status(4)).toMatchObject({ state: "overdue", daysUntilDue: -1 });
+  });
+
+  it("is unknown without a last watering or a usable interval", () => {
+    for (const pin of [
+      { lastWatered: null, wateringIntervalDays: 3 },
+      { lastWatered: wateredDaysAgo(1), wateringIntervalDays: null },
+      { lastWatered: wateredDaysAgo(1), wateringIntervalDays: 0 },
+      { lastWatered: "not a date", wateringIntervalDays: 3 },
+    ]) {
+      expect(getWateringStatus(pin, now)).toEqual({
+        state: "unknown",
+        dueDate: null,
+        daysUntilDue: null,
+      });
+    }
+  });
+});
+
+describe("getFertilisingStatus", () => {
+  it("uses lastFertilised and the fertilising interval", () => {
+    const pin = {
+      lastWatered: wateredDaysAgo(30),
+      wateringIntervalDays: 2,
+      lastFertilised: wateredDaysAgo(10),
+      fertilisingIntervalDays: 14,
+    };
+    expect(getFertilisingStatus(pin, now)).toMatchObject({ state: "ok", daysUntilDue: 4 });
+    expect(getFertilisingStatus({ lastFertilised: null }, now).state).toBe("unknown");
+  });
+});
+
+describe("formatDueStatus", () => {
+  it("words the days until due", () => {
+    const format = (daysUntilDue) => formatDueStatus({ state: "ok", daysUntilDue });
+
+    expect(format(-3)).toBe("Overdue by 3 days");
+    expect(format(-1)).toBe("Overdue by 1 day");
+    expect(format(0)).toBe("Due today");
+    expect(format(1)).toBe("Due tomorrow");
+    expect(format(5)).toBe("Due in 5 days");
+    expect(formatDueStatus({ state: "unknown", daysUntilDue: null })).toBe("Unknown");
+  });
+});
+
+describe("daysBetween", () => {
+  it("ignores the time of day and DST-length days", () => {
+    expect(daysBetween(new Date(2024, 2, 30, 23), new Date(2024, 2, 31, 1))).toBe(1);
+    expect(daysBetween(new Date(2024, 2, 1), new Date(2024, 3, 1))).toBe(31);
+    expect(daysBetween(new Date(2024, 3, 1), new Date(2024, 2, 1))).toBe(-31);
+  });
+});
+
+describe("projectWaterings", () => {
+  const summary = (tasks) => tasks.map((t) => [t.pin.id, t.daysUntilDue, t.isNext]);
+
+  it("repeats each plant's schedule over the coming days, sorted by date", () => {
+    const pins = [
+      { id: "a", lastWatered: wateredDaysAgo(0), wateringIntervalDays: 3 },
+      { id: "b", lastWatered: wateredDaysAgo(4), wateringIntervalDays: 5 },
+    ];
+
+    expect(summary(projectWaterings(pins, { days: 7, now }))).toEqual([
+      ["b", 1, true],
+      ["a", 3, true],
+      ["a", 6, false],
+      ["b", 6, false],
+    ]);
+  });
+
+  it("lists an overdue watering once and counts the next one from today", () => {
+    const pins = [{ id: "a", lastWatered: wateredDaysAgo(10), wateringIntervalDays: 4 }];
+
+    expect(summary(projectWaterings(pins, { days: 7, now }))).toEqual([
+      ["a", -6, true],
+      ["a", 4, false],
+    ]);
+  });
+
+  it("leaves out plants without a schedule", () => {
+    const pins = [{ id: "a", lastWatered: null, wateringIntervalDays: 4 }];
+    expect(projectWaterings(pins, { now })).toEqual([]);
+  });
+});
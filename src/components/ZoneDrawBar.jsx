@@ -0,0 +1,50 @@
+import "./ZoneDrawBar.css";
+
+/**
+ * ZoneDrawBar
+ * Shown while drawing a zone (edit mode): pick the shape, then finish or cancel.
+ *
+ * Props:
+ * - draft: { shape: "polygon" | "rectangle", points }
+ * - onChangeShape(shape)
+ * - onFinish()
+ * - onCancel()
+ */
+
+const HINTS = {
+  polygon: "Click to add corners. Click the first corner, press Enter or Finish to close it.",
+  rectangle: "Drag on the map to draw a rectangle.",
+};
+
+export default function ZoneDrawBar({ draft, onChangeShape, onFinish, onCancel }) {
+  const canFinish = draft.shape === "polygon" && draft.points.length >= 3;
+
+  return (
+    <div className="zone-draw-bar" onClick={(e) => e.stopPropagation()}>
+      <div className="zone-draw-shapes" role="group" aria-label="Shape">
+        {["polygon", "rectangle"].map((shape) => (
+          <button
+            key={shape}
+            type="button"
+            className={draft.shape === shape ? "zone-draw-shape-active" : ""}
+            onClick={() => onChangeShape(shape)}
+            aria-pressed={draft.shape === shape}
+          >
+            {shape === "polygon" ? "Polygon" : "Rectangle"}
+          </button>
+        ))}
+      </div>
+
+      <span className="zone-draw-hint">{HINTS[draft.shape]}</span>
+
+      {draft.shape === "polygon" && (
+        <button type="button" onClick={onFinish} disabled={!canFinish}>
+          Finish
+        </button>
+      )}
+      <button type="button" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import "./ZoneLayer.css";
+import { zoneLabelPoint } from "./Zones";
+
+/**
+ * ZoneLayer
+ * - Draws zones/beds (polygons) above the map image and under the pins
+ * - Shows each zone's name as a clickable label (the shapes themselves let clicks through,
+ *   so panning the map still works inside a zone)
+ * - Shows the zone being drawn (edit mode)
+ *
+ * Props:
+ * - zones: [{ id, name, color, points: [{ xPercent, yPercent }] }]
+ * - transform: { scale, pos }
+ * - imageSize: { width, height } (natural image size)
+ * - draft: { points } | null: shape being drawn
+ * - selectedZoneId
+ * - onSelectZone(zoneId)
+ */
+
+export default function ZoneLayer({
+  zones,
+  transform,
+  imageSize,
+  draft = null,
+  selectedZoneId = null,
+  onSelectZone,
+}) {
+  if (!(imageSize?.width > 0 && imageSize?.height > 0)) return null;
+
+  const toScreen = ({ xPercent, yPercent }) => ({
+    x: transform.pos.x + (xPercent / 100) * imageSize.width * transform.scale,
+    y: transform.pos.y + (yPercent / 100) * imageSize.height * transform.scale,
+  });
+
+  const toSvgPoints = (points) =>
+    points
+      .map(toScreen)
+      .map(({ x, y }) => `${x},${y}`)
+      .join(" ");
+
+  return (
+    <div className="zone-layer">
+      <svg className="zone-layer-svg">
+        {zones.map((zone) => (
+          <polygon
+            key={zone.id}
+            points={toSvgPoints(zone.points ?? [])}
+            className={`zone-shape${zone.id === selectedZoneId ? " zone-shape-selected" : ""}`}
+            style={{ "--zone-color": zone.color }}
+          />
+        ))}
+
+        {draft && draft.points.length > 0 && (
+          <>
+            <polygon points={toSvgPoints(draft.points)} className="zone-draft" />
+            {draft.points.map((point, i) => {
+              const { x, y } = toScreen(point);
+              // The first corner is bigger: clicking it again closes the polygon.
+              return (
+                <circle key={i} cx={x} cy={y} r={i === 0 ? 6 : 4} className="zone-draft-vertex" />
+              );
+            })}
+          </>
+        )}
+      </svg>
+
+      {zones.map((zone) => {
+        const { x, y } = toScreen(zoneLabelPoint(zone));
+        return (
+          <button
+            key={zone.id}
+            type="button"
+            className="zone-label"
+            style={{ left: x, top: y, "--zone-color": zone.color }}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelectZone?.(zone.id);
+            }}
+          >
+            {zone.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
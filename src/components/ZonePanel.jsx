@@ -0,0 +1,97 @@
+import "./ZonePanel.css";
+
+/**
+ * ZonePanel
+ * Card for the selected zone/bed: the plants inside it, and actions on all of them.
+ *
+ * Props:
+ * - zone: { id, name, color, points }
+ * - pins: pins inside the zone
+ * - mode: "view" | "edit"
+ * - onClose()
+ * - onFocusPin(pinId)
+ * - onWaterAll()
+ * - onSelectPins(): selects the zone's plants for bulk actions (edit mode)
+ * - onRename(name)
+ * - onDelete()
+ * - canEdit: false for viewers of a shared map (no "Water all"; default true)
+ */
+
+const FALLBACK_NAME = "New little plant";
+
+export default function ZonePanel({
+  zone,
+  pins,
+  mode,
+  onClose,
+  onFocusPin,
+  onWaterAll,
+  onSelectPins,
+  onRename,
+  onDelete,
+  canEdit = true,
+}) {
+  const handleRename = () => {
+    const name = (window.prompt("Rename zone:", zone.name ?? "") ?? "").trim();
+    if (name && name !== zone.name) onRename(name);
+  };
+
+  const handleDelete = () => {
+    const ok = window.confirm(`Delete zone "${zone.name}"? The plants in it stay on the map.`);
+    if (ok) onDelete();
+  };
+
+  const handleWaterAll = () => {
+    const ok = window.confirm(`Mark all ${pins.length} plants in "${zone.name}" as watered?`);
+    if (ok) onWaterAll();
+  };
+
+  return (
+    <div className="zone-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="zone-panel-header">
+        <span className="zone-panel-swatch" style={{ background: zone.color }} />
+        <span className="zone-panel-title">{zone.name}</span>
+        <button className="zone-panel-close" onClick={onClose} aria-label="Close">
+          ×
+        </button>
+      </div>
+
+      <div className="zone-panel-count">
+        {pins.length === 1 ? "1 plant" : `${pins.length} plants`}
+      </div>
+
+      {pins.length > 0 && (
+        <ul className="zone-panel-list">
+          {pins.map((pin) => (
+            <li key={pin.id}>
+              <button type="button" className="zone-panel-pin" onClick={() => onFocusPin(pin.id)}>
+                {pin.name || FALLBACK_NAME}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="zone-panel-actions">
+        {canEdit && (
+          <button type="button" onClick={handleWaterAll} disabled={pins.length === 0}>
+            Water all
+          </button>
+        )}
+        {mode === "edit" && (
+          <>
+            <button type="button" onClick={onSelectPins} disabled={pins.length === 0}>
+              Select plants
+            </button>
+            <button type="button" onClick={handleRename}>
+              Rename
+            </button>
+            <button type="button" onClick={handleDelete}>
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
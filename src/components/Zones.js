@@ -0,0 +1,75 @@
+/**
+ * Zones
+ * Geometry helpers for zones/beds: polygons in the same percent space as pins
+ * (points: [{ xPercent, yPercent }], 0..100 relative to the map image).
+ */
+
+export const ZONE_COLORS = ["#66bb6a", "#ffa726", "#42a5f5", "#ab47bc", "#ef5350", "#8d6e63"];
+
+// Smallest rectangle side (percent) we accept; anything smaller was probably a click.
+const MIN_RECT_SIZE_PERCENT = 0.5;
+
+export function nextZoneColor(zones) {
+  return ZONE_COLORS[zones.length % ZONE_COLORS.length];
+}
+
+// Corners of the rectangle spanned by two points, clockwise from the top-left.
+export function rectanglePoints(a, b) {
+  const left = Math.min(a.xPercent, b.xPercent);
+  const right = Math.max(a.xPercent, b.xPercent);
+  const top = Math.min(a.yPercent, b.yPercent);
+  const bottom = Math.max(a.yPercent, b.yPercent);
+
+  return [
+    { xPercent: left, yPercent: top },
+    { xPercent: right, yPercent: top },
+    { xPercent: right, yPercent: bottom },
+    { xPercent: left, yPercent: bottom },
+  ];
+}
+
+export function isUsableRectangle(points) {
+  const [topLeft, , bottomRight] = points;
+  return (
+    bottomRight.xPercent - topLeft.xPercent >= MIN_RECT_SIZE_PERCENT &&
+    bottomRight.yPercent - topLeft.yPercent >= MIN_RECT_SIZE_PERCENT
+  );
+}
+
+/**
+ * isPointInZone
+ * Ray casting (even-odd rule); works for any simple polygon, convex or not.
+ */
+export function isPointInZone(point, zone) {
+  const points = zone?.points ?? [];
+  if (points.length < 3) return false;
+
+  const { xPercent: x, yPercent: y } = point;
+  let inside = false;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crosses =
+      a.yPercent > y !== b.yPercent > y &&
+      x < ((b.xPercent - a.xPercent) * (y - a.yPercent)) / (b.yPercent - a.yPercent) + a.xPercent;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+export function pinsInZone(pins, zone) {
+  return pins.filter((pin) => isPointInZone(pin, zone));
+}
+
+// Where the zone's label goes: the average of its corners.
+export function zoneLabelPoint(zone) {
+  const points = zone.points ?? [];
+  if (points.length === 0) return { xPercent: 0, yPercent: 0 };
+
+  return {
+    xPercent: points.reduce((sum, p) => sum + p.xPercent, 0) / points.length,
+    yPercent: points.reduce((sum, p) => sum + p.yPercent, 0) / points.length,
+  };
+}
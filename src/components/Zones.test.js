@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import {
+  ZONE_COLORS,
+  nextZoneColor,
+  rectanglePoints,
+  isUsableRectangle,
+  isPointInZone,
+  pinsInZone,
+  zoneLabelPoint,
+} from "./Zones";
+
+const point = (xPercent, yPercent) => ({ xPercent, yPercent });
+
+describe("rectangles", () => {
+  it("orders the corners clockwise from the top-left, whichever way it was dragged", () => {
+    const corners = [point(10, 20), point(30, 20), point(30, 40), point(10, 40)];
+    expect(rectanglePoints(point(30, 40), point(10, 20))).toEqual(corners);
+  });
+
+  it("rejects rectangles that were probably a click", () => {
+    expect(isUsableRectangle(rectanglePoints(point(10, 10), point(20, 20)))).toBe(true);
+    expect(isUsableRectangle(rectanglePoints(point(10, 10), point(10.2, 20)))).toBe(false);
+  });
+});
+
+describe("isPointInZone", () => {
+  // An L shape: the top-right quarter of the 0..20 square is cut out.
+  const lShape = {
+    points: [point(0, 0), point(10, 0), point(10, 10), point(20, 10), point(20, 20), point(0, 20)],
+  };
+
+  it("handles concave polygons", () => {
+    expect(isPointInZone(point(5, 5), lShape)).toBe(true);
+    expect(isPointInZone(point(15, 15), lShape)).toBe(true);
+    expect(isPointInZone(point(15, 5), lShape)).toBe(false);
+  });
+
+  it("needs at least three points", () => {
+    expect(isPointInZone(point(1, 1), { points: [point(0, 0), point(2, 2)] })).toBe(false);
+    expect(isPointInZone(point(1, 1), null)).toBe(false);
+  });
+
+  it("finds the pins inside", () => {
+    const zone = { points: rectanglePoints(point(0, 0), point(50, 50)) };
+    const pins = [{ id: 1, ...point(25, 25) }, { id: 2, ...point(75, 25) }];
+    expect(pinsInZone(pins, zone).map((pin) => pin.id)).toEqual([1]);
+  });
+});
+
+describe("zone helpers", () => {
+  it("cycles through the colours", () => {
+    expect(nextZoneColor([])).toBe(ZONE_COLORS[0]);
+    expect(nextZoneColor(new Array(ZONE_COLORS.length + 1))).toBe(ZONE_COLORS[1]);
+  });
+
+  it("puts the label at the average of the corners", () => {
+    const zone = { points: rectanglePoints(point(10, 20), point(30, 60)) };
+    expect(zoneLabelPoint(zone)).toEqual(point(20, 40));
+    expect(zoneLabelPoint({ points: [] })).toEqual(point(0, 0));
+  });
+});
@@ -4,6 +4,8 @@ import "./ZoomableImage.css";
 /**
  * ZoomableImage
  * - Displays an image that can be panned (drag) and zoomed (wheel).
+ * - Touch: one-finger pan, pinch-zoom around the fingers' midpoint, double-tap to zoom
+ *   (double-click with a mouse), and long-press (reported through `onLongPress`).
  * - Reports the current transform (scale + position) to the parent.
  *
  * Coordinate system:
@@ -14,8 +16,35 @@ import "./ZoomableImage.css";
  * - imageSrc (string): image URL/import.
  * - onTransformChange ({ scale, pos }): called whenever scale/pos changes.
  * - onImageMeta ({ naturalWidth, naturalHeight }): called once image is loaded.
+ * - focusTarget ({ xPercent, yPercent, zoom? }): when a new object is passed, smoothly pans
+ *   so that point ends up in the middle of the container. `zoom` (relative to the fitted
+ *   scale) zooms in to at least that level; it never zooms out.
+ * - onLongPress (clientX, clientY): optional; called when a finger rests on the map without
+ *   moving. The click that follows a long-press is swallowed.
  */
-export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta }) {
+
+const FOCUS_ANIMATION_MS = 350;
+
+const LONG_PRESS_MS = 550;
+const TAP_MOVE_TOLERANCE_PX = 10;
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_DISTANCE_PX = 30;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+export default function ZoomableImage({
+  imageSrc,
+  onTransformChange,
+  onImageMeta,
+  focusTarget,
+  onLongPress,
+}) {
   const [scale, setScale] = useState(1);
   const [minScale, setMinScale] = useState(1);
   const [pos, setPos] = useState({ x: 0, y: 0 });
@@ -27,12 +56,29 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
   const isDraggingRef = useRef(false);
   const dragStartRef = useRef({ x: 0, y: 0 });
 
+  // Active pointers (pointerId => { x, y }); two of them means a pinch.
+  const pointersRef = useRef(new Map());
+  const pinchRef = useRef(null);
+
+  // Tap / long-press tracking for the first finger of a gesture.
+  const pressRef = useRef({
+    x: 0,
+    y: 0,
+    pointerType: "mouse",
+    time: 0,
+    moved: false,
+    timer: null,
+    fired: false,
+  });
+  const lastTapRef = useRef({ x: 0, y: 0, time: 0 });
+
   // Smooth zoom state
   const targetScaleRef = useRef(1);
   const animationFrameRef = useRef(null);
   const lastWheelRef = useRef({ x: 0, y: 0, relX: 0, relY: 0 });
 
-  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  // Latest transform, readable from effects without re-subscribing them.
+  const viewRef = useRef({ scale: 1, pos: { x: 0, y: 0 }, minScale: 1 });
 
   const getContainerSize = () => {
     const el = containerRef.current;
@@ -90,21 +136,148 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
     applyTransform(baseScale, centeredPos);
   };
 
+  const cancelLongPress = () => {
+    clearTimeout(pressRef.current.timer);
+    pressRef.current.timer = null;
+  };
+
   const stopDragging = () => {
     isDraggingRef.current = false;
+    pointersRef.current.clear();
+    pinchRef.current = null;
+    cancelLongPress();
   };
 
-  const handleMouseDown = (e) => {
+  const startPan = (point) => {
     isDraggingRef.current = true;
-    dragStartRef.current = { x: e.clientX - pos.x, y: e.clientY - pos.y };
+    dragStartRef.current = { x: point.x - pos.x, y: point.y - pos.y };
   };
 
-  const handleMouseMove = (e) => {
-    if (!isDraggingRef.current) return;
+  const startPinch = () => {
+    const [a, b] = [...pointersRef.current.values()];
+    const mid = midpoint(a, b);
+
+    isDraggingRef.current = false;
+    pinchRef.current = {
+      startDistance: Math.max(1, distance(a, b)),
+      startScale: scale,
+      // Image point (unscaled px) under the midpoint; it stays under the fingers.
+      anchor: { x: (mid.x - pos.x) / scale, y: (mid.y - pos.y) / scale },
+    };
+  };
+
+  // Zooms in 2x around a point, or back out when already (almost) fully zoomed in.
+  const zoomToggleAt = (clientX, clientY) => {
+    const img = imgRef.current;
+    if (!img) return;
+
+    const rect = img.getBoundingClientRect();
+    lastWheelRef.current = {
+      x: clientX,
+      y: clientY,
+      relX: (clientX - rect.left) / rect.width,
+      relY: (clientY - rect.top) / rect.height,
+    };
+
+    const maxScale = minScale * 5;
+    targetScaleRef.current =
+      targetScaleRef.current >= maxScale * 0.9
+        ? minScale
+        : Math.min(maxScale, targetScaleRef.current * 2);
+
+    if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+    animationFrameRef.current = requestAnimationFrame(smoothZoomStep);
+  };
+
+  const handleTap = (point) => {
+    const last = lastTapRef.current;
+    const isDoubleTap =
+      point.time - last.time < DOUBLE_TAP_MS && distance(point, last) < DOUBLE_TAP_DISTANCE_PX;
+
+    if (isDoubleTap) {
+      lastTapRef.current = { x: 0, y: 0, time: 0 };
+      zoomToggleAt(point.x, point.y);
+    } else {
+      lastTapRef.current = point;
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+
+    const point = { x: e.clientX, y: e.clientY };
+    pointersRef.current.set(e.pointerId, point);
+
+    if (pointersRef.current.size === 1) {
+      startPan(point);
+
+      cancelLongPress();
+      pressRef.current = {
+        ...point,
+        pointerType: e.pointerType,
+        time: performance.now(),
+        moved: false,
+        timer: null,
+        fired: false,
+      };
+
+      if (onLongPress && e.pointerType !== "mouse") {
+        pressRef.current.timer = setTimeout(() => {
+          pressRef.current.timer = null;
+          pressRef.current.fired = true;
+          isDraggingRef.current = false;
+          navigator.vibrate?.(30);
+          onLongPress(point.x, point.y);
+        }, LONG_PRESS_MS);
+      }
+      return;
+    }
+
+    // Second finger: pinch instead of pan/tap.
+    pressRef.current.moved = true;
+    cancelLongPress();
+    if (pointersRef.current.size === 2) startPinch();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+
+    const point = { x: e.clientX, y: e.clientY };
+    pointersRef.current.set(e.pointerId, point);
+
+    if (distance(point, pressRef.current) > TAP_MOVE_TOLERANCE_PX) {
+      pressRef.current.moved = true;
+      cancelLongPress();
+    }
 
     const img = imgRef.current;
     if (!img) return;
 
+    const pinch = pinchRef.current;
+    if (pinch && pointersRef.current.size >= 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      const mid = midpoint(a, b);
+
+      const nextScale = clamp(
+        pinch.startScale * (distance(a, b) / pinch.startDistance),
+        minScale,
+        minScale * 5
+      );
+      targetScaleRef.current = nextScale;
+
+      const { minX, minY } = getBoundsFor(img.naturalWidth, img.naturalHeight, nextScale);
+      applyTransform(nextScale, {
+        x: clamp(mid.x - pinch.anchor.x * nextScale, minX, 0),
+        y: clamp(mid.y - pinch.anchor.y * nextScale, minY, 0),
+      });
+      return;
+    }
+
+    if (!isDraggingRef.current) return;
+
     const { minX, minY } = getBoundsFor(img.naturalWidth, img.naturalHeight, scale);
 
     const newX = clamp(e.clientX - dragStartRef.current.x, minX, 0);
@@ -115,6 +288,52 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
     onTransformChange?.({ scale, pos: nextPos });
   };
 
+  const handlePointerUp = (e) => {
+    if (!pointersRef.current.delete(e.pointerId)) return;
+    cancelLongPress();
+
+    const remaining = [...pointersRef.current.values()];
+    if (remaining.length >= 2) return;
+
+    pinchRef.current = null;
+
+    // Lifting one finger of a pinch: keep panning with the other one.
+    if (remaining.length === 1) {
+      startPan(remaining[0]);
+      return;
+    }
+
+    isDraggingRef.current = false;
+
+    const press = pressRef.current;
+    const isTap =
+      e.type === "pointerup" &&
+      e.pointerType !== "mouse" &&
+      !press.moved &&
+      !press.fired &&
+      performance.now() - press.time < LONG_PRESS_MS;
+
+    if (isTap) handleTap({ x: e.clientX, y: e.clientY, time: performance.now() });
+  };
+
+  // A long-press shouldn't also count as a click (which would deselect / add a pin).
+  const handleClickCapture = (e) => {
+    if (!pressRef.current.fired) return;
+    pressRef.current.fired = false;
+    e.stopPropagation();
+  };
+
+  const handleContextMenu = (e) => {
+    // Touch browsers open a context menu on long-press.
+    if (pressRef.current.fired || pressRef.current.timer) e.preventDefault();
+  };
+
+  const handleDoubleClick = (e) => {
+    // Touch double-taps are handled in handleTap; Ctrl+Click adds pins in edit mode.
+    if (e.ctrlKey || pressRef.current.pointerType !== "mouse") return;
+    zoomToggleAt(e.clientX, e.clientY);
+  };
+
   const handleWheel = (e) => {
     e.preventDefault();
 
@@ -183,6 +402,59 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
     };
   };
 
+  useEffect(() => {
+    viewRef.current = { scale, pos, minScale };
+  }, [scale, pos, minScale]);
+
+  // Pan/zoom to a requested point (e.g. "show me this pin").
+  useEffect(() => {
+    const img = imgRef.current;
+    const container = containerRef.current;
+    if (!focusTarget || !img?.naturalWidth || !container) return;
+
+    const { scale: fromScale, pos: fromPos, minScale: min } = viewRef.current;
+    const wantedScale = focusTarget.zoom ? Math.max(fromScale, min * focusTarget.zoom) : fromScale;
+    const toScale = clamp(wantedScale, min, min * 5);
+    targetScaleRef.current = toScale;
+
+    const cw = container.clientWidth;
+    const ch = container.clientHeight;
+
+    const clampPos = (p, s) => ({
+      x: clamp(p.x, Math.min(0, cw - img.naturalWidth * s), 0),
+      y: clamp(p.y, Math.min(0, ch - img.naturalHeight * s), 0),
+    });
+
+    const toPos = clampPos(
+      {
+        x: cw / 2 - (focusTarget.xPercent / 100) * img.naturalWidth * toScale,
+        y: ch / 2 - (focusTarget.yPercent / 100) * img.naturalHeight * toScale,
+      },
+      toScale
+    );
+
+    let frame = null;
+    const start = performance.now();
+
+    const step = (time) => {
+      const k = easeOutCubic(Math.min(1, (time - start) / FOCUS_ANIMATION_MS));
+      const s = fromScale + (toScale - fromScale) * k;
+      const p = clampPos(
+        { x: fromPos.x + (toPos.x - fromPos.x) * k, y: fromPos.y + (toPos.y - fromPos.y) * k },
+        s
+      );
+
+      setScale(s);
+      setPos(p);
+      onTransformChange?.({ scale: s, pos: p });
+
+      if (k < 1) frame = requestAnimationFrame(step);
+    };
+
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [focusTarget, onTransformChange]);
+
   useEffect(() => {
     const container = containerRef.current;
     if (!container) return;
@@ -196,15 +468,14 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
     };
 
     window.addEventListener("resize", onResize);
-    window.addEventListener("mouseup", stopDragging);
     window.addEventListener("blur", stopDragging);
 
     return () => {
       container.removeEventListener("wheel", handleWheel);
       window.removeEventListener("resize", onResize);
-      window.removeEventListener("mouseup", stopDragging);
       window.removeEventListener("blur", stopDragging);
       if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+      clearTimeout(pressRef.current.timer);
     };
     // minScale is used in wheel clamp; when it changes, clamp logic should update.
   }, [minScale]);
@@ -213,9 +484,13 @@ export default function ZoomableImage({ imageSrc, onTransformChange, onImageMeta
     <div
       ref={containerRef}
       className="zoomable-container"
-      onMouseDown={handleMouseDown}
-      onMouseMove={handleMouseMove}
-      onMouseLeave={stopDragging}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onClickCapture={handleClickCapture}
+      onDoubleClick={handleDoubleClick}
+      onContextMenu={handleContextMenu}
       style={{ cursor: isDraggingRef.current ? "grabbing" : "grab" }}
     >
       <img
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate.jsx'
+import { registerServiceWorker } from './api/serviceWorker'
+
+// Offline app shell (see public/sw.js).
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate>
+      <App />
+    </AuthGate>
   </StrictMode>,
 )
@@ -1,8 +1,45 @@
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const PRECACHE_FILE = 'precache-manifest.js'
+// Copied from /public as-is, so they aren't part of the bundle.
+const PUBLIC_PRECACHE = ['favicon.png', 'manifest.webmanifest']
+
+function precacheScript(urls) {
+  const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+  return `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, urls }, null, 2)};\n`
+}
+
+// Emits precache-manifest.js for the service worker (public/sw.js): the app shell plus every
+// built file. Built file names carry content hashes, so the version changes with any of them.
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    enforce: 'post',
+    configureServer(server) {
+      // Dev server: nothing worth precaching, files change all the time.
+      server.middlewares.use((req, res, next) => {
+        if (!req.url?.split('?')[0].endsWith(`/${PRECACHE_FILE}`)) return next()
+        res.setHeader('Content-Type', 'text/javascript')
+        res.end(precacheScript([]))
+      })
+    },
+    generateBundle(_options, bundle) {
+      const built = Object.keys(bundle)
+        .filter((fileName) => fileName !== 'index.html' && !fileName.endsWith('.map'))
+        .sort()
+      this.emitFile({
+        type: 'asset',
+        fileName: PRECACHE_FILE,
+        source: precacheScript(['./', ...PUBLIC_PRECACHE, ...built]),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   base: '/GardenWebsite/',
 })